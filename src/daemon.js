@@ -0,0 +1,71 @@
+import { executeRun } from "./services/runner.js";
+import { createScheduler } from "./services/scheduler.js";
+import { createSchedulerStore } from "./services/schedulerStore.js";
+import { closeBrowser } from "./services/scraper.js";
+import { disconnectDatabase } from "./util/db.js";
+import { config, checkConfig } from "./util/config.js";
+import { parseCliArgs } from "./util/cli.js";
+import { resolveProfiles } from "./util/profiles.js";
+
+/**
+ * Runs one profile the way `node src/index.js --profile <name>` would
+ * @param {Object} profile - Topic profile
+ * @returns {Promise<Object>} - Finished run record
+ */
+function runScheduledProfile(profile) {
+  return executeRun(parseCliArgs(["--profile", profile.name]));
+}
+
+/**
+ * Starts the scheduler for the profiles in config.scheduler.profiles and
+ * shuts down cleanly on SIGINT or SIGTERM
+ */
+function startDaemon() {
+  checkConfig();
+  const profiles = resolveProfiles(config.scheduler.profiles);
+  const scheduler = createScheduler(profiles, {
+    store: createSchedulerStore(),
+    runProfile: runScheduledProfile,
+  });
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.warn(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`\nReceived ${signal}, shutting down...`);
+    scheduler.stop();
+
+    // Give a run in progress the chance to finish before its resources go
+    const { shutdownTimeoutMs } = config.scheduler;
+    const finished = await Promise.race([
+      scheduler.idle().then(() => true),
+      new Promise((resolve) => setTimeout(() => resolve(false), shutdownTimeoutMs).unref()),
+    ]);
+    if (!finished) {
+      console.warn(
+        `Run still in progress after ${shutdownTimeoutMs / 1000}s, stopping it; resume it with --resume`
+      );
+    }
+
+    await closeBrowser();
+    await disconnectDatabase();
+    console.log("Daemon stopped");
+    process.exit(finished ? 0 : 1);
+  };
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+  console.log(`Daemon started for ${profiles.map((profile) => profile.name).join(", ")}`);
+  scheduler.start();
+}
+
+try {
+  startDaemon();
+} catch (error) {
+  console.error("Daemon failed to start:", error.message);
+  process.exit(1);
+}
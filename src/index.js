@@ -1,58 +1,89 @@
 import dotenv from "dotenv";
-import { fetchSearchResults } from "./services/search.js";
-import { scrapeMultipleUrls } from "./services/scraper.js";
-import { summarizeAllContent } from "./services/summarizer.js";
-import { sendArticleSummaries } from "./services/messageService.js";
+import { executeRun } from "./services/runner.js";
+import { disconnectDatabase } from "./util/db.js";
+import { parseCliArgs, USAGE } from "./util/cli.js";
+import { checkConfig } from "./util/config.js";
+import { formatDigestText } from "./util/digest.js";
 
 dotenv.config();
 
 /**
- * Main function to execute the entire process
+ * Prints the output of the last stage that ran, or the delivery preview
+ * @param {string} stage - Name of the last stage
+ * @param {*} output - Output of that stage
+ * @param {string} format - Output format (text or json)
  */
-async function main() {
-  try {
-    console.log("Starting EdTech news aggregation process");
-
-    // Simple search query for EdTech articles
-    const searchQuery = "education technology teaching learning tools";
-
-    // Step 1: Fetch more search results (20) with 14-30 day range
-    console.log("\nFetching search results...");
-    const searchResults = await fetchSearchResults(searchQuery, 20); 
-
-    if (searchResults.length === 0) {
-      throw new Error("No search results found");
-    }
-    console.log(`Found ${searchResults.length} potential articles`);
-
-    // Step 2: Scrape content
-    console.log("\nScraping article content...");
-    const scrapedResults = await scrapeMultipleUrls(searchResults);
+function printOutput(stage, output, format) {
+  if (format === "json") {
+    console.log(JSON.stringify({ stage, output }, null, 2));
+    return;
+  }
 
-    if (scrapedResults.length === 0) {
-      throw new Error("No content could be scraped");
+  console.log(`\n========= ${stage.toUpperCase()} OUTPUT =========`);
+  if (stage === "search" || stage === "scrape") {
+    for (const result of output) {
+      const size = result.content ? ` (${result.content.length} chars)` : "";
+      console.log(`- ${result.title}${size}\n  ${result.url}`);
     }
-    console.log(`Successfully scraped ${scrapedResults.length} articles`);
-
-    // Step 3: Generate high-quality summary
-    console.log("\nGenerating summary with Gemini...");
-    const summarizedArticles = await summarizeAllContent(scrapedResults);
-
-
-    if (summarizedArticles.length === 0 || !summarizedArticles[0].summary) {
-      throw new Error("No summary could be generated");
+  } else if (stage === "summarize") {
+    console.log(formatDigestText(output));
+  } else if (stage === "preview") {
+    console.log(output.text);
+    if (output.templateError) {
+      console.log(`\nWhatsApp template error: ${output.templateError}`);
+    } else {
+      const more = output.payloads.length > 1 ? ` (${output.payloads.length - 1} more in the preview files)` : "";
+      console.log(`\nWhatsApp payload${more}:\n${JSON.stringify(output.payloads[0], null, 2)}`);
     }
+    console.log(`\nPreview written to ${output.dir}`);
+  } else {
+    console.log(JSON.stringify(output, null, 2));
+  }
+  console.log("===================================\n");
+}
 
-    // Step 4: Send WhatsApp message
-    console.log("\nSending WhatsApp message...");
-    await sendArticleSummaries(summarizedArticles);
-
+/**
+ * Main function to execute the entire process for every requested profile
+ * @param {Object} options - Run options from parseCliArgs
+ */
+async function main(options) {
+  try {
+    console.log("Starting EdTech news aggregation process");
+    await executeRun(options, {
+      onOutput: (profile, stage, output) => printOutput(stage, output, options.format),
+    });
     console.log("\nProcess completed successfully!");
   } catch (error) {
     console.error("Process failed:", error.message);
+    if (error.run) {
+      console.error(`Resume with: node src/index.js --resume ${error.run.runId}`);
+    }
+    await disconnectDatabase();
     process.exit(1);
   }
+
+  await disconnectDatabase();
+}
+
+try {
+  checkConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
 }
 
-// Run the process
-main();
+let options;
+try {
+  options = parseCliArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.log(USAGE);
+} else {
+  // Run the process
+  main(options);
+}
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Define schema for cached scrape and summary outputs
+const cacheEntrySchema = new mongoose.Schema({
+  // Hash of the namespace, normalized URL and version
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Kind of output (scrape, summary)
+  namespace: {
+    type: String,
+    required: true,
+  },
+  // Normalized URL the output belongs to
+  url: {
+    type: String,
+    index: true,
+  },
+  // Cached output
+  value: mongoose.Schema.Types.Mixed,
+  // Date the output was produced
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  // Date after which the output is only used when replaying
+  expiresAt: Date,
+});
+
+const CacheEntry = mongoose.model("CacheEntry", cacheEntrySchema);
+
+export default CacheEntry;
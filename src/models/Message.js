@@ -1,38 +1,105 @@
 import mongoose from "mongoose";
 
+// One digest item as returned by the summarizer (see util/digest.js)
+const digestItemSchema = new mongoose.Schema(
+  {
+    headline: { type: String, required: true },
+    summary: { type: String, required: true },
+    sourceUrl: { type: String, required: true },
+    category: String,
+    keyStat: String,
+    confidence: Number,
+    // Other sites reporting the same story
+    supportingSources: [String],
+  },
+  { _id: false }
+);
+
+// Outcome of sending the digest to one recipient on one channel
+const deliverySchema = new mongoose.Schema(
+  {
+    // Delivery channel (whatsapp, email, slack, telegram, webhook)
+    channel: { type: String, default: "whatsapp" },
+    // Phone number, email address, chat ID, or the channel name for webhooks
+    recipient: { type: String, required: true },
+    status: { type: String, enum: ["sent", "failed"], required: true },
+    // Message ID returned by the channel, when it has one
+    messageId: String,
+    error: String,
+    // Send attempts including rate limit retries
+    attempts: Number,
+    sentAt: Date,
+  },
+  { _id: false }
+);
+
 // Define message schema for storing generated messages
 const messageSchema = new mongoose.Schema({
-  // Unique identifier for this type of message - used to replace daily
+  // Identifier for this type of message (e.g. edtech_daily_summary)
   messageType: {
     type: String,
     required: true,
     index: true,
-    unique: true,
   },
-  // Content of the message
+  // Day the digest covers (YYYY-MM-DD)
+  digestDate: {
+    type: String,
+    required: true,
+  },
+  // Revision of the day's digest; a changed digest gets a new revision once
+  // the previous one was delivered to anyone
+  revision: {
+    type: Number,
+    default: 1,
+  },
+  // Digest title (from the topic profile)
+  title: String,
+  // Plain text rendering of the items
   content: {
     type: String,
     required: true,
   },
+  // Structured digest items - the source of truth for senders
+  items: [digestItemSchema],
   // Date the message was generated
   generatedAt: {
     type: Date,
     default: Date.now,
   },
-  // Status of the message (pending, sent, failed)
+  // Status of the message (pending, awaiting_approval, sent, partially_sent, failed)
   status: {
     type: String,
-    enum: ["pending", "sent", "failed"],
+    enum: ["pending", "awaiting_approval", "sent", "partially_sent", "failed"],
     default: "pending",
   },
+  // Who approved the digest for delivery and when, for profiles requiring approval
+  approvedAt: Date,
+  approvedBy: String,
+  // Date the message was delivered
+  sentAt: Date,
+  // Error reported by the sender when delivery failed
+  error: String,
+  // Response returned by the sender
+  deliveryResult: mongoose.Schema.Types.Mixed,
+  // Latest outcome per recipient, so retries skip those already sent
+  deliveries: [deliverySchema],
   // Metadata about the message
   metadata: {
     articleCount: Number,
     searchQuery: String,
+    // Run that generated the digest; approval and retries resume its send stage
+    runId: { type: String, index: true },
     sources: [String],
+    // LLM provider and model that generated the digest
+    provider: String,
+    model: String,
   },
 });
 
+// Keeps a history of digests while allowing same-day reruns to replace an
+// undelivered digest
+messageSchema.index({ messageType: 1, digestDate: -1, revision: -1 }, { unique: true });
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Define schema for pipeline runs, used to resume failed runs
+const pipelineRunSchema = new mongoose.Schema({
+  // Identifier passed to --resume
+  runId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Status of the run (running, completed, failed)
+  status: {
+    type: String,
+    enum: ["running", "completed", "failed"],
+    default: "running",
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  finishedAt: Date,
+  // Options the run was started with (profiles, query, count, days, ...)
+  options: mongoose.Schema.Types.Mixed,
+  // Per-profile status with timings and counts for every stage
+  profiles: mongoose.Schema.Types.Mixed,
+});
+
+const PipelineRun = mongoose.model("PipelineRun", pipelineRunSchema);
+
+export default PipelineRun;
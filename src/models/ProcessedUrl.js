@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Define schema for URLs seen across runs, used to avoid duplicate scraping
+const processedUrlSchema = new mongoose.Schema({
+  // Normalized URL used as the deduplication key
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // URL as it was first returned by search
+  originalUrl: String,
+  // Date the URL was first returned by search
+  firstSeen: {
+    type: Date,
+    default: Date.now,
+  },
+  // Date the URL was last returned by search
+  lastSeen: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  // Outcome of the most recent scrape (pending, success, failed)
+  scrapeStatus: {
+    type: String,
+    enum: ["pending", "success", "failed"],
+    default: "pending",
+  },
+  // Number of scrape attempts made so far
+  scrapeAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // Cheapest tier that produced the content (feed, http, browser)
+  fetchTier: {
+    type: String,
+    enum: ["feed", "http", "browser"],
+  },
+  // Whether the URL was cited in any delivered digest
+  inDigest: {
+    type: Boolean,
+    default: false,
+  },
+  // Topic profiles whose digests cited the URL
+  digestedIn: [String],
+  // Date the URL was last delivered in a digest
+  digestedAt: Date,
+});
+
+const ProcessedUrl = mongoose.model("ProcessedUrl", processedUrlSchema);
+
+export default ProcessedUrl;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Define schema for digest recipients (the audience list)
+const recipientSchema = new mongoose.Schema({
+  // Phone number in international format, digits only
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  name: String,
+  // Whether the recipient agreed to receive digests (opted_in, opted_out)
+  status: {
+    type: String,
+    enum: ["opted_in", "opted_out"],
+    default: "opted_in",
+  },
+  // WhatsApp template language code, e.g. en_US
+  language: String,
+  // Topic profiles whose digests the recipient receives
+  profiles: {
+    type: [String],
+    default: ["default"],
+  },
+  optedInAt: Date,
+  optedOutAt: Date,
+});
+
+const Recipient = mongoose.model("Recipient", recipientSchema);
+
+export default Recipient;
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Define schema for the output of a completed pipeline stage
+const runCheckpointSchema = new mongoose.Schema({
+  // Run the checkpoint belongs to
+  runId: {
+    type: String,
+    required: true,
+  },
+  // Topic profile name
+  profile: {
+    type: String,
+    required: true,
+  },
+  // Stage that produced the output (search, scrape, summarize, send)
+  stage: {
+    type: String,
+    required: true,
+  },
+  // Output of the stage
+  output: mongoose.Schema.Types.Mixed,
+  savedAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+// One checkpoint per stage per profile per run
+runCheckpointSchema.index({ runId: 1, profile: 1, stage: 1 }, { unique: true });
+
+const RunCheckpoint = mongoose.model("RunCheckpoint", runCheckpointSchema);
+
+export default RunCheckpoint;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Define schema for profile locks, so overlapping runs cannot send twice
+const runLockSchema = new mongoose.Schema({
+  // Profile name
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Run holding the lock
+  owner: {
+    type: String,
+    required: true,
+  },
+  // Host and process holding the lock, for diagnostics
+  holder: String,
+  // Locks of crashed runs are taken over after this time
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+const RunLock = mongoose.model("RunLock", runLockSchema);
+
+export default RunLock;
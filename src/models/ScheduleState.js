@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Define schema for the daemon's scheduling state per profile
+const scheduleStateSchema = new mongoose.Schema({
+  // Profile name
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Latest scheduled time claimed by a daemon; each time runs at most once
+  lastScheduledAt: Date,
+  // Run started for that time and how it ended (completed, failed, missed)
+  lastRunId: String,
+  lastStatus: String,
+});
+
+const ScheduleState = mongoose.model("ScheduleState", scheduleStateSchema);
+
+export default ScheduleState;
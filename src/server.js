@@ -0,0 +1,52 @@
+import { createAdminServer } from "./services/adminApi.js";
+import { closeBrowser } from "./services/scraper.js";
+import { disconnectDatabase } from "./util/db.js";
+import { config, checkConfig } from "./util/config.js";
+
+/**
+ * Starts the admin API and shuts down cleanly on SIGINT or SIGTERM
+ */
+async function startServer() {
+  checkConfig();
+  const server = createAdminServer();
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.warn(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`\nReceived ${signal}, shutting down...`);
+    await server.stop();
+
+    // Give a run in progress the chance to finish before its resources go
+    const { shutdownTimeoutMs } = config.scheduler;
+    const finished = await Promise.race([
+      server.idle().then(() => true),
+      new Promise((resolve) => setTimeout(() => resolve(false), shutdownTimeoutMs).unref()),
+    ]);
+    if (!finished) {
+      console.warn(
+        `Run still in progress after ${shutdownTimeoutMs / 1000}s, stopping it; resume it with --resume`
+      );
+    }
+
+    await closeBrowser();
+    await disconnectDatabase();
+    console.log("Admin API stopped");
+    process.exit(finished ? 0 : 1);
+  };
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+  await server.start();
+}
+
+try {
+  await startServer();
+} catch (error) {
+  console.error("Admin API failed to start:", error.message);
+  process.exit(1);
+}
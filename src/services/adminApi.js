@@ -0,0 +1,551 @@
+import crypto from "crypto";
+import http from "http";
+import { config } from "../util/config.js";
+import { parseCliArgs } from "../util/cli.js";
+import { resolveProfiles } from "../util/profiles.js";
+import { connectDatabase } from "../util/db.js";
+import { executeRun } from "./runner.js";
+import { createRunStore } from "./runStore.js";
+import { createAudienceStore, saveRecipient, resolveRecipients, normalizePhone } from "./audience.js";
+import { listDigests, getDigest, approveDigest } from "./digestService.js";
+import { buildPayloads } from "./preview.js";
+import { getRenderer } from "./renderers/index.js";
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Largest number of runs or digests a list request returns
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Creates an error that is answered with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message returned to the client
+ * @returns {Error} - Error with a status property
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} data - Response body
+ */
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data, null, 2) + "\n";
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body, or {} when empty
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString("utf8").trim();
+  if (!text) return {};
+  try {
+    const body = JSON.parse(text);
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+      throw new Error("expected an object");
+    }
+    return body;
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * Checks the request's bearer token in constant time
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} token - Expected token
+ * @returns {boolean} - Whether the request is authorized
+ */
+function isAuthorized(req, token) {
+  const [scheme, provided] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !provided) return false;
+
+  // Hashing first gives equal lengths, which timingSafeEqual requires
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(provided), hash(token));
+}
+
+/**
+ * Parses the limit query parameter of list endpoints
+ * @param {URLSearchParams} query - Query parameters
+ * @param {number} fallback - Limit when none is given
+ * @returns {number} - Limit between 1 and MAX_LIST_LIMIT
+ */
+function parseLimit(query, fallback) {
+  if (!query.has("limit")) return fallback;
+  const limit = Number(query.get("limit"));
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw httpError(400, "limit must be a positive whole number");
+  }
+  return Math.min(limit, MAX_LIST_LIMIT);
+}
+
+/**
+ * Rejects digests saved before digests had a title and structured items;
+ * only their plain text content can be shown
+ * @param {Object} message - Message document
+ */
+function assertStructured(message) {
+  if (!message.title || !Array.isArray(message.items) || message.items.length === 0) {
+    throw httpError(
+      422,
+      `Digest ${message._id} has no title or structured items, only its text content is available`
+    );
+  }
+}
+
+/**
+ * Turns a run request body into command line arguments, so runs started
+ * through the API are validated exactly like CLI runs
+ * @param {Object} body - { profiles, query, count, days, recipients, stages,
+ * resume, dryRun, testRecipient, refresh, replay }
+ * @returns {Array<string>} - Arguments for parseCliArgs
+ */
+function toRunArgs(body) {
+  const list = (value, name) => {
+    const values = [].concat(value ?? []);
+    if (values.some((item) => typeof item !== "string" && typeof item !== "number")) {
+      throw httpError(400, `${name} must be a string or a list of strings`);
+    }
+    return values.map(String);
+  };
+
+  const args = [];
+  for (const profile of list(body.profiles, "profiles")) args.push("--profile", profile);
+  for (const recipient of list(body.recipients, "recipients")) args.push("--recipient", recipient);
+  for (const name of ["query", "count", "days", "resume", "testRecipient"]) {
+    if (body[name] === undefined || body[name] === null || body[name] === "") continue;
+    const [value] = list(body[name], name);
+    args.push(`--${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`, value);
+  }
+  if (body.stages) args.push("--stages", list(body.stages, "stages").join(","));
+  if (body.dryRun) args.push("--dry-run");
+  if (body.refresh) args.push("--refresh");
+  if (body.replay) args.push("--replay");
+  return args;
+}
+
+/**
+ * Creates the admin API server: endpoints to start and inspect runs, browse,
+ * preview and approve digests, and manage recipients. Every endpoint except
+ * GET /health requires the config.admin.token bearer token. Runs execute in
+ * this process one at a time.
+ * @param {Object} options - Overrides for config.admin
+ * @returns {Object} - { start, stop, idle }
+ */
+function createAdminServer(options = {}) {
+  const { port, host, token } = { ...config.admin, ...options };
+  if (!token) {
+    throw new Error("ADMIN_API_TOKEN must be set to start the admin API");
+  }
+
+  const runStore = createRunStore();
+  const audienceStore = createAudienceStore();
+  let activeRun = null;
+
+  /**
+   * Claims the single run slot, so no other request can start a run until
+   * the claim is released or its run finishes
+   * @returns {Object} - Claim, the record of the active run
+   */
+  function claimRun() {
+    if (activeRun) {
+      throw httpError(409, `Run ${activeRun.runId ?? "starting"} is still in progress`);
+    }
+    activeRun = { runId: null, done: null };
+    return activeRun;
+  }
+
+  /**
+   * Frees the run slot held by a claim, once its run finished or never started
+   * @param {Object} claim - Claim returned by claimRun
+   */
+  function releaseRun(claim) {
+    if (activeRun === claim) activeRun = null;
+  }
+
+  /**
+   * Starts a run in the background
+   * @param {Object} runOptions - Run options from parseCliArgs
+   * @param {Object} current - Claim returned by claimRun, made now if not given
+   * @returns {Promise<Object>} - Run record, once it has been saved
+   */
+  function startRun(runOptions, current = claimRun()) {
+    return new Promise((resolve, reject) => {
+      current.done = executeRun(runOptions, {
+        onStart: (run) => {
+          current.runId = run.runId;
+          resolve(run);
+        },
+      })
+        .then((run) => console.log(`Run ${run.runId} ${run.status}`))
+        .catch((error) => {
+          console.error(`Run ${error.run?.runId ?? "(not started)"} failed: ${error.message}`);
+          // Ignored once the run has started
+          reject(httpError(error.run ? 500 : 400, error.message));
+        })
+        .finally(() => releaseRun(current));
+    });
+  }
+
+  /**
+   * Loads a digest or fails with 404
+   * @param {string} id - Message ID
+   * @returns {Promise<Object>} - Message document
+   */
+  async function findDigest(id) {
+    await connectDatabase();
+    const message = await getDigest(id);
+    if (!message) {
+      throw httpError(404, `Digest ${id} not found`);
+    }
+    return message;
+  }
+
+  // [method, path pattern, handler(params, query, req)] resolving to
+  // { status, body } or { status, contentType, text }
+  const routes = [
+    ["GET", /^\/health$/, async () => ({ status: 200, body: { status: "ok" } })],
+
+    [
+      "GET",
+      /^\/runs$/,
+      async (params, query) => ({
+        status: 200,
+        body: {
+          activeRunId: activeRun?.runId ?? null,
+          runs: await runStore.listRuns(parseLimit(query, 20)),
+        },
+      }),
+    ],
+
+    [
+      "POST",
+      /^\/runs$/,
+      async (params, query, req) => {
+        const body = await readJsonBody(req);
+        let runOptions;
+        try {
+          runOptions = parseCliArgs(toRunArgs(body));
+        } catch (error) {
+          throw error.status ? error : httpError(400, error.message);
+        }
+        const run = await startRun(runOptions);
+        return { status: 202, body: run };
+      },
+    ],
+
+    [
+      "GET",
+      /^\/runs\/([\w-]+)$/,
+      async ([runId]) => {
+        const run = await runStore.loadRun(runId);
+        if (!run) {
+          throw httpError(404, `Run ${runId} not found`);
+        }
+        return { status: 200, body: run };
+      },
+    ],
+
+    [
+      "GET",
+      /^\/digests$/,
+      async (params, query) => {
+        await connectDatabase();
+        const digests = await listDigests({
+          messageType: query.get("messageType") || null,
+          status: query.get("status") || undefined,
+          limit: parseLimit(query, 30),
+        });
+        return { status: 200, body: digests };
+      },
+    ],
+
+    [
+      "GET",
+      /^\/digests\/(\w+)$/,
+      async ([id], query) => {
+        const message = await findDigest(id);
+        if (!query.has("format")) {
+          return { status: 200, body: message };
+        }
+
+        let renderer;
+        try {
+          renderer = getRenderer(query.get("format"));
+        } catch (error) {
+          throw httpError(400, error.message);
+        }
+        assertStructured(message);
+        return {
+          status: 200,
+          contentType: renderer.contentType,
+          text: renderer.render(message, {}),
+        };
+      },
+    ],
+
+    [
+      "GET",
+      /^\/digests\/(\w+)\/preview$/,
+      async ([id], query) => {
+        const message = await findDigest(id);
+        assertStructured(message);
+
+        // Address the payloads to ?recipient= or to the digest's audience
+        let recipients;
+        if (query.has("recipient")) {
+          recipients = [
+            {
+              phone: normalizePhone(query.get("recipient")),
+              language: query.get("language") || config.whatsapp.defaultLanguage,
+            },
+          ];
+        } else {
+          const profile = resolveProfiles(["all"]).find(
+            (candidate) => candidate.messageType === message.messageType
+          );
+          recipients = profile ? await resolveRecipients(audienceStore, profile) : [];
+        }
+        if (recipients.length === 0) {
+          recipients = [{ phone: "<recipient>", language: config.whatsapp.defaultLanguage }];
+        }
+
+        const { payloads, error } = buildPayloads(message, recipients);
+        return { status: 200, body: { templateError: error, payloads } };
+      },
+    ],
+
+    [
+      "POST",
+      /^\/digests\/(\w+)\/approve$/,
+      async ([id], query, req) => {
+        const body = await readJsonBody(req);
+        const approvedBy = body.approvedBy ?? "admin";
+        if (typeof approvedBy !== "string" || !approvedBy.trim()) {
+          throw httpError(400, "approvedBy must be a non-empty string");
+        }
+        const message = await findDigest(id);
+        if (message.status !== "awaiting_approval") {
+          throw httpError(409, `Digest ${id} is not awaiting approval (status: ${message.status})`);
+        }
+
+        const runId = message.metadata?.runId;
+        const sourceRun = runId ? await runStore.loadRun(runId) : null;
+        if (!sourceRun) {
+          throw httpError(409, `Run ${runId} that generated digest ${id} no longer exists`);
+        }
+        // Only the profile that produced this digest is resumed
+        const profile = resolveProfiles(sourceRun.options.profiles, sourceRun.options.query).find(
+          (candidate) => candidate.messageType === message.messageType
+        );
+        if (!profile) {
+          throw httpError(409, `Run ${runId} has no profile for ${message.messageType} digests`);
+        }
+        // Delivery happens in the send stage of the run that made the digest
+        const runOptions = parseCliArgs([
+          "--resume", runId, "--profile", profile.name, "--stages", "send",
+        ]);
+
+        // Claimed before approving, so concurrent approvals cannot both
+        // start a delivery
+        const claim = claimRun();
+        let approved;
+        try {
+          approved = await approveDigest(id, approvedBy);
+        } catch (error) {
+          releaseRun(claim);
+          throw error;
+        }
+        if (!approved) {
+          releaseRun(claim);
+          throw httpError(409, `Digest ${id} is not awaiting approval`);
+        }
+        const run = await startRun(runOptions, claim);
+        return { status: 202, body: { digest: approved, run } };
+      },
+    ],
+
+    [
+      "GET",
+      /^\/recipients$/,
+      async (params, query) => {
+        const status = query.get("status");
+        const profile = query.get("profile");
+        const recipients = (await audienceStore.list()).filter(
+          (recipient) =>
+            (!status || recipient.status === status) &&
+            (!profile || recipient.profiles.includes(profile))
+        );
+        return { status: 200, body: recipients };
+      },
+    ],
+
+    [
+      "POST",
+      /^\/recipients$/,
+      async (params, query, req) => {
+        const body = await readJsonBody(req);
+        try {
+          return { status: 200, body: await saveRecipient(audienceStore, body) };
+        } catch (error) {
+          throw httpError(400, error.message);
+        }
+      },
+    ],
+
+    [
+      "PATCH",
+      /^\/recipients\/([^/]+)$/,
+      async ([phone], query, req) => {
+        const body = await readJsonBody(req);
+        const normalized = normalizePhone(decodeURIComponent(phone));
+        const existing = (await audienceStore.list()).find((r) => r.phone === normalized);
+        if (!existing) {
+          throw httpError(404, `Recipient ${normalized} not found`);
+        }
+        try {
+          return {
+            status: 200,
+            body: await saveRecipient(audienceStore, { ...body, phone: normalized }),
+          };
+        } catch (error) {
+          throw httpError(400, error.message);
+        }
+      },
+    ],
+
+    [
+      "DELETE",
+      /^\/recipients\/([^/]+)$/,
+      async ([phone]) => {
+        const normalized = normalizePhone(decodeURIComponent(phone));
+        if (!(await audienceStore.remove(normalized))) {
+          throw httpError(404, `Recipient ${normalized} not found`);
+        }
+        return { status: 200, body: { removed: normalized } };
+      },
+    ],
+  ];
+
+  /**
+   * Routes a request to its handler and writes the response
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async function handleRequest(req, res) {
+    let url;
+    try {
+      try {
+        url = new URL(req.url, "http://localhost");
+      } catch {
+        throw httpError(400, "Invalid request URL");
+      }
+
+      const matching = routes
+        .map(([method, pattern, handler]) => ({ method, handler, match: pattern.exec(url.pathname) }))
+        .filter((route) => route.match);
+      if (matching.length === 0) {
+        throw httpError(404, `No endpoint at ${url.pathname}`);
+      }
+      const route = matching.find((candidate) => candidate.method === req.method);
+      if (!route) {
+        res.setHeader("Allow", matching.map((candidate) => candidate.method).join(", "));
+        throw httpError(405, `${req.method} is not allowed on ${url.pathname}`);
+      }
+      if (url.pathname !== "/health" && !isAuthorized(req, token)) {
+        res.setHeader("WWW-Authenticate", "Bearer");
+        throw httpError(401, "Missing or invalid bearer token");
+      }
+
+      const result = await route.handler(route.match.slice(1), url.searchParams, req);
+      if (result.text !== undefined) {
+        res.writeHead(result.status, { "Content-Type": result.contentType });
+        res.end(result.text);
+      } else {
+        sendJson(res, result.status, result.body);
+      }
+    } catch (error) {
+      // Malformed percent-encoding in a path parameter is the client's fault
+      const status = error.status || (error instanceof URIError ? 400 : 500);
+      if (status === 500) {
+        console.error(`${req.method} ${url?.pathname ?? req.url} failed:`, error.message);
+      }
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendJson(res, status, { error: error.message });
+      }
+    }
+  }
+
+  // A request must never take the process down, whatever goes wrong in it
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error(`${req.method} ${req.url} failed:`, error.message);
+      res.destroy();
+    });
+  });
+
+  return {
+    /**
+     * Starts listening on config.admin.host and config.admin.port
+     * @returns {Promise<Object>} - Resolves with the bound { address, port }
+     * once the server is listening
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          console.log(`Admin API listening on http://${host}:${address.port}`);
+          resolve(address);
+        });
+      });
+    },
+
+    /**
+     * Stops accepting requests; a run in progress continues
+     * @returns {Promise<void>} - Resolves once open connections are closed
+     */
+    stop() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeIdleConnections();
+      });
+    },
+
+    /**
+     * Waits for the run in progress, if any
+     * @returns {Promise<void>} - Resolves once no run is in progress
+     */
+    async idle() {
+      await activeRun?.done;
+    },
+  };
+}
+
+export { createAdminServer };
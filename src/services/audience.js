@@ -0,0 +1,232 @@
+import fs from "fs/promises";
+import { config } from "../util/config.js";
+import { connectDatabase } from "../util/db.js";
+import { resolveProfiles } from "../util/profiles.js";
+import Recipient from "../models/Recipient.js";
+
+const STATUSES = ["opted_in", "opted_out"];
+
+// WhatsApp template language codes, e.g. "en" or "en_US"
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(_[A-Za-z0-9]{2,4})?$/;
+
+/**
+ * Strips everything but digits from a phone number
+ * @param {string} phone - Phone number in any format
+ * @returns {string} - Digits only
+ */
+function normalizePhone(phone) {
+  return String(phone || "").replace(/\D/g, "");
+}
+
+/**
+ * Fills in defaults and validates a recipient definition
+ * @param {Object} definition - Recipient as stored or submitted
+ * @returns {Object} - Recipient
+ */
+function normalizeRecipient(definition) {
+  const phone = normalizePhone(definition.phone);
+  if (phone.length < 8) {
+    throw new Error(`Invalid phone number "${definition.phone}"`);
+  }
+
+  const status = definition.status || "opted_in";
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}" for ${phone}. Valid statuses: ${STATUSES.join(", ")}`);
+  }
+
+  const name = definition.name || "";
+  if (typeof name !== "string") {
+    throw new Error(`Invalid name for ${phone}: must be a string`);
+  }
+
+  const language = definition.language || config.whatsapp.defaultLanguage;
+  if (typeof language !== "string" || !LANGUAGE_PATTERN.test(language)) {
+    throw new Error(
+      `Invalid language ${JSON.stringify(language)} for ${phone}: expected a code like "en" or "en_US"`
+    );
+  }
+
+  const profiles = definition.profiles ?? [];
+  if (!Array.isArray(profiles) || profiles.some((profile) => typeof profile !== "string")) {
+    throw new Error(`Invalid profiles for ${phone}: must be an array of profile names`);
+  }
+
+  return {
+    phone,
+    name,
+    status,
+    language,
+    profiles: profiles.length > 0 ? profiles : ["default"],
+    optedInAt: definition.optedInAt || null,
+    optedOutAt: definition.optedOutAt || null,
+  };
+}
+
+/**
+ * Creates an audience store backed by a JSON file (recipients.json by default)
+ * holding an array of recipients
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} - Audience store
+ */
+function createFileAudienceStore(filePath) {
+  const read = async () => {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+      return (Array.isArray(data) ? data : []).map(normalizeRecipient);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(`Could not load recipients from ${filePath}: ${error.message}`);
+    }
+  };
+
+  const write = async (recipients) => {
+    await fs.writeFile(filePath, JSON.stringify(recipients, null, 2) + "\n");
+  };
+
+  return {
+    async list() {
+      return read();
+    },
+
+    async upsert(recipient) {
+      const recipients = await read();
+      const index = recipients.findIndex((r) => r.phone === recipient.phone);
+      if (index === -1) {
+        recipients.push(recipient);
+      } else {
+        recipients[index] = recipient;
+      }
+      await write(recipients);
+      return recipient;
+    },
+
+    async remove(phone) {
+      const recipients = await read();
+      const remaining = recipients.filter((r) => r.phone !== phone);
+      await write(remaining);
+      return remaining.length < recipients.length;
+    },
+  };
+}
+
+/**
+ * Creates an audience store backed by the Recipient MongoDB collection
+ * @returns {Object} - Audience store
+ */
+function createMongoAudienceStore() {
+  return {
+    async list() {
+      await connectDatabase();
+      const docs = await Recipient.find().lean();
+      return docs.map(normalizeRecipient);
+    },
+
+    async upsert(recipient) {
+      await connectDatabase();
+      await Recipient.updateOne({ phone: recipient.phone }, { $set: recipient }, { upsert: true });
+      return recipient;
+    },
+
+    async remove(phone) {
+      await connectDatabase();
+      const result = await Recipient.deleteOne({ phone });
+      return result.deletedCount > 0;
+    },
+  };
+}
+
+/**
+ * Creates the audience store configured in config.audience
+ * @param {Object} options - Overrides for config.audience
+ * @returns {Object} - Audience store
+ */
+function createAudienceStore(options = {}) {
+  const { backend, filePath } = { ...config.audience, ...options };
+
+  if (backend === "mongo") {
+    return createMongoAudienceStore();
+  }
+  if (backend === "file") {
+    return createFileAudienceStore(filePath);
+  }
+  throw new Error(`Unknown audience backend: ${backend}`);
+}
+
+/**
+ * Adds or updates a recipient, stamping opt-in and opt-out dates when the
+ * status changes
+ * @param {Object} store - Audience store
+ * @param {Object} definition - Recipient fields
+ * @returns {Promise<Object>} - Saved recipient
+ */
+async function saveRecipient(store, definition) {
+  const phone = normalizePhone(definition.phone);
+  const existing = (await store.list()).find((r) => r.phone === phone);
+  const recipient = normalizeRecipient({ ...existing, ...definition, phone });
+
+  // Checked on save only, so recipients of a profile removed later still load
+  const known = resolveProfiles(["all"]).map((profile) => profile.name);
+  const unknown = recipient.profiles.filter((profile) => !known.includes(profile));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown profile "${unknown[0]}" for ${phone}. Available profiles: ${known.join(", ")}`
+    );
+  }
+
+  const now = new Date().toISOString();
+  if (recipient.status !== existing?.status) {
+    if (recipient.status === "opted_in") recipient.optedInAt = now;
+    if (recipient.status === "opted_out") recipient.optedOutAt = now;
+  }
+
+  return store.upsert(recipient);
+}
+
+/**
+ * Resolves who receives a profile's digest. Recipients given on the command
+ * line win; otherwise opted-in audience members subscribed to the profile,
+ * falling back to the profile's recipients or WHATSAPP_RECIPIENTS when the
+ * audience list is empty. Opted-out numbers are never included.
+ * @param {Object} store - Audience store
+ * @param {Object} profile - Topic profile
+ * @param {Array<string>} cliRecipients - Recipients from --recipient
+ * @returns {Promise<Array<Object>>} - Recipients { phone, name, language }
+ */
+async function resolveRecipients(store, profile, cliRecipients) {
+  const audience = await store.list();
+  const optedOut = new Set(
+    audience.filter((r) => r.status === "opted_out").map((r) => r.phone)
+  );
+  const byPhone = new Map(audience.map((r) => [r.phone, r]));
+
+  const fromNumbers = (numbers) =>
+    numbers.map((number) => {
+      const phone = normalizePhone(number);
+      return byPhone.get(phone) || normalizeRecipient({ phone });
+    });
+
+  let recipients;
+  if (cliRecipients) {
+    recipients = fromNumbers(cliRecipients);
+  } else if (audience.length > 0) {
+    recipients = [
+      ...audience.filter(
+        (r) => r.status === "opted_in" && r.profiles.includes(profile.name)
+      ),
+      ...fromNumbers(profile.recipients),
+    ];
+  } else {
+    recipients = fromNumbers(
+      profile.recipients.length > 0 ? profile.recipients : config.whatsapp.recipients
+    );
+  }
+
+  const seen = new Set();
+  return recipients.filter((recipient) => {
+    if (optedOut.has(recipient.phone) || seen.has(recipient.phone)) return false;
+    seen.add(recipient.phone);
+    return true;
+  });
+}
+
+export { createAudienceStore, saveRecipient, resolveRecipients, normalizePhone };
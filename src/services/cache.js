@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../util/config.js";
+import { connectDatabase } from "../util/db.js";
+import { normalizeUrl } from "../util/url.js";
+import CacheEntry from "../models/CacheEntry.js";
+
+// Cache store shared by the scraper and summarizer, created on first use
+let storePromise = null;
+
+/**
+ * Creates a cache store keeping one JSON file per entry under a directory
+ * @param {string} dir - Cache directory
+ * @returns {Object} - Cache store
+ */
+function createFileCache(dir) {
+  const entryPath = (namespace, key) => path.join(dir, namespace, `${key}.json`);
+
+  return {
+    async get(namespace, key) {
+      try {
+        return JSON.parse(await fs.readFile(entryPath(namespace, key), "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.warn(`Could not read cache entry ${key}: ${error.message}`);
+        }
+        return null;
+      }
+    },
+
+    async set(entry) {
+      const filePath = entryPath(entry.namespace, entry.key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(entry));
+    },
+
+    async prune(cutoff) {
+      let removed = 0;
+      let namespaces;
+      try {
+        namespaces = await fs.readdir(dir);
+      } catch {
+        return removed;
+      }
+
+      for (const namespace of namespaces) {
+        for (const file of await fs.readdir(path.join(dir, namespace))) {
+          const filePath = path.join(dir, namespace, file);
+          const { mtime } = await fs.stat(filePath);
+          if (mtime < cutoff) {
+            await fs.unlink(filePath);
+            removed++;
+          }
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Creates a cache store backed by the CacheEntry MongoDB collection
+ * @returns {Object} - Cache store
+ */
+function createMongoCache() {
+  return {
+    async get(namespace, key) {
+      await connectDatabase();
+      return CacheEntry.findOne({ key }).lean();
+    },
+
+    async set(entry) {
+      await connectDatabase();
+      await CacheEntry.updateOne({ key: entry.key }, { $set: entry }, { upsert: true });
+    },
+
+    async prune(cutoff) {
+      await connectDatabase();
+      const result = await CacheEntry.deleteMany({ createdAt: { $lt: cutoff } });
+      return result.deletedCount;
+    },
+  };
+}
+
+/**
+ * Returns the cache store configured in config.cache
+ * @returns {Promise<Object>} - Cache store
+ */
+function getStore() {
+  if (!storePromise) {
+    const { backend, dir } = config.cache;
+    if (backend === "mongo") {
+      storePromise = Promise.resolve(createMongoCache());
+    } else if (backend === "file") {
+      storePromise = Promise.resolve(createFileCache(dir));
+    } else {
+      storePromise = Promise.reject(new Error(`Unknown cache backend: ${backend}`));
+    }
+  }
+  return storePromise;
+}
+
+/**
+ * Hashes text with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {string} - Hex digest
+ */
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Builds the content-addressed key for an output
+ * @param {string} namespace - Kind of output (scrape, summary)
+ * @param {string} url - Article URL
+ * @param {string} version - Anything else the output depends on, such as
+ * the prompt and model
+ * @returns {string} - Cache key
+ */
+function cacheKey(namespace, url, version) {
+  return hashText(`${namespace}\n${normalizeUrl(url) || url}\n${version}`);
+}
+
+/**
+ * Reads a cached output
+ * @param {string} namespace - Kind of output (scrape, summary)
+ * @param {string} url - Article URL
+ * @param {string} version - Version the output must match
+ * @param {Object} options - Lookup options
+ * @param {string} options.mode - "normal", "refresh" (ignore the cache) or
+ * "replay" (also use entries past their TTL)
+ * @returns {Promise<*>} - Cached value, or undefined on a miss
+ */
+async function getCached(namespace, url, version, { mode = "normal" } = {}) {
+  if (!config.cache.enabled || mode === "refresh") return undefined;
+
+  try {
+    const store = await getStore();
+    const entry = await store.get(namespace, cacheKey(namespace, url, version));
+    if (!entry) return undefined;
+
+    if (mode !== "replay" && new Date(entry.expiresAt) < new Date()) {
+      return undefined;
+    }
+    return entry.value;
+  } catch (error) {
+    console.warn(`Cache lookup failed for ${url}: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Stores an output in the cache. Failures are logged and ignored.
+ * @param {string} namespace - Kind of output (scrape, summary)
+ * @param {string} url - Article URL
+ * @param {string} version - Version of the output
+ * @param {*} value - Output to cache
+ * @param {number} ttlHours - Hours the entry is used outside replays
+ */
+async function setCached(namespace, url, version, value, ttlHours) {
+  if (!config.cache.enabled) return;
+
+  const now = Date.now();
+  try {
+    const store = await getStore();
+    await store.set({
+      key: cacheKey(namespace, url, version),
+      namespace,
+      url: normalizeUrl(url) || url,
+      value,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlHours * 60 * 60 * 1000).toISOString(),
+    });
+  } catch (error) {
+    console.warn(`Could not cache ${namespace} output for ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes entries older than the retention period
+ * @param {number} retentionDays - Days entries are kept for replays
+ */
+async function pruneCache(retentionDays = config.cache.retentionDays) {
+  if (!config.cache.enabled) return;
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  try {
+    const store = await getStore();
+    const removed = await store.prune(cutoff);
+    if (removed > 0) {
+      console.log(`Cache: pruned ${removed} entries older than ${retentionDays} days`);
+    }
+  } catch (error) {
+    console.warn(`Could not prune cache: ${error.message}`);
+  }
+}
+
+export { getCached, setCached, pruneCache, hashText };
@@ -0,0 +1,177 @@
+import { config } from "../util/config.js";
+
+// Only the opening of each article is compared; rewrites of the same
+// announcement overlap most in their first paragraphs
+const COMPARED_WORDS = 400;
+
+/**
+ * Hashes a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} - Hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Builds the hashed word shingles of an article's title and opening text
+ * @param {Object} article - Scraped article
+ * @param {number} size - Words per shingle
+ * @returns {Set<number>} - Shingle hashes
+ */
+function shingle(article, size) {
+  const words = `${article.title || ""} ${article.content || ""}`
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [];
+  const opening = words.slice(0, COMPARED_WORDS);
+
+  const shingles = new Set();
+  for (let i = 0; i + size <= opening.length; i++) {
+    shingles.add(hashString(opening.slice(i, i + size).join(" ")));
+  }
+  return shingles;
+}
+
+/**
+ * Creates the hash functions used for MinHash signatures. A fixed seed keeps
+ * signatures comparable between runs.
+ * @param {number} count - Number of hash functions
+ * @returns {Array<Object>} - { a, b } coefficients
+ */
+function createPermutations(count) {
+  let seed = 42;
+  const random = () => {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed;
+  };
+  return Array.from({ length: count }, () => ({
+    a: random() | 1,
+    b: random(),
+  }));
+}
+
+/**
+ * Computes a MinHash signature for a set of shingle hashes
+ * @param {Set<number>} shingles - Shingle hashes
+ * @param {Array<Object>} permutations - Hash function coefficients
+ * @returns {Array<number>} - Signature
+ */
+function minHash(shingles, permutations) {
+  return permutations.map(({ a, b }) => {
+    let min = Infinity;
+    for (const value of shingles) {
+      // Seeded 32-bit mix acts as a random permutation of the hashes
+      let hashed = Math.imul(value ^ b, a);
+      hashed ^= hashed >>> 15;
+      hashed = Math.imul(hashed, 0x2c1b3c6d);
+      hashed = (hashed ^ (hashed >>> 12)) >>> 0;
+      if (hashed < min) min = hashed;
+    }
+    return min;
+  });
+}
+
+/**
+ * Estimates the Jaccard similarity of two articles from their signatures
+ * @param {Array<number>} first - MinHash signature
+ * @param {Array<number>} second - MinHash signature
+ * @returns {number} - Similarity from 0 to 1
+ */
+function similarity(first, second) {
+  let matches = 0;
+  for (let i = 0; i < first.length; i++) {
+    if (first[i] === second[i] && first[i] !== Infinity) matches++;
+  }
+  return matches / first.length;
+}
+
+/**
+ * Groups near-duplicate articles (the same story on several sites) and keeps
+ * one representative per story. Articles are expected best first, as
+ * returned by rankArticles, so the first article of each cluster represents it.
+ * @param {Array<Object>} articles - Ranked articles
+ * @returns {Object} - { representatives (with supportingSources), clusters }
+ */
+function clusterArticles(articles) {
+  if (!config.clustering.enabled || articles.length < 2) {
+    return {
+      representatives: articles.map((article) => ({ ...article, supportingSources: [] })),
+      clusters: articles.map((article) => [article]),
+    };
+  }
+
+  const { threshold, shingleSize, numHashes } = config.clustering;
+  const permutations = createPermutations(numHashes);
+  const signatures = articles.map((article) =>
+    minHash(shingle(article, shingleSize), permutations)
+  );
+
+  // Union-find over every pair similar enough to be the same story
+  const parent = articles.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      if (similarity(signatures[i], signatures[j]) >= threshold) {
+        // Keep the better ranked article as the root
+        const [first, second] = [find(i), find(j)].sort((a, b) => a - b);
+        parent[second] = first;
+      }
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((article, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  const clusters = [...groups.values()];
+  const representatives = clusters.map(([representative, ...others]) => ({
+    ...representative,
+    supportingSources: others.map((article) => article.url),
+  }));
+
+  for (const cluster of clusters.filter((cluster) => cluster.length > 1)) {
+    console.log(
+      `Same story on ${cluster.length} sites, using ${cluster[0].url} (also ${cluster.slice(1).map((article) => article.url).join(", ")})`
+    );
+  }
+  console.log(`Grouped ${articles.length} articles into ${clusters.length} distinct stories`);
+
+  return { representatives, clusters };
+}
+
+/**
+ * Copies each representative's supporting sources onto the digest item
+ * that cites it
+ * @param {Object} digest - Digest object
+ * @param {Array<Object>} representatives - Articles returned by clusterArticles
+ * @returns {Object} - Digest with supportingSources on every item
+ */
+function attachSupportingSources(digest, representatives) {
+  const supportingByUrl = new Map(
+    representatives.map((article) => [article.url, article.supportingSources || []])
+  );
+  return {
+    ...digest,
+    items: digest.items.map((item) => ({
+      ...item,
+      supportingSources: supportingByUrl.get(item.sourceUrl) || [],
+    })),
+  };
+}
+
+export { clusterArticles, attachSupportingSources };
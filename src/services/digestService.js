@@ -0,0 +1,266 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { formatDigestText } from "../util/digest.js";
+
+const DEFAULT_MESSAGE_TYPE = "edtech_daily_summary";
+
+let indexesSynced = false;
+
+/**
+ * Returns the local calendar day for a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} - Day key
+ */
+function toDigestDate(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Brings collection indexes in line with the schema. Older deployments have
+ * a unique index on messageType alone which only allows a single digest ever.
+ */
+async function syncMessageIndexes() {
+  if (indexesSynced) return;
+  await Message.syncIndexes();
+  indexesSynced = true;
+}
+
+/**
+ * Checks whether any recipient has received a digest
+ * @param {Object} message - Message document
+ * @returns {boolean} - True once part of the digest went out
+ */
+function hasSentDeliveries(message) {
+  return (
+    ["sent", "partially_sent"].includes(message.status) ||
+    (message.deliveries || []).some((delivery) => delivery.status === "sent")
+  );
+}
+
+/**
+ * Saves a generated digest as a pending Message for today. A digest that
+ * nobody has received yet is replaced by a same-day rerun; once anything was
+ * sent it is never changed again, and different content is saved as a new
+ * revision instead so the record of what went out is kept. Per-recipient
+ * deliveries and approval are kept while the content is unchanged so a
+ * retry only sends to the rest. A resumed run picks up the digest it saved
+ * earlier, even when it is resumed on a later day.
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Object} options - Digest metadata
+ * @param {string} options.searchQuery - Query used to find the articles
+ * @param {number} options.articleCount - Number of articles summarized
+ * @param {string} options.messageType - Message type key
+ * @param {string} options.runId - Run that generated the digest; a digest
+ * already saved by this run is updated instead of today's
+ * @returns {Promise<Object>} - The saved Message document
+ */
+async function saveDigest(digest, options = {}) {
+  const {
+    searchQuery,
+    articleCount,
+    messageType = DEFAULT_MESSAGE_TYPE,
+    runId,
+  } = options;
+
+  await syncMessageIndexes();
+
+  const content = formatDigestText(digest);
+  const fromRun = runId
+    ? await Message.findOne({ messageType, "metadata.runId": runId })
+        .sort({ revision: -1 })
+        .lean()
+    : null;
+  const digestDate = fromRun?.digestDate ?? toDigestDate();
+  const latest =
+    fromRun ??
+    (await Message.findOne({ messageType, digestDate }).sort({ revision: -1 }).lean());
+  const unchanged = latest?.content === content;
+  const sent = latest ? hasSentDeliveries(latest) : false;
+
+  if (sent && unchanged) {
+    console.log(`Digest ${latest._id} was already delivered, retrying the remaining recipients`);
+    return latest;
+  }
+
+  const fields = {
+    title: digest.title,
+    content,
+    items: digest.items,
+    generatedAt: digest.generatedAt,
+    status: "pending",
+    metadata: {
+      articleCount,
+      searchQuery,
+      runId,
+      sources: digest.sources,
+      provider: digest.provider,
+      model: digest.model,
+    },
+  };
+
+  let message;
+  if (!latest || sent) {
+    // Another run may have added revisions since this run's digest
+    const newest = latest
+      ? await Message.findOne({ messageType, digestDate }).sort({ revision: -1 }).lean()
+      : null;
+    const revision = newest ? (newest.revision || 1) + 1 : 1;
+    message = await Message.create({ messageType, digestDate, revision, ...fields });
+    console.log(
+      `Saved ${messageType} digest for ${digestDate}${revision > 1 ? ` as revision ${revision}` : ""} (${message._id})`
+    );
+    return message;
+  }
+
+  // Nobody has received the earlier digest, so it is replaced
+  const deliveries = unchanged ? latest.deliveries || [] : [];
+  message = await Message.findByIdAndUpdate(
+    latest._id,
+    {
+      $set: { ...fields, deliveries },
+      $unset: {
+        sentAt: "",
+        error: "",
+        deliveryResult: "",
+        // A changed digest needs approving again
+        ...(!unchanged && { approvedAt: "", approvedBy: "" }),
+      },
+    },
+    { new: true }
+  );
+
+  console.log(`Saved ${messageType} digest for ${digestDate} (${message._id})`);
+  if (deliveries.length > 0) {
+    console.log(`Kept ${deliveries.length} failed deliveries from the earlier attempt`);
+  }
+  return message;
+}
+
+/**
+ * Records the outcome of delivering a digest. Per-recipient results are
+ * merged into the earlier deliveries, and the status reflects all of them:
+ * sent, partially_sent (some recipients or channels failed) or failed.
+ * @param {string} messageId - ID of the Message document
+ * @param {Object} sendResult - Result returned by deliverDigest
+ * @returns {Promise<Object>} - The updated Message document
+ */
+async function recordDeliveryResult(messageId, sendResult) {
+  const existing = await Message.findById(messageId).lean();
+  const deliveryKey = (delivery) => `${delivery.channel || "whatsapp"}:${delivery.recipient}`;
+  const deliveries = new Map(
+    (existing?.deliveries || []).map((delivery) => [deliveryKey(delivery), delivery])
+  );
+  for (const result of sendResult?.results || []) {
+    const delivery = {
+      channel: result.channel || "whatsapp",
+      recipient: result.recipient,
+      status: result.status,
+      messageId: result.messageId,
+      error: result.error,
+      attempts: result.attempts,
+      sentAt: result.sentAt,
+    };
+    deliveries.set(deliveryKey(delivery), delivery);
+  }
+
+  const merged = [...deliveries.values()];
+  const sentCount = merged.filter((delivery) => delivery.status === "sent").length;
+
+  let update;
+  if (sentCount > 0 && sentCount === merged.length && sendResult.status === "sent") {
+    update = { status: "sent", sentAt: new Date(), deliveryResult: sendResult };
+  } else if (sentCount > 0) {
+    update = {
+      status: "partially_sent",
+      sentAt: new Date(),
+      error:
+        sendResult?.error ||
+        `${merged.length - sentCount} of ${merged.length} recipient(s) failed`,
+      deliveryResult: sendResult,
+    };
+  } else {
+    update = {
+      status: "failed",
+      error: sendResult?.error || sendResult?.reason || "unknown error",
+      deliveryResult: sendResult,
+    };
+  }
+  update.deliveries = merged;
+
+  const message = await Message.findByIdAndUpdate(messageId, update, {
+    new: true,
+  });
+
+  console.log(`Digest ${messageId} marked as ${update.status}`);
+  return message;
+}
+
+/**
+ * Holds a saved digest until it is approved
+ * @param {string} messageId - ID of the Message document
+ * @returns {Promise<Object>} - The updated Message document
+ */
+async function markAwaitingApproval(messageId) {
+  return Message.findByIdAndUpdate(
+    messageId,
+    { status: "awaiting_approval" },
+    { new: true }
+  );
+}
+
+/**
+ * Approves a digest that is awaiting approval
+ * @param {string} messageId - ID of the Message document
+ * @param {string} approvedBy - Who approved it
+ * @returns {Promise<Object|null>} - The updated Message document, or null
+ * if it was not awaiting approval
+ */
+async function approveDigest(messageId, approvedBy) {
+  return Message.findOneAndUpdate(
+    { _id: messageId, status: "awaiting_approval" },
+    { $set: { approvedAt: new Date(), approvedBy } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Fetches a digest by ID
+ * @param {string} messageId - ID of the Message document
+ * @returns {Promise<Object|null>} - Message document, or null if not found
+ */
+async function getDigest(messageId) {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+  return Message.findById(messageId).lean();
+}
+
+/**
+ * Lists past digests, most recent first
+ * @param {Object} options - Query options
+ * @param {string} options.messageType - Message type key; null for every type
+ * @param {string} options.status - Only digests with this status
+ * @param {number} options.limit - Maximum number of digests to return
+ * @returns {Promise<Array<Object>>} - Message documents
+ */
+async function listDigests({ messageType = DEFAULT_MESSAGE_TYPE, status, limit = 30 } = {}) {
+  return Message.find({
+    ...(messageType && { messageType }),
+    ...(status && { status }),
+  })
+    .sort({ digestDate: -1, revision: -1 })
+    .limit(limit)
+    .lean();
+}
+
+export {
+  saveDigest,
+  hasSentDeliveries,
+  recordDeliveryResult,
+  markAwaitingApproval,
+  approveDigest,
+  getDigest,
+  listDigests,
+  toDigestDate,
+};
@@ -0,0 +1,355 @@
+import { load } from "cheerio";
+
+// Elements that never hold article text
+const REMOVE_SELECTORS = [
+  "script:not([type='application/ld+json'])",
+  "style",
+  "noscript",
+  "iframe",
+  "svg",
+  "canvas",
+  "button",
+  "select",
+  "nav",
+  "aside",
+  "footer",
+  "[role='navigation']",
+  "[role='banner']",
+  "[role='contentinfo']",
+  "[role='complementary']",
+  "[role='dialog']",
+  "[aria-hidden='true']",
+  "[hidden]",
+].join(", ");
+
+// Class/id patterns of boilerplate blocks (cookie banners, share bars, menus...)
+const NEGATIVE_PATTERN =
+  /cookie|consent|gdpr|banner|newsletter|subscribe|signup|share|social|related|recommend|comment|promo|sponsor|advert|\bads?\b|\bad-|sidebar|menu|breadcrumb|footer|masthead|\bnav|popup|modal|paywall|outbrain|taboola/i;
+
+// Paragraph text a form must hold to be kept as part of the page
+const MIN_FORM_ARTICLE_TEXT = 200;
+
+// Class/id patterns that suggest article content
+const POSITIVE_PATTERN =
+  /article|content|entry|post|story|body|main|text|blog/i;
+
+const BLOCK_TAGS = new Set([
+  "p", "h1", "h2", "h3", "h4", "h5", "h6", "li", "blockquote", "pre",
+  "figcaption", "td", "dd", "dt",
+]);
+
+const ARTICLE_TYPES = new Set([
+  "Article", "NewsArticle", "BlogPosting", "ReportageNewsArticle",
+  "AnalysisNewsArticle", "TechArticle", "ScholarlyArticle", "Report",
+]);
+
+/**
+ * Collapses whitespace in a string
+ * @param {string} text - Raw text
+ * @returns {string} - Cleaned text
+ */
+function clean(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Finds the first Article-like object in the page's JSON-LD blocks
+ * @param {Object} $ - Cheerio document
+ * @returns {Object|null} - JSON-LD article
+ */
+function findJsonLdArticle($) {
+  const candidates = [];
+
+  $("script[type='application/ld+json']").each((_, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const queue = Array.isArray(data) ? [...data] : [data];
+      while (queue.length > 0) {
+        const node = queue.shift();
+        if (!node || typeof node !== "object") continue;
+        if (Array.isArray(node["@graph"])) queue.push(...node["@graph"]);
+        const types = [].concat(node["@type"] || []);
+        if (types.some((type) => ARTICLE_TYPES.has(type))) {
+          candidates.push(node);
+        }
+      }
+    } catch {
+      // Ignore malformed JSON-LD
+    }
+  });
+
+  return candidates[0] || null;
+}
+
+/**
+ * Reads a name from a JSON-LD person/organization value
+ * @param {*} value - String, object or array
+ * @returns {string} - Name
+ */
+function jsonLdName(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (!first) return "";
+  return clean(typeof first === "string" ? first : first.name);
+}
+
+/**
+ * Reads an image URL from a JSON-LD image value
+ * @param {*} value - String, ImageObject or array
+ * @returns {string} - Image URL
+ */
+function jsonLdImage(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (!first) return "";
+  return typeof first === "string" ? first : first.url || "";
+}
+
+/**
+ * Resolves a possibly relative URL against the page URL
+ * @param {string} value - URL from the page
+ * @param {string} baseUrl - Page URL
+ * @returns {string} - Absolute URL, or an empty string
+ */
+function absoluteUrl(value, baseUrl) {
+  if (!value) return "";
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Extracts page metadata from JSON-LD, Open Graph and standard meta tags
+ * @param {Object} $ - Cheerio document
+ * @param {Object|null} jsonLd - JSON-LD article
+ * @param {string} url - Page URL
+ * @returns {Object} - Metadata
+ */
+function extractMetadata($, jsonLd, url) {
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = $(`meta[property='${name}'], meta[name='${name}']`)
+        .first()
+        .attr("content");
+      if (clean(value)) return clean(value);
+    }
+    return "";
+  };
+
+  return {
+    title:
+      clean(jsonLd?.headline) ||
+      meta("og:title", "twitter:title") ||
+      clean($("h1").first().text()) ||
+      clean($("title").text()),
+    author:
+      jsonLdName(jsonLd?.author) ||
+      meta("author", "article:author", "parsely-author", "sailthru.author") ||
+      clean($("[rel='author'], [itemprop='author']").first().text()),
+    publishedAt:
+      clean(jsonLd?.datePublished) ||
+      meta("article:published_time", "og:published_time", "date", "parsely-pub-date", "dc.date") ||
+      $("time[datetime]").first().attr("datetime") ||
+      "",
+    canonicalUrl:
+      absoluteUrl($("link[rel='canonical']").attr("href"), url) ||
+      absoluteUrl(meta("og:url"), url) ||
+      url,
+    siteName:
+      meta("og:site_name", "application-name") ||
+      jsonLdName(jsonLd?.publisher),
+    leadImage: absoluteUrl(
+      jsonLdImage(jsonLd?.image) || meta("og:image", "twitter:image"),
+      url
+    ),
+    description: meta("description", "og:description") || clean(jsonLd?.description),
+  };
+}
+
+/**
+ * Scores an element's class and id for content likelihood
+ * @param {Object} el - Cheerio element
+ * @returns {number} - Weight
+ */
+function classWeight(el) {
+  const names = `${el.attribs?.class || ""} ${el.attribs?.id || ""}`;
+  let weight = 0;
+  if (POSITIVE_PATTERN.test(names)) weight += 25;
+  if (NEGATIVE_PATTERN.test(names)) weight -= 25;
+  return weight;
+}
+
+/**
+ * Removes boilerplate elements from the document
+ * @param {Object} $ - Cheerio document
+ */
+function removeBoilerplate($) {
+  $(REMOVE_SELECTORS).remove();
+  $("header").not("article header").remove();
+
+  // Search and signup forms go, but ASP.NET WebForms pages wrap the whole
+  // page, article included, in a single form
+  $("form")
+    .filter((_, el) => clean($(el).find("p").text()).length < MIN_FORM_ARTICLE_TEXT)
+    .remove();
+
+  $("[class], [id]").each((_, el) => {
+    const names = `${el.attribs.class || ""} ${el.attribs.id || ""}`;
+    if (
+      NEGATIVE_PATTERN.test(names) &&
+      !POSITIVE_PATTERN.test(names) &&
+      !["html", "body", "article", "main"].includes(el.tagName)
+    ) {
+      $(el).remove();
+    }
+  });
+}
+
+/**
+ * Returns the share of an element's text that sits inside links
+ * @param {Object} $ - Cheerio document
+ * @param {Object} node - Cheerio selection
+ * @returns {number} - Link density between 0 and 1
+ */
+function linkDensity($, node) {
+  const length = clean(node.text()).length;
+  if (length === 0) return 1;
+  const linkLength = node
+    .find("a")
+    .toArray()
+    .reduce((sum, a) => sum + clean($(a).text()).length, 0);
+  return linkLength / length;
+}
+
+/**
+ * Picks the element most likely to hold the article: semantic containers
+ * first, then readability-style paragraph scoring
+ * @param {Object} $ - Cheerio document
+ * @returns {Object} - Cheerio selection
+ */
+function findMainNode($) {
+  const semantic = $("[itemprop='articleBody'], article, [role='main'], main")
+    .toArray()
+    .map((el) => $(el))
+    .filter((node) => clean(node.text()).length > 500)
+    .sort((a, b) => clean(b.text()).length - clean(a.text()).length);
+
+  // Prefer the most specific semantic node that holds most of the text
+  if (semantic.length > 0) {
+    const largest = semantic[0];
+    const largestLength = clean(largest.text()).length;
+    const specific = semantic
+      .filter((node) => clean(node.text()).length >= largestLength * 0.6)
+      .pop();
+    return specific || largest;
+  }
+
+  const scores = new Map();
+  $("p, pre, td").each((_, el) => {
+    const text = clean($(el).text());
+    if (text.length < 25) return;
+
+    const score = 1 + text.split(",").length + Math.min(text.length / 100, 3);
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+
+    for (const [ancestor, share] of [[parent, 1], [grandparent, 0.5]]) {
+      if (!ancestor || ancestor.type !== "tag") continue;
+      if (!scores.has(ancestor)) scores.set(ancestor, classWeight(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + score * share);
+    }
+  });
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(el)));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  return best ? $(best) : $("body");
+}
+
+/**
+ * Renders a node as plain text, one block per line and headings marked
+ * with "## " so the structure survives
+ * @param {Object} $ - Cheerio document
+ * @param {Object} node - Cheerio selection
+ * @returns {string} - Article text
+ */
+function renderText($, node) {
+  const blocks = [];
+
+  const walk = (el) => {
+    if (el.type === "text") {
+      const text = clean(el.data);
+      if (text) {
+        if (blocks.length === 0 || blocks[blocks.length - 1].closed) {
+          blocks.push({ text, closed: false });
+        } else {
+          blocks[blocks.length - 1].text += ` ${text}`;
+        }
+      }
+      return;
+    }
+    if (el.type !== "tag") return;
+
+    const isBlock = BLOCK_TAGS.has(el.tagName) || el.tagName === "div" || el.tagName === "br";
+    if (isBlock && blocks.length > 0) blocks[blocks.length - 1].closed = true;
+
+    for (const child of el.children || []) walk(child);
+
+    if (isBlock && blocks.length > 0) {
+      const last = blocks[blocks.length - 1];
+      if (/^h[1-6]$/.test(el.tagName) && !last.heading && !last.closed) {
+        last.text = `## ${last.text}`;
+        last.heading = true;
+      } else if (el.tagName === "li" && !last.closed && !last.text.startsWith("- ")) {
+        last.text = `- ${last.text}`;
+      }
+      last.closed = true;
+    }
+  };
+
+  node.each((_, el) => walk(el));
+
+  return blocks
+    .map((block) => block.text)
+    .filter((text) => text.replace(/^(## |- )/, "").length > 1)
+    .join("\n\n");
+}
+
+/**
+ * Extracts the main article text and metadata from an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL, used to resolve relative links
+ * @returns {Object} - { text, metadata }
+ */
+function extractArticle(html, url) {
+  const $ = load(html);
+
+  const jsonLd = findJsonLdArticle($);
+  const metadata = extractMetadata($, jsonLd, url);
+
+  removeBoilerplate($);
+  $("script").remove();
+
+  let text = renderText($, findMainNode($));
+
+  // Publishers often put the complete body in JSON-LD
+  const articleBody = clean(jsonLd?.articleBody);
+  if (articleBody.length > text.replace(/\s+/g, " ").length) {
+    text = articleBody;
+  }
+
+  if (text.length === 0) {
+    text = clean($("body").text());
+  }
+
+  return { text, metadata };
+}
+
+export { extractArticle };
@@ -0,0 +1,238 @@
+import axios from "axios";
+import fs from "fs/promises";
+import { load } from "cheerio";
+import { config } from "../util/config.js";
+import {
+  stripHtml,
+  toSnippet,
+  toIsoDate,
+} from "./searchProviders/helpers.js";
+
+// Conditional-request state per feed URL, loaded lazily from config.feeds.cacheFile
+let feedCache = null;
+
+/**
+ * Loads the feed cache from disk
+ * @returns {Promise<Object>} - Cache entries keyed by feed URL
+ */
+async function loadFeedCache() {
+  if (feedCache) return feedCache;
+
+  try {
+    feedCache = JSON.parse(await fs.readFile(config.feeds.cacheFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Could not read ${config.feeds.cacheFile}: ${error.message}`);
+    }
+    feedCache = {};
+  }
+  return feedCache;
+}
+
+/**
+ * Writes the feed cache to disk
+ */
+async function saveFeedCache() {
+  if (!feedCache) return;
+  await fs.writeFile(
+    config.feeds.cacheFile,
+    JSON.stringify(feedCache, null, 2) + "\n"
+  );
+}
+
+/**
+ * Converts a feed item body to plain text, keeping paragraph breaks
+ * @param {string} html - Item body HTML
+ * @returns {string} - Plain text
+ */
+function bodyToText(html) {
+  if (!html) return "";
+  const $ = load(`<div>${html}</div>`);
+  $("script, style, iframe, noscript").remove();
+  $("p, br, h1, h2, h3, h4, h5, h6, li, blockquote").after("\n");
+  return $("div")
+    .text()
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Parses an RSS 2.0 document
+ * @param {Object} $ - Cheerio document loaded in XML mode
+ * @returns {Array<Object>} - Feed items
+ */
+function parseRss($) {
+  return $("channel > item")
+    .map((_, el) => {
+      const item = $(el);
+      const description = item.children("description").text();
+      const encoded = item.children("content\\:encoded").text();
+      return {
+        title: stripHtml(item.children("title").text()),
+        url: (
+          item.children("link").text() ||
+          item.children("guid[isPermaLink!='false']").text()
+        ).trim(),
+        snippet: toSnippet(stripHtml(description)),
+        date: toIsoDate(
+          item.children("pubDate").text() || item.children("dc\\:date").text()
+        ),
+        author: stripHtml(
+          item.children("dc\\:creator").text() || item.children("author").text()
+        ),
+        content: bodyToText(encoded),
+      };
+    })
+    .get();
+}
+
+/**
+ * Parses an Atom document
+ * @param {Object} $ - Cheerio document loaded in XML mode
+ * @returns {Array<Object>} - Feed items
+ */
+function parseAtom($) {
+  return $("feed > entry")
+    .map((_, el) => {
+      const entry = $(el);
+      const link =
+        entry.children('link[rel="alternate"]').attr("href") ||
+        entry.children("link:not([rel])").attr("href") ||
+        entry.children("link").first().attr("href");
+      const summary = entry.children("summary").text();
+      const content = entry.children("content").text();
+      return {
+        title: stripHtml(entry.children("title").text()),
+        url: (link || "").trim(),
+        snippet: toSnippet(stripHtml(summary || content)),
+        date: toIsoDate(
+          entry.children("published").text() || entry.children("updated").text()
+        ),
+        author: entry.find("author > name").first().text().trim(),
+        content: bodyToText(content),
+      };
+    })
+    .get();
+}
+
+/**
+ * Parses a JSON Feed (https://jsonfeed.org) document
+ * @param {Object} feed - Parsed JSON Feed
+ * @returns {Array<Object>} - Feed items
+ */
+function parseJsonFeed(feed) {
+  return (feed.items || []).map((item) => {
+    const content = item.content_html
+      ? bodyToText(item.content_html)
+      : (item.content_text || "").trim();
+    return {
+      title: stripHtml(item.title || ""),
+      url: (item.url || item.external_url || "").trim(),
+      snippet: toSnippet(
+        stripHtml(item.summary || "") || content.replace(/\s+/g, " ")
+      ),
+      date: toIsoDate(item.date_published || item.date_modified),
+      author: item.authors?.[0]?.name || item.author?.name || "",
+      content,
+    };
+  });
+}
+
+/**
+ * Parses an RSS 2.0, Atom or JSON Feed document into items with the search
+ * result shape plus author and the full item body as content (when present)
+ * @param {string|Object} body - Feed document
+ * @returns {Array<Object>} - Feed items
+ */
+function parseFeed(body) {
+  let items;
+
+  if (typeof body === "object" || String(body).trim().startsWith("{")) {
+    const feed = typeof body === "object" ? body : JSON.parse(body);
+    items = parseJsonFeed(feed);
+  } else {
+    const $ = load(body, { xmlMode: true });
+    items = [...parseRss($), ...parseAtom($)];
+  }
+
+  return items
+    .filter((item) => item.url)
+    .map((item) => ({ ...item, title: item.title || item.url }));
+}
+
+/**
+ * Fetches and parses a feed, sending If-None-Match/If-Modified-Since from the
+ * previous fetch so unchanged feeds return 304 and reuse the cached items
+ * @param {string} feedUrl - Feed URL
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.dryRun - Use the cache without updating it
+ * @returns {Promise<Array<Object>>} - Feed items
+ */
+async function fetchFeed(feedUrl, options = {}) {
+  const cache = await loadFeedCache();
+  const cached = cache[feedUrl];
+
+  const headers = {
+    "User-Agent": config.crawler.userAgent,
+    Accept:
+      "application/rss+xml, application/atom+xml, application/feed+json, application/json;q=0.9, application/xml;q=0.8, */*;q=0.5",
+  };
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  const response = await axios.get(feedUrl, {
+    headers,
+    timeout: 10000,
+    responseType: "text",
+    validateStatus: (status) => status === 304 || (status >= 200 && status < 300),
+  });
+
+  if (response.status === 304 && cached) {
+    console.log(`Feed ${feedUrl} not modified, using ${cached.items.length} cached items`);
+    return cached.items;
+  }
+
+  const items = parseFeed(response.data);
+  if (options.dryRun) return items;
+
+  cache[feedUrl] = {
+    etag: response.headers.etag,
+    lastModified: response.headers["last-modified"],
+    fetchedAt: new Date().toISOString(),
+    items,
+  };
+  await saveFeedCache();
+
+  return items;
+}
+
+/**
+ * Splits results into those whose feed body is long enough to summarize
+ * directly and those that still need scraping
+ * @param {Array<Object>} results - Search results, possibly carrying feed content
+ * @param {number} minLength - Minimum body length to skip scraping
+ * @returns {Object} - { ready, needsScrape }
+ */
+function splitByFeedContent(results, minLength = config.feeds.minContentLength) {
+  const ready = [];
+  const needsScrape = [];
+
+  for (const result of results) {
+    if (result.content && result.content.length >= minLength) {
+      ready.push({ ...result, fetchTier: "feed" });
+    } else {
+      // Drop short feed bodies so the scraper's text replaces them
+      const { content, ...rest } = result;
+      needsScrape.push(rest);
+    }
+  }
+
+  console.log(
+    `Feed content: ${ready.length} articles ready, ${needsScrape.length} need scraping`
+  );
+  return { ready, needsScrape };
+}
+
+export { parseFeed, fetchFeed, splitByFeedContent };
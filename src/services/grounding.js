@@ -0,0 +1,228 @@
+import { config } from "../util/config.js";
+import { parseJsonResponse } from "../util/digest.js";
+import { generateWithFailover } from "./llmProviders/index.js";
+
+// Common words ignored when measuring overlap between a summary and its source
+const STOPWORDS = new Set([
+  "about", "after", "also", "been", "before", "being", "between", "both",
+  "could", "does", "during", "each", "from", "have", "into", "more", "most",
+  "much", "ness", "other", "over", "such", "than", "that", "their", "them",
+  "then", "there", "these", "they", "this", "those", "through", "under",
+  "very", "were", "what", "when", "where", "which", "while", "will", "with",
+  "within", "would", "your", "across", "using", "used", "make", "makes",
+  "made", "help", "helps", "new", "including", "based",
+]);
+
+/**
+ * Reduces a word to a rough stem so plurals and simple inflections match
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  return word.replace(/(ies|es|s|ing|ed|ly)$/, "");
+}
+
+/**
+ * Splits text into stemmed content words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Content word stems
+ */
+function contentWords(text) {
+  return (text.toLowerCase().match(/[a-z][a-z'-]+/g) || [])
+    .filter((word) => word.length >= 4 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Extracts numbers (counts, percentages, amounts, years) from text,
+ * normalized without thousands separators
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} - Numbers as strings
+ */
+function extractNumbers(text) {
+  return (text.match(/\d[\d,]*(?:\.\d+)?/g) || [])
+    .map((number) => number.replace(/,/g, "").replace(/\.0+$/, ""))
+    .filter((number) => number.length > 0);
+}
+
+/**
+ * Extracts proper names: runs of capitalized words that don't start a sentence,
+ * plus acronyms such as "AI" or "ESSER"
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} - Names
+ */
+function extractNames(text) {
+  const names = new Set();
+  const pattern = /(?<![.!?]\s|^)\b([A-Z][a-zA-Z0-9&'-]*(?:\s+(?:of|for|the|de)?\s*[A-Z][a-zA-Z0-9&'-]*)*)/g;
+  for (const match of text.matchAll(pattern)) {
+    names.add(match[1].trim());
+  }
+  for (const acronym of text.match(/\b[A-Z]{2,}\b/g) || []) {
+    names.add(acronym);
+  }
+  return [...names].filter((name) => !STOPWORDS.has(name.toLowerCase()));
+}
+
+/**
+ * Measures how well a digest item is supported by a source text
+ * @param {Object} item - Digest item
+ * @param {string} sourceText - Scraped article text
+ * @returns {Object} - { supported, score, missingNumbers, missingNames, overlap }
+ */
+function scoreSupport(item, sourceText) {
+  const claimText = [item.summary, item.keyStat].filter(Boolean).join(" ");
+  const source = sourceText || "";
+  const sourceLower = source.toLowerCase();
+  const sourceNumbers = new Set(extractNumbers(source));
+  const sourceWords = new Set(contentWords(source));
+
+  const numbers = [...new Set(extractNumbers(claimText))];
+  const missingNumbers = numbers.filter((number) => !sourceNumbers.has(number));
+
+  const names = extractNames(claimText);
+  const missingNames = names.filter(
+    (name) => !sourceLower.includes(name.toLowerCase())
+  );
+  const nameRatio = names.length > 0 ? 1 - missingNames.length / names.length : 1;
+
+  const words = contentWords(claimText);
+  const overlap = words.length > 0
+    ? words.filter((word) => sourceWords.has(word)).length / words.length
+    : 0;
+
+  const { minOverlap, minNameMatch } = config.grounding;
+  return {
+    supported:
+      missingNumbers.length === 0 &&
+      nameRatio >= minNameMatch &&
+      overlap >= minOverlap,
+    score: Number(((overlap + nameRatio) / 2 - missingNumbers.length * 0.25).toFixed(3)),
+    missingNumbers,
+    missingNames,
+    overlap: Number(overlap.toFixed(3)),
+  };
+}
+
+/**
+ * Asks an LLM whether a summary is fully supported by its source
+ * @param {Object} item - Digest item
+ * @param {string} sourceText - Scraped article text
+ * @returns {Promise<Object>} - { supported, reason }
+ */
+async function judgeSupport(item, sourceText) {
+  const prompt = `
+You are fact-checking a news digest. Decide whether every number, name and claim in the SUMMARY is stated in the SOURCE. Paraphrasing is fine; anything not in the SOURCE is unsupported.
+
+Respond with JSON only: {"supported": true or false, "reason": "one short sentence"}
+
+SUMMARY:
+${[item.summary, item.keyStat].filter(Boolean).join("\nKey stat: ")}
+
+SOURCE:
+${sourceText.substring(0, config.grounding.judgeSourceChars)}
+`;
+
+  const { text } = await generateWithFailover(prompt, { json: true, temperature: 0 });
+  const verdict = parseJsonResponse(text);
+  return { supported: verdict.supported === true, reason: verdict.reason || "" };
+}
+
+/**
+ * Checks each digest item against the scraped text of its cited source.
+ * Items that aren't supported are re-attributed to another unused article
+ * that does support them, or dropped. No items are ever added.
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Array<Object>} articles - Articles the digest was generated from
+ * @returns {Promise<Object>} - Digest with only grounded items and a
+ * grounding report of the action taken for each original item
+ */
+async function groundDigest(digest, articles) {
+  if (!config.grounding.enabled) {
+    return digest;
+  }
+
+  const textByUrl = new Map(
+    articles.map((article) => [article.url, article.content || ""])
+  );
+  const usedUrls = new Set(digest.items.map((item) => item.sourceUrl));
+  const items = [];
+  const report = [];
+
+  for (const item of digest.items) {
+    let sourceUrl = item.sourceUrl;
+    let check = scoreSupport(item, textByUrl.get(sourceUrl));
+    let action = "kept";
+    let reason = "";
+
+    if (!check.supported) {
+      // Look for another article this item was actually taken from
+      let best = null;
+      for (const [url, text] of textByUrl) {
+        if (usedUrls.has(url)) continue;
+        const candidate = scoreSupport(item, text);
+        if (candidate.supported && (!best || candidate.score > best.check.score)) {
+          best = { url, check: candidate };
+        }
+      }
+
+      if (best) {
+        usedUrls.delete(sourceUrl);
+        usedUrls.add(best.url);
+        sourceUrl = best.url;
+        check = best.check;
+        action = "reattributed";
+      } else {
+        action = "dropped";
+        reason = [
+          check.missingNumbers.length > 0 && `numbers not in source: ${check.missingNumbers.join(", ")}`,
+          check.missingNames.length > 0 && `names not in source: ${check.missingNames.join(", ")}`,
+          check.overlap < config.grounding.minOverlap && `word overlap ${check.overlap}`,
+        ].filter(Boolean).join("; ");
+      }
+    }
+
+    if (action !== "dropped" && config.grounding.llmJudge) {
+      try {
+        const verdict = await judgeSupport(item, textByUrl.get(sourceUrl));
+        if (!verdict.supported) {
+          action = "dropped";
+          reason = `LLM judge: ${verdict.reason}`;
+        }
+      } catch (error) {
+        // A judge outage shouldn't block the digest; keep the lexical verdict
+        console.warn(`Grounding judge failed for ${sourceUrl}:`, error.message);
+      }
+    }
+
+    if (action === "dropped") {
+      usedUrls.delete(sourceUrl);
+      console.warn(`Dropped unsupported item "${item.headline}" (${item.sourceUrl}): ${reason}`);
+    } else {
+      if (action === "reattributed") {
+        console.log(`Re-attributed "${item.headline}" from ${item.sourceUrl} to ${sourceUrl}`);
+      }
+      items.push({ ...item, sourceUrl });
+    }
+
+    report.push({
+      headline: item.headline,
+      citedUrl: item.sourceUrl,
+      sourceUrl: action === "dropped" ? null : sourceUrl,
+      action,
+      score: check.score,
+      reason,
+    });
+  }
+
+  const dropped = report.filter((entry) => entry.action === "dropped").length;
+  console.log(`Grounding check: ${items.length} supported, ${dropped} dropped`);
+
+  return {
+    ...digest,
+    items,
+    sources: items.map((item) => item.sourceUrl),
+    grounding: report,
+  };
+}
+
+export { groundDigest, scoreSupport };
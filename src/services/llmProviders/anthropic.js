@@ -0,0 +1,72 @@
+import Anthropic from "@anthropic-ai/sdk";
+import { config } from "../../util/config.js";
+
+/**
+ * Checks whether Anthropic credentials are available
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return !!config.anthropic.apiKey;
+}
+
+// Stop reasons of a complete response; max_tokens and refusal are not
+const COMPLETE_STOP_REASONS = ["end_turn", "stop_sequence"];
+
+/**
+ * Generates text with Anthropic Claude
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {number} options.temperature - Sampling temperature
+ * @param {boolean} options.json - Request a JSON response
+ * @returns {Promise<string>} - Generated text
+ * @throws {Error} - When the response is empty or cut short, so failover
+ * moves on to the next attempt
+ */
+async function generate(prompt, { maxTokens = 4096, temperature, json } = {}) {
+  // Failover handles retries, so the SDK's own would only delay it
+  const anthropic = new Anthropic({
+    apiKey: config.anthropic.apiKey,
+    timeout: config.llm.timeoutMs,
+    maxRetries: 0,
+  });
+
+  const response = await anthropic.messages.create({
+    model: config.anthropic.model,
+    max_tokens: maxTokens,
+    ...(temperature !== undefined && { temperature }),
+    messages: [
+      { role: "user", content: prompt },
+      // Prefilling the opening brace keeps Claude from adding prose before the JSON
+      ...(json ? [{ role: "assistant", content: "{" }] : []),
+    ],
+  });
+
+  if (!COMPLETE_STOP_REASONS.includes(response.stop_reason)) {
+    throw new Error(`Anthropic response incomplete (stop reason ${response.stop_reason})`);
+  }
+
+  const text = response.content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("");
+  if (!text.trim()) {
+    throw new Error("Empty response from Anthropic");
+  }
+  return json ? `{${text}` : text;
+}
+
+/**
+ * Returns the configured model name
+ * @returns {string} - Model name
+ */
+function getModel() {
+  return config.anthropic.model;
+}
+
+export default {
+  name: "anthropic",
+  getModel,
+  isConfigured,
+  generate,
+};
@@ -0,0 +1,70 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { config } from "../../util/config.js";
+
+/**
+ * Checks whether Gemini credentials are available
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return !!config.gemini.apiKey;
+}
+
+// Models that think before answering; older models reject a thinking config
+const THINKING_MODEL_PATTERN = /^gemini-(2\.5|[3-9])/;
+
+// Finish reason of a complete response
+const COMPLETE_FINISH_REASON = "STOP";
+
+/**
+ * Generates text with Google Gemini
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {number} options.temperature - Sampling temperature
+ * @param {boolean} options.json - Request a JSON response
+ * @returns {Promise<string>} - Generated text
+ * @throws {Error} - When the response is empty or cut short, so failover
+ * moves on to the next attempt
+ */
+async function generate(prompt, { maxTokens, temperature, json } = {}) {
+  const { model: modelName, thinkingBudget } = config.gemini;
+  const thinking = THINKING_MODEL_PATTERN.test(modelName);
+
+  const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
+  const model = genAI.getGenerativeModel({
+    model: modelName,
+    generationConfig: {
+      maxOutputTokens: maxTokens && thinking ? maxTokens + thinkingBudget : maxTokens,
+      temperature,
+      ...(json && { responseMimeType: "application/json" }),
+      ...(thinking && { thinkingConfig: { thinkingBudget } }),
+    },
+  });
+
+  const result = await model.generateContent(prompt, { timeout: config.llm.timeoutMs });
+  const finishReason = result.response.candidates?.[0]?.finishReason;
+  if (finishReason && finishReason !== COMPLETE_FINISH_REASON) {
+    throw new Error(`Gemini response incomplete (finish reason ${finishReason})`);
+  }
+
+  const text = result.response.text();
+  if (!text) {
+    throw new Error("Empty response from Gemini");
+  }
+  return text;
+}
+
+/**
+ * Returns the configured model name
+ * @returns {string} - Model name
+ */
+function getModel() {
+  return config.gemini.model;
+}
+
+export default {
+  name: "gemini",
+  getModel,
+  isConfigured,
+  generate,
+};
@@ -0,0 +1,70 @@
+import { config } from "../../util/config.js";
+import gemini from "./gemini.js";
+import anthropic from "./anthropic.js";
+import openaiCompatible from "./openaiCompatible.js";
+
+// Summarizer backends keyed by the name used in LLM_PROVIDERS. Each provider
+// exposes getModel(), isConfigured() and generate(prompt, options).
+const providers = {
+  [gemini.name]: gemini,
+  [anthropic.name]: anthropic,
+  [openaiCompatible.name]: openaiCompatible,
+};
+
+/**
+ * Returns the configured providers in failover order
+ * @param {Array<string>} names - Provider names (default: config.llm.providers)
+ * @returns {Array<Object>} - Providers with credentials available
+ */
+function getLlmProviders(names = config.llm.providers) {
+  return names
+    .map((name) => {
+      if (!providers[name]) {
+        throw new Error(
+          `Unknown LLM provider "${name}". Available providers: ${Object.keys(providers).join(", ")}`
+        );
+      }
+      return providers[name];
+    })
+    .filter((provider) => provider.isConfigured());
+}
+
+/**
+ * Generates text with the first provider that succeeds, failing over to the
+ * next configured provider on error
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options passed to each provider
+ * @returns {Promise<Object>} - { text, provider, model }
+ */
+async function generateWithFailover(prompt, options = {}) {
+  const available = getLlmProviders();
+  if (available.length === 0) {
+    throw new Error(
+      `No LLM provider configured (tried: ${config.llm.providers.join(", ")})`
+    );
+  }
+
+  const errors = [];
+  for (const provider of available) {
+    for (let attempt = 1; attempt <= config.llm.attemptsPerProvider; attempt++) {
+      try {
+        console.log(
+          `Generating with ${provider.name} (${provider.getModel()}), attempt ${attempt}/${config.llm.attemptsPerProvider}...`
+        );
+        const text = await provider.generate(prompt, options);
+        return { text, provider: provider.name, model: provider.getModel() };
+      } catch (error) {
+        console.error(`${provider.name} attempt ${attempt} failed:`, error.message);
+        errors.push(`${provider.name}: ${error.message}`);
+
+        if (attempt < config.llm.attemptsPerProvider) {
+          await new Promise((resolve) => setTimeout(resolve, config.llm.retryDelayMs));
+        }
+      }
+    }
+  }
+
+  throw new Error(`All LLM providers failed (${errors.join("; ")})`);
+}
+
+export { getLlmProviders, generateWithFailover };
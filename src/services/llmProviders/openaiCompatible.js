@@ -0,0 +1,67 @@
+import axios from "axios";
+import { config } from "../../util/config.js";
+
+/**
+ * Checks whether an OpenAI-compatible endpoint is configured. Local servers
+ * (Ollama, LM Studio, vLLM) need a base URL but usually no API key.
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return !!(config.openai.apiKey || config.openai.baseUrlOverridden);
+}
+
+/**
+ * Generates text through an OpenAI-compatible /chat/completions endpoint
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {number} options.temperature - Sampling temperature
+ * @param {boolean} options.json - Request a JSON response
+ * @returns {Promise<string>} - Generated text
+ */
+async function generate(prompt, { maxTokens, temperature, json } = {}) {
+  const response = await axios.post(
+    `${config.openai.baseUrl.replace(/\/$/, "")}/chat/completions`,
+    {
+      model: config.openai.model,
+      messages: [{ role: "user", content: prompt }],
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(temperature !== undefined && { temperature }),
+      ...(json && { response_format: { type: "json_object" } }),
+    },
+    {
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.openai.apiKey && {
+          Authorization: `Bearer ${config.openai.apiKey}`,
+        }),
+      },
+      timeout: config.llm.timeoutMs,
+    }
+  );
+
+  const choice = response.data.choices?.[0];
+  if (choice?.finish_reason === "length" || choice?.finish_reason === "content_filter") {
+    throw new Error(`OpenAI-compatible response incomplete (finish reason ${choice.finish_reason})`);
+  }
+  const text = choice?.message?.content;
+  if (!text) {
+    throw new Error("Empty response from OpenAI-compatible endpoint");
+  }
+  return text;
+}
+
+/**
+ * Returns the configured model name
+ * @returns {string} - Model name
+ */
+function getModel() {
+  return config.openai.model;
+}
+
+export default {
+  name: "openai",
+  getModel,
+  isConfigured,
+  generate,
+};
@@ -1,164 +1,81 @@
 import axios from "axios";
 import dotenv from "dotenv";
+import { config } from "../util/config.js";
+import { selectTemplate, fillTemplate } from "../util/templates.js";
 
 dotenv.config();
 
-// Get recipient number from command line argument
-const recipientNumber = process.argv[2];
-if (!recipientNumber) {
-  console.error("❌ No recipient number provided via command line");
-  console.log("Usage: node your-script.js <recipient_phone_number>");
-  process.exit(1);
-}
-
-
-
-console.log(`📱 Recipient number: ${recipientNumber}`);
-
 /**
- * Extracts bullet points and their sources from the summary
- * @param {string} summary - The summary text with bullet points and sources
- * @returns {Object} - Object containing date and extracted points with links
+ * Selects the WhatsApp template for a digest and fills in its parameters
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {string} language - Preferred language of the recipient; templates
+ * not approved in it use their default language
+ * @returns {Object} - { name, language, itemCount, parameters } where
+ * parameters holds the texts per component
  */
-function extractPointsAndSources(summary) {
-  if (!summary) {
+function buildTemplateData(digest, language = config.whatsapp.defaultLanguage) {
+  if (!digest || !digest.items || digest.items.length === 0) {
     return null;
   }
 
-  const today = new Date();
-  const date = today.toLocaleDateString("en-US", {
-    weekday: "long",
-    month: "long",
-    day: "numeric",
-    year: "numeric",
-  });
-
-  // Split by bullet points (lines starting with *)
-  const lines = summary.split("\n");
-  const points = [];
-  const links = [];
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-
-    // If this is a bullet point
-    if (line.startsWith("*")) {
-      points.push(line.substring(2).trim()); // Remove the "* " prefix
-
-      // Look for the source in the next line or two
-      let foundSource = false;
-
-      // Check next two lines for source
-      for (let j = 1; j <= 2; j++) {
-        if (i + j < lines.length) {
-          const nextLine = lines[i + j].trim();
-          if (nextLine.startsWith("Source:")) {
-            // Extract URL from the source line
-            const sourceMatch = nextLine.match(
-              /Source:\s+\[?(https?:\/\/[^\s\]]+)/
-            );
-            if (sourceMatch && sourceMatch[1]) {
-              links.push(sourceMatch[1]);
-              foundSource = true;
-              break;
-            }
-          }
-        }
-      }
-
-      if (!foundSource) {
-        links.push("");
-      }
-    }
-  }
+  const template = selectTemplate(digest.items.length);
+  const templateLanguage = template.languages.includes(language)
+    ? language
+    : template.language;
 
-  // Ensure we have exactly 8 points and links (pad with non-empty strings if needed)
-  while (points.length < 8)
-    points.push("No additional EdTech updates available");
-  while (links.length < 8) links.push("No source available");
-
-  // Truncate if more than 8
-  const result = {
-    date,
-    first_point: points[0].substring(0, 1000),
-    first_link: links[0],
-    second_point: points[1].substring(0, 1000),
-    second_link: links[1],
-    third_point: points[2].substring(0, 1000),
-    third_link: links[2],
-    fourth_point: points[3].substring(0, 1000),
-    fourth_link: links[3],
-    fifth_point: points[4].substring(0, 1000),
-    fifth_link: links[4],
-    sixth_point: points[5].substring(0, 1000),
-    sixth_link: links[5],
-    seventh_point: points[6].substring(0, 1000),
-    seventh_link: links[6],
-    eigth_point: points[7].substring(0, 1000),
-    eigth_link: links[7],
+  return {
+    name: template.name,
+    language: templateLanguage,
+    itemCount: template.items,
+    parameters: fillTemplate(template, digest, templateLanguage),
   };
+}
 
-  return result;
+/**
+ * Builds the Cloud API request body for a template message
+ * @param {Object} templateData - Result of buildTemplateData
+ * @param {string} recipientNumber - Recipient phone number in international format
+ * @returns {Object} - Request body
+ */
+function buildWhatsAppPayload(templateData, recipientNumber) {
+  // Parameters are sent in the exact order they appear in the template
+  const components = Object.entries(templateData.parameters)
+    .filter(([, values]) => values.length > 0)
+    .map(([type, values]) => ({
+      type,
+      parameters: values.map((text) => ({ type: "text", text })),
+    }));
+
+  return {
+    messaging_product: "whatsapp",
+    to: recipientNumber,
+    type: "template",
+    template: {
+      name: templateData.name,
+      language: { code: templateData.language },
+      components,
+    },
+  };
 }
 
 /**
  * Sends a WhatsApp message via Meta Cloud API to a single recipient
- * @param {Object} templateData - The data to populate the template
+ * @param {Object} templateData - Result of buildTemplateData
+ * @param {string} recipientNumber - Recipient phone number in international format
  * @returns {Promise<Object>} - Result of the sending operation
  */
-async function sendWhatsAppMessage(templateData) {
+async function sendWhatsAppMessage(templateData, recipientNumber) {
   if (!recipientNumber) {
-    console.error("❌ No recipient number provided");
-    return;
+    throw new Error("No recipient number provided");
   }
 
-  console.log("\n========= TEMPLATE DATA =========");
-  console.log(JSON.stringify(templateData, null, 2));
-  console.log("===================================\n");
-
-  const url = `https://graph.facebook.com/v23.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-
-  // Parameters must be in the exact order they appear in the template
-  const parameters = [
-    { type: "text", text: templateData.date },
-    { type: "text", text: templateData.first_point },
-    { type: "text", text: templateData.first_link },
-    { type: "text", text: templateData.second_point },
-    { type: "text", text: templateData.second_link },
-    { type: "text", text: templateData.third_point },
-    { type: "text", text: templateData.third_link },
-    { type: "text", text: templateData.fourth_point },
-    { type: "text", text: templateData.fourth_link },
-    { type: "text", text: templateData.fifth_point },
-    { type: "text", text: templateData.fifth_link },
-    { type: "text", text: templateData.sixth_point },
-    { type: "text", text: templateData.sixth_link },
-    { type: "text", text: templateData.seventh_point },
-    { type: "text", text: templateData.seventh_link },
-    { type: "text", text: templateData.eigth_point },
-    { type: "text", text: templateData.eigth_link },
-  ];
-
-  const payload = {
-    messaging_product: "whatsapp",
-    to: recipientNumber, // Use the recipient number from command line
-    type: "template",
-    template: {
-      name: "edtech",
-      language: { code: "en_US" },
-      components: [
-        {
-          type: "body",
-          parameters: parameters,
-        },
-      ],
-    },
-  };
+  const url = `https://graph.facebook.com/v23.0/${config.whatsapp.phoneNumberId}/messages`;
+  const payload = buildWhatsAppPayload(templateData, recipientNumber);
 
   try {
     const response = await axios.post(url, payload, {
       headers: {
-        Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}`,
+        Authorization: `Bearer ${config.whatsapp.token}`,
         "Content-Type": "application/json",
       },
     });
@@ -174,37 +91,150 @@ async function sendWhatsAppMessage(templateData) {
 }
 
 /**
- * Process and send articles as WhatsApp message
- * @param {Array<Object>} articles - Array of articles with summaries
- * @returns {Promise<Object>} - Result of the sending operation
+ * Checks whether a WhatsApp API error is a rate limit that is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for throughput, pair rate and account rate limits
  */
-async function sendArticleSummaries(articles) {
+function isRateLimitError(error) {
+  // 130429: throughput, 131056: pair rate limit, 80007 and 4: account/app rate limits
+  const code = error.response?.data?.error?.code;
+  return error.response?.status === 429 || [130429, 131056, 80007, 4].includes(code);
+}
+
+/**
+ * Sends to one recipient, retrying with growing delays after rate limit errors
+ * @param {Object} templateData - Result of buildTemplateData in the recipient's language
+ * @param {Object} recipient - { phone }
+ * @returns {Promise<Object>} - { response, attempts }
+ */
+async function sendWithRetry(templateData, recipient) {
+  const { maxRetries, retryDelayMs } = config.whatsapp;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await sendWhatsAppMessage(templateData, recipient.phone);
+      return { response, attempts: attempt };
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt > maxRetries) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = retryDelayMs * attempt;
+      console.warn(`Rate limited sending to ${recipient.phone}, retrying in ${delay / 1000}s`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Process and send a digest as WhatsApp message. Recipients are sent to one
+ * at a time, spaced to stay under config.whatsapp.messagesPerSecond.
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Object} options - Delivery options
+ * @param {Array<Object|string>} options.recipients - Recipients { phone, language }
+ * or phone numbers
+ * @returns {Promise<Object>} - Result of the sending operation with a result per recipient
+ */
+async function sendArticleSummaries(digest, options = {}) {
+  const recipients = (options.recipients || config.whatsapp.recipients).map(
+    (recipient) => (typeof recipient === "string" ? { phone: recipient } : recipient)
+  );
+
   try {
-    if (!articles || articles.length === 0) {
-      console.warn("No articles to send");
+    if (!digest || digest.items.length === 0) {
+      console.warn("No digest items to send");
       return { status: "not_sent", reason: "no_articles" };
     }
 
-    // Extract bullet points and links from the summary
-    const templateData = extractPointsAndSources(articles[0].summary);
-
-    if (!templateData) {
-      console.error("Failed to extract points and sources from summary");
-      return { status: "not_sent", reason: "extraction_failed" };
+    if (recipients.length === 0) {
+      console.warn("No recipients configured");
+      return { status: "not_sent", reason: "no_recipients" };
     }
 
+    // Checks the template fits before anyone is sent to
+    let templateData;
     try {
-      const result = await sendWhatsAppMessage(templateData);
-      console.log("Successfully sent EdTech trends summary via WhatsApp");
-      return result;
-    } catch (sendError) {
-      console.error("Failed to send via WhatsApp API:", sendError.message);
-      return { status: "failed", error: sendError.message };
+      templateData = buildTemplateData(digest);
+    } catch (templateError) {
+      console.error(templateError.message);
+      return { status: "failed", error: templateError.message, results: [] };
+    }
+    if (digest.items.length > templateData.itemCount) {
+      console.warn(
+        `Template "${templateData.name}" takes ${templateData.itemCount} items, leaving out the last ${digest.items.length - templateData.itemCount}`
+      );
+    }
+
+    // One rendering per language
+    const templatesByLanguage = new Map();
+    const templateFor = (language) => {
+      if (!language) return templateData;
+      if (!templatesByLanguage.has(language)) {
+        templatesByLanguage.set(language, buildTemplateData(digest, language));
+      }
+      return templatesByLanguage.get(language);
+    };
+
+    console.log(`📱 Sending to ${recipients.length} recipient(s)`);
+
+    const interval = 1000 / config.whatsapp.messagesPerSecond;
+    const results = [];
+    for (const [index, recipient] of recipients.entries()) {
+      if (index > 0) {
+        await new Promise((resolve) => setTimeout(resolve, interval));
+      }
+
+      try {
+        const { response, attempts } = await sendWithRetry(
+          templateFor(recipient.language),
+          recipient
+        );
+        results.push({
+          recipient: recipient.phone,
+          status: "sent",
+          messageId: response.messages?.[0]?.id,
+          attempts,
+          sentAt: new Date().toISOString(),
+        });
+      } catch (sendError) {
+        console.error(
+          `Failed to send via WhatsApp API to ${recipient.phone}:`,
+          sendError.message
+        );
+        results.push({
+          recipient: recipient.phone,
+          status: "failed",
+          error: sendError.response?.data?.error?.message || sendError.message,
+          attempts: sendError.attempts || 1,
+        });
+      }
+    }
+
+    const sentCount = results.filter((r) => r.status === "sent").length;
+    if (sentCount === 0) {
+      return { status: "failed", error: results[0].error, results };
+    }
+
+    console.log(
+      `Successfully sent EdTech trends summary via WhatsApp to ${sentCount}/${results.length} recipient(s)`
+    );
+    if (sentCount < results.length) {
+      return {
+        status: "partial",
+        error: `${results.length - sentCount} of ${results.length} recipient(s) failed`,
+        results,
+      };
     }
+    return { status: "sent", results };
   } catch (error) {
     console.error("Error processing article summaries:", error.message);
     throw error;
   }
 }
 
-export { extractPointsAndSources, sendWhatsAppMessage, sendArticleSummaries, recipientNumber };
\ No newline at end of file
+export {
+  buildTemplateData,
+  buildWhatsAppPayload,
+  sendWhatsAppMessage,
+  sendArticleSummaries,
+};
@@ -0,0 +1,299 @@
+import { fetchProfileResults } from "./search.js";
+import { scrapeMultipleUrls } from "./scraper.js";
+import { splitByFeedContent } from "./feeds.js";
+import { rankArticles } from "./scoring.js";
+import { clusterArticles, attachSupportingSources } from "./clustering.js";
+import { summarizeAllContent } from "./summarizer.js";
+import { groundDigest } from "./grounding.js";
+import { deliverDigest } from "./senders/index.js";
+import { resolveRecipients } from "./audience.js";
+import { previewDelivery } from "./preview.js";
+import {
+  filterProcessedResults,
+  recordScrapeResults,
+  markDigested,
+  pruneAndSave,
+} from "./urlStore.js";
+import {
+  saveDigest,
+  recordDeliveryResult,
+  markAwaitingApproval,
+  hasSentDeliveries,
+} from "./digestService.js";
+import { connectDatabase } from "../util/db.js";
+import { STAGES } from "../util/cli.js";
+
+/**
+ * Search stage: fetches results for every profile query and drops the ones
+ * already delivered in a previous digest for this profile
+ * @param {Object} profile - Topic profile
+ * @param {null} input - Unused
+ * @param {Object} options - Run options
+ * @param {Object} context - { urlStore }
+ * @returns {Promise<Array<Object>>} - New search results
+ */
+async function searchStage(profile, input, options, context) {
+  console.log("\nFetching search results...");
+  const searchResults = await fetchProfileResults(profile, options.count, options.days, {
+    dryRun: options.dryRun,
+  });
+
+  if (searchResults.length === 0) {
+    throw new Error("No search results found");
+  }
+  console.log(`Found ${searchResults.length} potential articles`);
+
+  // Skip articles already delivered in a previous digest for this profile
+  return filterProcessedResults(context.urlStore, searchResults, profile.name, {
+    dryRun: options.dryRun,
+  });
+}
+
+/**
+ * Scrape stage: fetches article content, skipping articles whose feed
+ * carried the full text
+ * @param {Object} profile - Topic profile
+ * @param {Array<Object>} newResults - Output of the search stage
+ * @param {Object} options - Run options
+ * @param {Object} context - { urlStore }
+ * @returns {Promise<Array<Object>>} - Articles with content
+ */
+async function scrapeStage(profile, newResults, options, context) {
+  if (newResults.length === 0) {
+    throw new Error("No new search results since the last run");
+  }
+
+  console.log("\nScraping article content...");
+  const { ready, needsScrape } = splitByFeedContent(newResults);
+  const scrapedResults = [
+    ...ready,
+    ...(needsScrape.length > 0
+      ? await scrapeMultipleUrls(needsScrape, { cacheMode: options.cacheMode })
+      : []),
+  ];
+  // Dry runs must not count towards maxScrapeAttempts or save anything
+  if (!options.dryRun) {
+    await recordScrapeResults(context.urlStore, newResults, scrapedResults);
+    await pruneAndSave(context.urlStore);
+  }
+
+  if (scrapedResults.length === 0) {
+    throw new Error("No content could be scraped");
+  }
+  console.log(`Successfully scraped ${scrapedResults.length} articles`);
+  return scrapedResults;
+}
+
+/**
+ * Summarize stage: ranks the articles, keeps one per story, summarizes them
+ * and checks every item against its source
+ * @param {Object} profile - Topic profile
+ * @param {Array<Object>} scrapedResults - Output of the scrape stage
+ * @param {Object} options - Run options
+ * @returns {Promise<Object>} - Digest
+ */
+async function summarizeStage(profile, scrapedResults, options) {
+  console.log("\nScoring articles...");
+  const { kept: rankedArticles } = rankArticles(scrapedResults, profile);
+  if (rankedArticles.length === 0) {
+    throw new Error("No articles passed relevance and quality scoring");
+  }
+
+  // Summarize one article per story when several sites report the same one
+  const { representatives: stories } = clusterArticles(rankedArticles);
+
+  console.log("\nGenerating summary...");
+  const summary = await summarizeAllContent(stories, {
+    title: profile.title,
+    focusAreas: profile.focusAreas,
+    cacheMode: options.cacheMode,
+  });
+
+  if (!summary || summary.items.length === 0) {
+    throw new Error("No summary could be generated");
+  }
+
+  // Drop or re-attribute items their cited source doesn't support
+  const digest = attachSupportingSources(
+    await groundDigest(summary, stories),
+    stories
+  );
+  if (digest.items.length === 0) {
+    throw new Error("No digest items were supported by their sources");
+  }
+
+  return { ...digest, articleCount: scrapedResults.length };
+}
+
+/**
+ * Send stage: saves the digest, delivers it and marks its sources as digested
+ * @param {Object} profile - Topic profile
+ * @param {Object} digest - Output of the summarize stage
+ * @param {Object} options - Run options
+ * @param {Object} context - { urlStore, audienceStore, run }
+ * @returns {Promise<Object>} - Delivery result
+ */
+async function sendStage(profile, digest, options, context) {
+  // Save the digest before sending so failed deliveries are still audited
+  await connectDatabase();
+  const savedMessage = await saveDigest(digest, {
+    messageType: profile.messageType,
+    searchQuery: profile.queries.join(" | "),
+    articleCount: digest.articleCount,
+    runId: context.run.runId,
+  });
+
+  // Approving the digest resumes this stage, see the admin API. A digest that
+  // already went out to some recipients was approved or predates approval.
+  if (profile.requireApproval && !savedMessage.approvedAt && !hasSentDeliveries(savedMessage)) {
+    await markAwaitingApproval(savedMessage._id);
+    console.log(`\nDigest ${savedMessage._id} is awaiting approval before delivery`);
+    return { status: "awaiting_approval", messageId: String(savedMessage._id) };
+  }
+
+  // Recipients who already got this digest are skipped when retrying
+  const alreadySent = new Set(
+    (savedMessage.deliveries || [])
+      .filter((delivery) => delivery.status === "sent")
+      .map((delivery) => `${delivery.channel}:${delivery.recipient}`)
+  );
+  if (alreadySent.size > 0) {
+    console.log(`\nSkipping ${alreadySent.size} recipient(s) who already received this digest`);
+  }
+
+  const sendResult = await deliverDigest(digest, {
+    channels: profile.channels,
+    recipients: await resolveRecipients(context.audienceStore, profile, options.recipients),
+    profile,
+    alreadySent,
+  });
+  const message = await recordDeliveryResult(savedMessage._id, sendResult);
+
+  // A failing channel or recipient only fails the run when nothing was delivered
+  if (message.status === "failed") {
+    throw new Error(`Digest delivery failed: ${message.error}`);
+  }
+  if (message.status === "partially_sent") {
+    console.warn(
+      `Digest partially delivered (${message.error}). Retry the rest with: node src/index.js --resume ${context.run.runId} --stages send`
+    );
+  }
+
+  await markDigested(
+    context.urlStore,
+    [...digest.sources, ...digest.items.flatMap((item) => item.supportingSources || [])],
+    profile.name
+  );
+  await pruneAndSave(context.urlStore);
+
+  return sendResult;
+}
+
+// Stage handlers in pipeline order; each receives the previous stage's output
+const STAGE_HANDLERS = {
+  search: searchStage,
+  scrape: scrapeStage,
+  summarize: summarizeStage,
+  send: sendStage,
+};
+
+/**
+ * Counts the items a stage produced for the run record
+ * @param {*} output - Stage output
+ * @returns {number} - Item count
+ */
+function countOutput(output) {
+  if (Array.isArray(output)) return output.length;
+  if (Array.isArray(output?.items)) return output.items.length;
+  if (Array.isArray(output?.results)) {
+    return output.results.filter((result) => result.status === "sent").length;
+  }
+  return 0;
+}
+
+/**
+ * Runs search → scrape → summarize → send for a single topic profile,
+ * stopping after the last requested stage. Every completed stage writes a
+ * checkpoint; stages already completed in the run are loaded from their
+ * checkpoint instead of running again, unless listed in options.rerunStages.
+ * A dry run that includes send previews the delivery instead.
+ * @param {Object} profile - Topic profile
+ * @param {Object} options - Run options from parseCliArgs
+ * @param {Object} context - { urlStore, audienceStore, runStore, run }
+ * shared by all profiles in the run
+ * @returns {Promise<Object>} - Name and output of the last stage that ran,
+ * or of the preview
+ */
+async function runProfilePipeline(profile, options, context) {
+  const { runStore, run } = context;
+  const { stages, dryRun, rerunStages = [] } = options;
+
+  // A dry run stops before delivery and previews the summarize output instead,
+  // loading it from the checkpoint when only send was requested
+  const previewing = dryRun && stages.includes("send");
+  const runnable = dryRun ? stages.filter((stage) => stage !== "send") : stages;
+  const lastStage = previewing ? "summarize" : runnable[runnable.length - 1];
+  const profileRecord = run.profiles[profile.name];
+
+  console.log(`\n===== Profile: ${profile.name} (${profile.title}) =====`);
+  profileRecord.status = "running";
+
+  let output = null;
+  for (const stage of STAGES.slice(0, STAGES.indexOf(lastStage) + 1)) {
+    const previous = profileRecord.stages[stage];
+
+    if (previous?.status === "completed" && !rerunStages.includes(stage)) {
+      output = await runStore.loadCheckpoint(run.runId, profile.name, stage);
+      if (output !== null) {
+        console.log(`Using ${stage} checkpoint from run ${run.runId}`);
+        continue;
+      }
+    }
+    if (!runnable.includes(stage)) {
+      throw new Error(`Run ${run.runId} has no ${stage} checkpoint for profile "${profile.name}"`);
+    }
+
+    const record = { status: "running", startedAt: new Date().toISOString() };
+    profileRecord.stages[stage] = record;
+    await runStore.saveRun(run);
+
+    try {
+      output = await STAGE_HANDLERS[stage](profile, output, options, context);
+      await runStore.saveCheckpoint(run.runId, profile.name, stage, output);
+      record.status = "completed";
+      record.count = countOutput(output);
+    } catch (error) {
+      record.status = "failed";
+      record.error = error.message;
+      profileRecord.status = "failed";
+      throw error;
+    } finally {
+      record.finishedAt = new Date().toISOString();
+      record.durationMs = Date.parse(record.finishedAt) - Date.parse(record.startedAt);
+      await runStore.saveRun(run);
+    }
+  }
+
+  if (previewing) {
+    try {
+      const preview = await previewDelivery(profile, output, options, context);
+      profileRecord.preview = {
+        dir: preview.dir,
+        ...(preview.testDelivery && { testDelivery: preview.testDelivery.status }),
+      };
+      profileRecord.status = "completed";
+      await runStore.saveRun(run);
+      return { stage: "preview", output: preview };
+    } catch (error) {
+      profileRecord.status = "failed";
+      await runStore.saveRun(run);
+      throw error;
+    }
+  }
+
+  profileRecord.status = "completed";
+  await runStore.saveRun(run);
+  return { stage: lastStage, output };
+}
+
+export { runProfilePipeline };
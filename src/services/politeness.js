@@ -0,0 +1,204 @@
+import axios from "axios";
+import { config } from "../util/config.js";
+
+// Parsed robots.txt rules per origin: { rules, crawlDelay, fetchedAt }
+const robotsCache = new Map();
+
+// Earliest time the next request to each host may start
+const nextRequestAt = new Map();
+
+/**
+ * Returns the product token of our user agent, as matched in robots.txt groups
+ * @returns {string} - Lowercased token, e.g. "edtechscraperbot"
+ */
+function getAgentToken() {
+  return config.crawler.userAgent.split(/[\/\s]/)[0].toLowerCase();
+}
+
+/**
+ * Parses robots.txt into groups of user agents with their rules
+ * @param {string} body - robots.txt contents
+ * @returns {Array<Object>} - Groups: { agents, rules: [{ allow, path }], crawlDelay }
+ */
+function parseRobots(body) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty disallow allows everything
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Selects the group that applies to our user agent, falling back to "*".
+ * Agents match when their product token equals ours, ignoring case (RFC 9309),
+ * so a group for "bot" does not apply to "EdTechScraperBot".
+ * @param {Array<Object>} groups - Parsed robots.txt groups
+ * @returns {Object} - { rules, crawlDelay }
+ */
+function selectGroup(groups) {
+  const token = getAgentToken();
+  const matching = groups.filter((group) =>
+    group.agents.some((agent) => agent.split(/[\/\s]/)[0] === token)
+  );
+  const selected = matching.length > 0
+    ? matching
+    : groups.filter((group) => group.agents.includes("*"));
+
+  return {
+    rules: selected.flatMap((group) => group.rules),
+    crawlDelay: selected.find((group) => group.crawlDelay !== null)?.crawlDelay ?? null,
+  };
+}
+
+/**
+ * Converts a robots.txt path pattern (supporting * and $) to a RegExp
+ * @param {string} pattern - Path pattern
+ * @returns {RegExp} - Anchored pattern
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Applies the longest matching rule to a path; allow wins ties
+ * @param {Array<Object>} rules - { allow, path } rules
+ * @param {string} path - URL path with query string
+ * @returns {boolean} - True if crawling is allowed
+ */
+function isPathAllowed(rules, path) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetches and caches robots.txt for an origin. Missing files (4xx) allow
+ * everything; unreachable ones (5xx, network errors) disallow everything
+ * until the next fetch.
+ * @param {string} origin - URL origin, e.g. https://example.com
+ * @returns {Promise<Object>} - { rules, crawlDelay }
+ */
+async function getRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < config.crawler.robotsCacheTtlMs) {
+    return cached;
+  }
+
+  let entry;
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 10000,
+      responseType: "text",
+      maxContentLength: 512 * 1024,
+      headers: { "User-Agent": config.crawler.userAgent },
+      validateStatus: () => true,
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      entry = selectGroup(parseRobots(String(response.data)));
+    } else if (response.status >= 400 && response.status < 500) {
+      entry = { rules: [], crawlDelay: null };
+    } else {
+      console.warn(`robots.txt for ${origin} returned ${response.status}, treating as disallowed`);
+      entry = { rules: [{ allow: false, path: "/" }], crawlDelay: null };
+    }
+  } catch (error) {
+    console.warn(`robots.txt for ${origin} unreachable (${error.message}), treating as disallowed`);
+    entry = { rules: [{ allow: false, path: "/" }], crawlDelay: null };
+  }
+
+  entry.fetchedAt = Date.now();
+  robotsCache.set(origin, entry);
+  return entry;
+}
+
+/**
+ * Checks robots.txt for a URL
+ * @param {string} url - URL to crawl
+ * @returns {Promise<Object>} - { allowed, crawlDelay } with crawlDelay in seconds or null
+ */
+async function checkRobots(url) {
+  if (!config.crawler.respectRobots) {
+    return { allowed: true, crawlDelay: null };
+  }
+
+  const parsed = new URL(url);
+  const { rules, crawlDelay } = await getRobots(parsed.origin);
+  return {
+    allowed: isPathAllowed(rules, `${parsed.pathname}${parsed.search}`),
+    crawlDelay,
+  };
+}
+
+/**
+ * Waits until a request to the URL's host may start, spacing requests by the
+ * larger of config.crawler.minDelayMs and the host's crawl-delay
+ * @param {string} url - URL about to be requested
+ * @param {number|null} crawlDelay - Crawl-delay from robots.txt, in seconds
+ */
+async function waitForTurn(url, crawlDelay = null) {
+  const host = new URL(url).host;
+  const spacing = Math.min(
+    Math.max(config.crawler.minDelayMs, (crawlDelay || 0) * 1000),
+    config.crawler.maxDelayMs
+  );
+
+  // Reserve the slot before sleeping so concurrent callers queue up behind it
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt.get(host) || 0);
+  nextRequestAt.set(host, startAt + spacing);
+
+  if (startAt > now) {
+    console.log(`Waiting ${startAt - now}ms before requesting ${host}`);
+    await new Promise((resolve) => setTimeout(resolve, startAt - now));
+  }
+}
+
+export { checkRobots, waitForTurn, parseRobots, isPathAllowed };
@@ -0,0 +1,103 @@
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../util/config.js";
+import { formatDigestText } from "../util/digest.js";
+import { buildTemplateData, buildWhatsAppPayload } from "./messageService.js";
+import { resolveRecipients } from "./audience.js";
+import { renderDigest } from "./renderers/index.js";
+import { deliverDigest } from "./senders/index.js";
+
+/**
+ * Builds the exact WhatsApp request bodies that would be sent, one per
+ * recipient, rendering the template once per language
+ * @param {Object} digest - Digest object
+ * @param {Array<Object>} recipients - Recipients from resolveRecipients
+ * @returns {Object} - { payloads, error } where error is set when the
+ * digest does not fit any template
+ */
+function buildPayloads(digest, recipients) {
+  const templatesByLanguage = new Map();
+  try {
+    const payloads = recipients.map((recipient) => {
+      if (!templatesByLanguage.has(recipient.language)) {
+        templatesByLanguage.set(recipient.language, buildTemplateData(digest, recipient.language));
+      }
+      return buildWhatsAppPayload(templatesByLanguage.get(recipient.language), recipient.phone);
+    });
+    return { payloads, error: null };
+  } catch (error) {
+    return { payloads: [], error: error.message };
+  }
+}
+
+/**
+ * Previews a profile's delivery instead of sending it: writes the rendered
+ * digest and the WhatsApp payloads under config.preview.dir, and sends to
+ * the test recipient only when one is given. Nothing is saved to the
+ * database and no sources are marked as digested.
+ * @param {Object} profile - Topic profile
+ * @param {Object} digest - Output of the summarize stage
+ * @param {Object} options - Run options
+ * @param {string} options.testRecipient - Number to send the digest to, if any
+ * @param {Object} context - { audienceStore, run }
+ * @returns {Promise<Object>} - { dir, files, text, recipients, payloads,
+ * templateError, testDelivery }
+ */
+async function previewDelivery(profile, digest, options, context) {
+  const { audienceStore, run } = context;
+  const recipients = await resolveRecipients(
+    audienceStore,
+    profile,
+    options.testRecipient ? [options.testRecipient] : options.recipients
+  );
+  // Without recipients the payload is still shown, addressed to a placeholder
+  const { payloads, error: templateError } = buildPayloads(
+    digest,
+    recipients.length > 0
+      ? recipients
+      : [{ phone: "<recipient>", language: config.whatsapp.defaultLanguage }]
+  );
+  const text = formatDigestText(digest);
+
+  const dir = path.join(config.preview.dir, run.runId, profile.name);
+  const files = {
+    "message.txt": `${digest.title}\n\n${text}\n`,
+    "digest.md": renderDigest(digest, "markdown"),
+    "index.html": renderDigest(digest, "html"),
+    "whatsapp-payloads.json": JSON.stringify(
+      templateError ? { error: templateError } : payloads,
+      null,
+      2
+    ) + "\n",
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content);
+  }
+
+  let testDelivery = null;
+  if (options.testRecipient) {
+    console.log(`\nSending preview to test recipient ${options.testRecipient} only...`);
+    testDelivery = await deliverDigest(digest, {
+      channels: ["whatsapp"],
+      recipients,
+      profile,
+    });
+    if (testDelivery.status === "failed") {
+      throw new Error(`Test send failed: ${testDelivery.error}`);
+    }
+  }
+
+  return {
+    dir,
+    files: Object.keys(files).map((name) => path.join(dir, name)),
+    text,
+    recipients: recipients.map((recipient) => recipient.phone),
+    payloads,
+    templateError,
+    testDelivery,
+  };
+}
+
+export { previewDelivery, buildPayloads };
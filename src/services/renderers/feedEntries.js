@@ -0,0 +1,37 @@
+import { toDigestDate } from "../digestService.js";
+import { formatDisplayDate } from "./helpers.js";
+
+/**
+ * Turns a digest into a feed entry with a stable ID and its archive page URL
+ * @param {Object} digest - Digest object
+ * @param {string} baseUrl - URL the published files are served from, if any
+ * @returns {Object} - { id, date, url, title, digest }
+ */
+function toFeedEntry(digest, baseUrl) {
+  const date = toDigestDate(new Date(digest.generatedAt || Date.now()));
+  const slug = digest.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const url = baseUrl ? `${baseUrl.replace(/\/$/, "")}/archive/${date}.html` : undefined;
+
+  return {
+    id: url || `urn:digest:${slug}:${date}`,
+    date,
+    url,
+    title: `${digest.title} - ${formatDisplayDate(digest)}`,
+    digest,
+  };
+}
+
+/**
+ * Returns the entries a feed lists: the accumulated history when publishing,
+ * or just the digest being rendered
+ * @param {Object} digest - Digest object
+ * @param {Object} options - Render options
+ * @param {Array<Object>} options.history - Feed entries, most recent first
+ * @param {string} options.baseUrl - URL the published files are served from
+ * @returns {Array<Object>} - Feed entries
+ */
+function feedEntries(digest, { history, baseUrl } = {}) {
+  return history?.length ? history : [toFeedEntry(digest, baseUrl)];
+}
+
+export { toFeedEntry, feedEntries };
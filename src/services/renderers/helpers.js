@@ -0,0 +1,64 @@
+/**
+ * Escapes text for use in HTML or XML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Formats the day a digest was generated for display
+ * @param {Object} digest - Digest object
+ * @returns {string} - Date, e.g. Friday, January 31, 2025
+ */
+function formatDisplayDate(digest) {
+  return new Date(digest.generatedAt || Date.now()).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+/**
+ * Returns the hostname of a source URL for link labels
+ * @param {string} url - Source URL
+ * @returns {string} - Hostname without www.
+ */
+function sourceName(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Renders digest items as an HTML fragment for feed readers, which ignore
+ * page styles
+ * @param {Object} digest - Digest object
+ * @returns {string} - HTML fragment
+ */
+function renderItemsFragment(digest) {
+  return digest.items
+    .map((item) => {
+      const keyStat = item.keyStat ? ` <strong>${escapeHtml(item.keyStat)}</strong>` : "";
+      const supporting = (item.supportingSources || [])
+        .map((url) => `<a href="${escapeHtml(url)}">${escapeHtml(sourceName(url))}</a>`)
+        .join(", ");
+      return [
+        `<h3><a href="${escapeHtml(item.sourceUrl)}">${escapeHtml(item.headline)}</a></h3>`,
+        `<p>${escapeHtml(item.summary)}${keyStat}</p>`,
+        supporting ? `<p>Also reported by: ${supporting}</p>` : "",
+      ].join("");
+    })
+    .join("\n");
+}
+
+export { escapeHtml, formatDisplayDate, sourceName, renderItemsFragment };
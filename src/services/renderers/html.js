@@ -0,0 +1,88 @@
+import { escapeHtml, formatDisplayDate, sourceName } from "./helpers.js";
+
+// Styles are inlined for email clients that drop <style>; the media query
+// only narrows the padding on small screens
+const MOBILE_STYLES = `
+      @media only screen and (max-width: 620px) {
+        .container { width: 100% !important; }
+        .content { padding: 16px !important; }
+        h1 { font-size: 22px !important; }
+      }`;
+
+/**
+ * Renders one digest item as a table row
+ * @param {Object} item - Digest item
+ * @returns {string} - HTML table row
+ */
+function renderItem(item) {
+  const category = item.category
+    ? `<div style="margin:0 0 4px;font-size:11px;letter-spacing:0.05em;text-transform:uppercase;color:#6b7280">${escapeHtml(item.category.replace(/-/g, " "))}</div>`
+    : "";
+  const keyStat = item.keyStat
+    ? `<p style="margin:8px 0 0;font-size:14px;font-weight:bold;color:#047857">${escapeHtml(item.keyStat)}</p>`
+    : "";
+  const supporting = item.supportingSources?.length
+    ? `<p style="margin:8px 0 0;font-size:12px;color:#6b7280">Also reported by: ${item.supportingSources
+        .map((url) => `<a href="${escapeHtml(url)}" style="color:#6b7280">${escapeHtml(sourceName(url))}</a>`)
+        .join(", ")}</p>`
+    : "";
+
+  return `
+            <tr>
+              <td style="padding:20px 0;border-bottom:1px solid #e5e7eb">
+                ${category}
+                <a href="${escapeHtml(item.sourceUrl)}" style="font-size:18px;line-height:1.3;font-weight:bold;color:#1d4ed8;text-decoration:none">${escapeHtml(item.headline)}</a>
+                <p style="margin:8px 0 0;font-size:15px;line-height:1.6;color:#111827">${escapeHtml(item.summary)}</p>
+                ${keyStat}
+                <p style="margin:8px 0 0;font-size:12px"><a href="${escapeHtml(item.sourceUrl)}" style="color:#6b7280">${escapeHtml(sourceName(item.sourceUrl))}</a></p>
+                ${supporting}
+              </td>
+            </tr>`;
+}
+
+/**
+ * Renders a digest as a responsive HTML newsletter, usable as a web page or
+ * an email body
+ * @param {Object} digest - Digest object
+ * @returns {string} - HTML document
+ */
+function render(digest) {
+  const date = formatDisplayDate(digest);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(digest.title)} - ${escapeHtml(date)}</title>
+    <style>${MOBILE_STYLES}
+    </style>
+  </head>
+  <body style="margin:0;padding:0;background:#f3f4f6;font-family:-apple-system,'Segoe UI',Roboto,Arial,sans-serif">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6">
+      <tr>
+        <td align="center" style="padding:24px 8px">
+          <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" style="width:600px;max-width:100%;background:#ffffff;border-radius:8px">
+            <tr>
+              <td class="content" style="padding:32px">
+                <h1 style="margin:0;font-size:26px;line-height:1.2;color:#111827">${escapeHtml(digest.title)}</h1>
+                <p style="margin:6px 0 0;font-size:14px;color:#6b7280">${escapeHtml(date)}</p>
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${digest.items.map(renderItem).join("")}
+                </table>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`;
+}
+
+export default {
+  name: "html",
+  fileName: "index.html",
+  contentType: "text/html",
+  render,
+};
@@ -0,0 +1,44 @@
+import markdown from "./markdown.js";
+import html from "./html.js";
+import json from "./json.js";
+import jsonFeed from "./jsonFeed.js";
+import rss from "./rss.js";
+
+// Digest renderers keyed by the name used in PUBLISH_FORMATS. Each renderer
+// exposes render(digest, options) returning a string, plus the fileName and
+// contentType it is published under. Feed renderers list options.history.
+const renderers = {
+  [markdown.name]: markdown,
+  [html.name]: html,
+  [json.name]: json,
+  [jsonFeed.name]: jsonFeed,
+  [rss.name]: rss,
+};
+
+/**
+ * Looks up a renderer by name
+ * @param {string} name - Renderer name
+ * @returns {Object} - Renderer
+ */
+function getRenderer(name) {
+  const renderer = renderers[name];
+  if (!renderer) {
+    throw new Error(
+      `Unknown format "${name}". Available formats: ${Object.keys(renderers).join(", ")}`
+    );
+  }
+  return renderer;
+}
+
+/**
+ * Renders a digest in one format
+ * @param {Object} digest - Digest object
+ * @param {string} format - Renderer name
+ * @param {Object} options - Renderer options, e.g. { history, baseUrl } for feeds
+ * @returns {string} - Rendered digest
+ */
+function renderDigest(digest, format, options = {}) {
+  return getRenderer(format).render(digest, options);
+}
+
+export { getRenderer, renderDigest };
@@ -0,0 +1,16 @@
+/**
+ * Renders a digest as JSON
+ * @param {Object} digest - Digest object
+ * @returns {string} - JSON document
+ */
+function render(digest) {
+  const { title, generatedAt, items, sources, provider, model } = digest;
+  return JSON.stringify({ title, generatedAt, items, sources, provider, model }, null, 2) + "\n";
+}
+
+export default {
+  name: "json",
+  fileName: "digest.json",
+  contentType: "application/json",
+  render,
+};
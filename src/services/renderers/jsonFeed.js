@@ -0,0 +1,41 @@
+import { formatDigestText } from "../../util/digest.js";
+import { feedEntries } from "./feedEntries.js";
+import { renderItemsFragment } from "./helpers.js";
+
+/**
+ * Renders a JSON Feed 1.1 document with one entry per digest
+ * @param {Object} digest - Latest digest object
+ * @param {Object} options - Render options
+ * @param {Array<Object>} options.history - Feed entries, most recent first
+ * @param {string} options.baseUrl - URL the published files are served from
+ * @returns {string} - JSON Feed document
+ */
+function render(digest, options = {}) {
+  const { baseUrl } = options;
+  const root = baseUrl?.replace(/\/$/, "");
+
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: digest.title,
+    ...(root && { home_page_url: `${root}/`, feed_url: `${root}/feed.json` }),
+    description: `${digest.title}, published daily`,
+    items: feedEntries(digest, options).map((entry) => ({
+      id: entry.id,
+      ...(entry.url && { url: entry.url }),
+      title: entry.title,
+      content_html: renderItemsFragment(entry.digest),
+      content_text: formatDigestText(entry.digest),
+      date_published: new Date(entry.digest.generatedAt).toISOString(),
+      tags: [...new Set(entry.digest.items.map((item) => item.category).filter(Boolean))],
+    })),
+  };
+
+  return JSON.stringify(feed, null, 2) + "\n";
+}
+
+export default {
+  name: "jsonfeed",
+  fileName: "feed.json",
+  contentType: "application/feed+json",
+  render,
+};
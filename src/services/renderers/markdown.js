@@ -0,0 +1,42 @@
+import { formatDisplayDate, sourceName } from "./helpers.js";
+
+/**
+ * Escapes the characters that would start Markdown formatting in link text
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text ?? "").replace(/([\\`*_[\]<>])/g, "\\$1");
+}
+
+/**
+ * Renders a digest as Markdown
+ * @param {Object} digest - Digest object
+ * @returns {string} - Markdown document
+ */
+function render(digest) {
+  const items = digest.items.map((item) => {
+    const lines = [
+      `## [${escapeMarkdown(item.headline)}](${item.sourceUrl})`,
+      "",
+      escapeMarkdown(item.summary),
+    ];
+    if (item.keyStat) {
+      lines.push("", `**Key stat:** ${escapeMarkdown(item.keyStat)}`);
+    }
+    if (item.supportingSources?.length) {
+      const links = item.supportingSources.map((url) => `[${sourceName(url)}](${url})`);
+      lines.push("", `Also reported by: ${links.join(", ")}`);
+    }
+    return lines.join("\n");
+  });
+
+  return `# ${escapeMarkdown(digest.title)}\n\n_${formatDisplayDate(digest)}_\n\n${items.join("\n\n")}\n`;
+}
+
+export default {
+  name: "markdown",
+  fileName: "digest.md",
+  contentType: "text/markdown",
+  render,
+};
@@ -0,0 +1,54 @@
+import { feedEntries } from "./feedEntries.js";
+import { escapeHtml, renderItemsFragment } from "./helpers.js";
+
+/**
+ * Wraps HTML in a CDATA section
+ * @param {string} html - HTML to embed
+ * @returns {string} - CDATA section
+ */
+function cdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+/**
+ * Renders an RSS 2.0 channel with one item per digest
+ * @param {Object} digest - Latest digest object
+ * @param {Object} options - Render options
+ * @param {Array<Object>} options.history - Feed entries, most recent first
+ * @param {string} options.baseUrl - URL the published files are served from
+ * @returns {string} - RSS document
+ */
+function render(digest, options = {}) {
+  const root = options.baseUrl?.replace(/\/$/, "");
+  const entries = feedEntries(digest, options);
+
+  const items = entries
+    .map(
+      (entry) => `    <item>
+      <title>${escapeHtml(entry.title)}</title>${entry.url ? `\n      <link>${escapeHtml(entry.url)}</link>` : ""}
+      <guid isPermaLink="${entry.url ? "true" : "false"}">${escapeHtml(entry.id)}</guid>
+      <pubDate>${new Date(entry.digest.generatedAt).toUTCString()}</pubDate>
+      <description>${cdata(renderItemsFragment(entry.digest))}</description>
+    </item>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(digest.title)}</title>
+    <link>${escapeHtml(root ? `${root}/` : entries[0]?.digest.items[0]?.sourceUrl || "")}</link>
+    <description>${escapeHtml(`${digest.title}, published daily`)}</description>
+    <lastBuildDate>${new Date(digest.generatedAt || Date.now()).toUTCString()}</lastBuildDate>${root ? `\n    <atom:link href="${escapeHtml(`${root}/feed.xml`)}" rel="self" type="application/rss+xml" />` : ""}
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export default {
+  name: "rss",
+  fileName: "feed.xml",
+  contentType: "application/rss+xml",
+  render,
+};
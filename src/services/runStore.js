@@ -0,0 +1,218 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../util/config.js";
+import { connectDatabase } from "../util/db.js";
+import PipelineRun from "../models/PipelineRun.js";
+import RunCheckpoint from "../models/RunCheckpoint.js";
+
+/**
+ * Creates a run store keeping each run in its own directory: run.json for
+ * the run record and <profile>/<stage>.json for checkpoints
+ * @param {string} dir - Directory holding all runs
+ * @returns {Object} - Run store
+ */
+function createFileRunStore(dir) {
+  const runDir = (runId) => path.join(dir, runId);
+  const checkpointPath = (runId, profile, stage) =>
+    path.join(runDir(runId), encodeURIComponent(profile), `${stage}.json`);
+
+  const readJson = async (filePath) => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return null;
+    }
+  };
+
+  const writeJson = async (filePath, data) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2) + "\n");
+  };
+
+  return {
+    async loadRun(runId) {
+      return readJson(path.join(runDir(runId), "run.json"));
+    },
+
+    async saveRun(run) {
+      await writeJson(path.join(runDir(run.runId), "run.json"), run);
+    },
+
+    async listRuns(limit) {
+      let runIds;
+      try {
+        runIds = await fs.readdir(dir);
+      } catch {
+        return [];
+      }
+
+      // Run IDs start with their start time, so they sort chronologically
+      const runs = [];
+      for (const runId of runIds.sort().reverse()) {
+        if (runs.length >= limit) break;
+        const run = await readJson(path.join(runDir(runId), "run.json")).catch(() => null);
+        if (run) runs.push(run);
+      }
+      return runs;
+    },
+
+    async loadCheckpoint(runId, profile, stage) {
+      const checkpoint = await readJson(checkpointPath(runId, profile, stage));
+      return checkpoint ? checkpoint.output : null;
+    },
+
+    async saveCheckpoint(runId, profile, stage, output) {
+      await writeJson(checkpointPath(runId, profile, stage), {
+        savedAt: new Date().toISOString(),
+        output,
+      });
+    },
+
+    async prune(cutoff) {
+      let removed = 0;
+      let runIds;
+      try {
+        runIds = await fs.readdir(dir);
+      } catch {
+        return removed;
+      }
+
+      for (const runId of runIds) {
+        const run = await readJson(path.join(runDir(runId), "run.json")).catch(() => null);
+        if (run && new Date(run.startedAt) < cutoff) {
+          await fs.rm(runDir(runId), { recursive: true, force: true });
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Creates a run store backed by the PipelineRun and RunCheckpoint
+ * MongoDB collections
+ * @returns {Object} - Run store
+ */
+function createMongoRunStore() {
+  return {
+    async loadRun(runId) {
+      await connectDatabase();
+      const run = await PipelineRun.findOne({ runId }).lean();
+      if (!run) return null;
+      const { _id, __v, ...record } = run;
+      return record;
+    },
+
+    async saveRun(run) {
+      await connectDatabase();
+      await PipelineRun.replaceOne({ runId: run.runId }, run, { upsert: true });
+    },
+
+    async listRuns(limit) {
+      await connectDatabase();
+      const runs = await PipelineRun.find().sort({ startedAt: -1 }).limit(limit).lean();
+      return runs.map(({ _id, __v, ...record }) => record);
+    },
+
+    async loadCheckpoint(runId, profile, stage) {
+      await connectDatabase();
+      const checkpoint = await RunCheckpoint.findOne({ runId, profile, stage }).lean();
+      return checkpoint ? checkpoint.output : null;
+    },
+
+    async saveCheckpoint(runId, profile, stage, output) {
+      await connectDatabase();
+      await RunCheckpoint.updateOne(
+        { runId, profile, stage },
+        { $set: { output, savedAt: new Date() } },
+        { upsert: true }
+      );
+    },
+
+    async prune(cutoff) {
+      await connectDatabase();
+      const runIds = await PipelineRun.find({ startedAt: { $lt: cutoff } }).distinct("runId");
+      await RunCheckpoint.deleteMany({ runId: { $in: runIds } });
+      const result = await PipelineRun.deleteMany({ runId: { $in: runIds } });
+      return result.deletedCount;
+    },
+  };
+}
+
+/**
+ * Creates the run store configured in config.runs
+ * @param {Object} options - Overrides for config.runs
+ * @returns {Object} - Run store
+ */
+function createRunStore(options = {}) {
+  const { backend, dir } = { ...config.runs, ...options };
+
+  if (backend === "mongo") {
+    return createMongoRunStore();
+  }
+  if (backend === "file") {
+    return createFileRunStore(dir);
+  }
+  throw new Error(`Unknown runs backend: ${backend}`);
+}
+
+/**
+ * Generates a sortable run ID, e.g. 20250131-070000-3f9a
+ * @param {Date} date - Start of the run
+ * @returns {string} - Run ID
+ */
+function newRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * Creates the record for a new run
+ * @param {Object} options - Run options from parseCliArgs
+ * @param {Array<Object>} profiles - Profiles the run covers
+ * @returns {Object} - Run record
+ */
+function createRunRecord(options, profiles) {
+  const startedAt = new Date();
+  return {
+    runId: newRunId(startedAt),
+    status: "running",
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    options: {
+      profiles: options.profiles,
+      query: options.query,
+      count: options.count,
+      days: options.days,
+      recipients: options.recipients,
+      stages: options.stages,
+      dryRun: options.dryRun,
+      testRecipient: options.testRecipient,
+    },
+    profiles: Object.fromEntries(
+      profiles.map((profile) => [profile.name, { status: "pending", stages: {} }])
+    ),
+  };
+}
+
+/**
+ * Deletes runs and their checkpoints older than the retention period
+ * @param {Object} store - Run store
+ * @param {number} retentionDays - Days runs are kept
+ */
+async function pruneRuns(store, retentionDays = config.runs.retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  try {
+    const removed = await store.prune(cutoff);
+    if (removed > 0) {
+      console.log(`Runs: pruned ${removed} runs older than ${retentionDays} days`);
+    }
+  } catch (error) {
+    console.warn(`Could not prune runs: ${error.message}`);
+  }
+}
+
+export { createRunStore, createRunRecord, pruneRuns };
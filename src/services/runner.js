@@ -0,0 +1,140 @@
+import { config } from "../util/config.js";
+import { resolveProfiles } from "../util/profiles.js";
+import { runProfilePipeline } from "./pipeline.js";
+import { createUrlStore } from "./urlStore.js";
+import { closeBrowser } from "./scraper.js";
+import { pruneCache } from "./cache.js";
+import { createAudienceStore } from "./audience.js";
+import { createRunStore, createRunRecord, pruneRuns } from "./runStore.js";
+import { createSchedulerStore } from "./schedulerStore.js";
+
+/**
+ * Runs the pipeline for every requested profile, or resumes an earlier run.
+ * Each profile is locked while it runs so overlapping runs (from the CLI,
+ * the daemon or the admin API) cannot deliver the same digest twice.
+ * @param {Object} options - Run options from parseCliArgs
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onStart - Called with the run record once it is saved
+ * @param {Function} hooks.onOutput - Called with (profile, stage, output) after
+ * each profile finishes
+ * @returns {Promise<Object>} - Finished run record
+ * @throws {Error} - When the run cannot start or a profile fails; error.run
+ * holds the run record once one exists
+ */
+async function executeRun(options, hooks = {}) {
+  const runStore = createRunStore();
+  const schedulerStore = createSchedulerStore();
+  let run;
+
+  try {
+    let runOptions = options;
+    if (options.resume) {
+      run = await runStore.loadRun(options.resume);
+      if (!run) {
+        throw new Error(`Run ${options.resume} not found`);
+      }
+      runOptions = {
+        ...options,
+        ...run.options,
+        recipients: options.recipients ?? run.options.recipients,
+        dryRun: options.dryRun || run.options.dryRun,
+        testRecipient: options.testRecipient ?? run.options.testRecipient,
+        stages: options.rerunStages.length > 0 ? options.stages : run.options.stages,
+      };
+      run.status = "running";
+      run.finishedAt = null;
+      console.log(`Resuming run ${run.runId}`);
+    }
+
+    if (runOptions.testRecipient) {
+      console.log(`Dry run: only sending to test recipient ${runOptions.testRecipient}`);
+    } else if (runOptions.dryRun) {
+      console.log("Dry run: nothing will be sent or marked as processed");
+    }
+
+    let profiles = resolveProfiles(runOptions.profiles, runOptions.query);
+    if (options.resumeProfiles) {
+      const unknown = options.resumeProfiles.filter(
+        (name) => !profiles.some((profile) => profile.name === name)
+      );
+      if (unknown.length > 0) {
+        throw new Error(`Run ${run.runId} has no profile(s) ${unknown.join(", ")}`);
+      }
+      profiles = profiles.filter((profile) => options.resumeProfiles.includes(profile.name));
+    }
+    if (!run) {
+      run = createRunRecord(runOptions, profiles);
+      console.log(`Run ID: ${run.runId}`);
+    }
+    await runStore.saveRun(run);
+    hooks.onStart?.(run);
+
+    const urlStore = await createUrlStore();
+    const audienceStore = createAudienceStore();
+    const lockTtlMs = config.scheduler.lockTtlMinutes * 60 * 1000;
+
+    // A failing profile should not prevent the remaining digests
+    let failures = 0;
+    for (const profile of profiles) {
+      const profileRecord = (run.profiles[profile.name] ??= { status: "pending", stages: {} });
+
+      // Dry runs never deliver to the audience, so they can overlap
+      const needsLock = !runOptions.dryRun;
+      if (needsLock && !(await schedulerStore.acquireLock(profile.name, run.runId, lockTtlMs))) {
+        console.error(`Profile "${profile.name}" is already being run elsewhere, skipping`);
+        profileRecord.status = "failed";
+        profileRecord.error = "already running";
+        failures++;
+        continue;
+      }
+
+      try {
+        const { stage, output } = await runProfilePipeline(profile, runOptions, {
+          urlStore,
+          audienceStore,
+          runStore,
+          run,
+        });
+        hooks.onOutput?.(profile, stage, output);
+      } catch (error) {
+        console.error(`Profile "${profile.name}" failed:`, error.message);
+        failures++;
+      } finally {
+        if (needsLock) {
+          await schedulerStore.releaseLock(profile.name, run.runId).catch((error) => {
+            console.warn(`Could not release lock for "${profile.name}": ${error.message}`);
+          });
+        }
+      }
+    }
+
+    // Profiles left out of a partial resume keep their earlier status
+    const anyFailed = Object.values(run.profiles).some((record) => record.status === "failed");
+    run.status = anyFailed ? "failed" : "completed";
+    run.finishedAt = new Date().toISOString();
+    await runStore.saveRun(run);
+
+    await pruneCache();
+    await pruneRuns(runStore);
+
+    if (failures > 0) {
+      throw new Error(`${failures} of ${profiles.length} profile(s) failed`);
+    }
+    return run;
+  } catch (error) {
+    if (run) {
+      if (run.status === "running") {
+        run.status = "failed";
+        run.finishedAt = new Date().toISOString();
+        await runStore.saveRun(run).catch(() => {});
+      }
+      error.run = run;
+    }
+    throw error;
+  } finally {
+    // The browser is relaunched on demand; keeping it between runs only holds memory
+    await closeBrowser();
+  }
+}
+
+export { executeRun };
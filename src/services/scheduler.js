@@ -0,0 +1,174 @@
+import { CronExpressionParser } from "cron-parser";
+import { config } from "../util/config.js";
+
+/**
+ * Checks a profile's cron expression and timezone
+ * @param {Object} profile - Topic profile
+ * @throws {Error} - When either is invalid
+ */
+function validateSchedule(profile) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: profile.timezone });
+  } catch {
+    throw new Error(`Profile "${profile.name}" has an unknown timezone "${profile.timezone}"`);
+  }
+  try {
+    CronExpressionParser.parse(profile.schedule, { tz: profile.timezone });
+  } catch (error) {
+    throw new Error(
+      `Profile "${profile.name}" has an invalid schedule "${profile.schedule}": ${error.message}`
+    );
+  }
+}
+
+/**
+ * Finds the latest scheduled time at or before a date
+ * @param {Object} profile - Topic profile with schedule and timezone
+ * @param {Date} date - Reference date
+ * @returns {Date} - Previous scheduled time
+ */
+function previousOccurrence(profile, date) {
+  // Starting just after the date lets a run due exactly now count as previous
+  return CronExpressionParser.parse(profile.schedule, {
+    currentDate: new Date(date.getTime() + 1000),
+    tz: profile.timezone,
+  })
+    .prev()
+    .toDate();
+}
+
+/**
+ * Finds the next scheduled time after a date
+ * @param {Object} profile - Topic profile with schedule and timezone
+ * @param {Date} date - Reference date
+ * @returns {Date} - Next scheduled time
+ */
+function nextOccurrence(profile, date) {
+  return CronExpressionParser.parse(profile.schedule, {
+    currentDate: date,
+    tz: profile.timezone,
+  })
+    .next()
+    .toDate();
+}
+
+/**
+ * Creates a scheduler that runs each profile at the times in its cron
+ * schedule. Due profiles run one at a time. Every scheduled time is claimed
+ * in the scheduler store before it runs, so it runs at most once even with
+ * several daemons, and a time missed while no daemon was running is made
+ * up on start when it is recent enough.
+ * @param {Array<Object>} profiles - Profiles to schedule
+ * @param {Object} options - Scheduler dependencies
+ * @param {Object} options.store - Scheduler store
+ * @param {Function} options.runProfile - Runs a profile, resolving to the
+ * run record; rejections are logged
+ * @returns {Object} - { start, stop, idle }
+ */
+function createScheduler(profiles, { store, runProfile }) {
+  profiles.forEach(validateSchedule);
+
+  const { catchUpHours, checkIntervalMs } = config.scheduler;
+  let timer = null;
+  let current = null;
+  let stopped = false;
+
+  /**
+   * Runs a profile if its latest scheduled time has not been claimed yet
+   * @param {Object} profile - Topic profile
+   */
+  async function checkProfile(profile) {
+    const now = new Date();
+    const due = previousOccurrence(profile, now);
+    const state = await store.getState(profile.name);
+
+    if (!state?.lastScheduledAt) {
+      // First start: schedule from now on instead of running immediately
+      await store.claimOccurrence(profile.name, due);
+      console.log(`[${profile.name}] scheduled "${profile.schedule}" (${profile.timezone}), next run at ${nextOccurrence(profile, now).toISOString()}`);
+      return;
+    }
+    if (new Date(state.lastScheduledAt) >= due) return;
+
+    const lateMs = now - due;
+    const missed = lateMs > 2 * checkIntervalMs;
+    if (missed && lateMs > catchUpHours * 60 * 60 * 1000) {
+      if (await store.claimOccurrence(profile.name, due)) {
+        await store.recordOutcome(profile.name, { lastStatus: "missed" });
+        console.warn(`[${profile.name}] skipping run missed at ${due.toISOString()}, older than ${catchUpHours}h`);
+      }
+      return;
+    }
+
+    if (!(await store.claimOccurrence(profile.name, due))) return;
+    console.log(
+      missed
+        ? `[${profile.name}] catching up on the run missed at ${due.toISOString()}`
+        : `[${profile.name}] starting run scheduled for ${due.toISOString()}`
+    );
+
+    let outcome;
+    try {
+      const run = await runProfile(profile);
+      outcome = { lastRunId: run.runId, lastStatus: run.status };
+    } catch (error) {
+      console.error(`[${profile.name}] scheduled run failed: ${error.message}`);
+      outcome = { lastRunId: error.run?.runId, lastStatus: "failed" };
+    }
+    await store.recordOutcome(profile.name, outcome);
+    console.log(`[${profile.name}] next run at ${nextOccurrence(profile, new Date()).toISOString()}`);
+  }
+
+  /**
+   * Checks every profile once, skipping the check while a run is in progress
+   */
+  async function tick() {
+    if (current || stopped) return;
+
+    current = (async () => {
+      for (const profile of profiles) {
+        if (stopped) break;
+        try {
+          await checkProfile(profile);
+        } catch (error) {
+          console.error(`[${profile.name}] scheduler error: ${error.message}`);
+        }
+      }
+    })();
+
+    try {
+      await current;
+    } finally {
+      current = null;
+    }
+  }
+
+  return {
+    /**
+     * Starts checking the schedules
+     */
+    start() {
+      stopped = false;
+      tick();
+      timer = setInterval(tick, checkIntervalMs);
+    },
+
+    /**
+     * Stops starting new runs; a run in progress continues
+     */
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+    },
+
+    /**
+     * Waits for the run in progress, if any
+     * @returns {Promise<void>} - Resolves once no run is in progress
+     */
+    async idle() {
+      await current;
+    },
+  };
+}
+
+export { createScheduler, previousOccurrence, nextOccurrence };
@@ -0,0 +1,171 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { config } from "../util/config.js";
+import { connectDatabase } from "../util/db.js";
+import RunLock from "../models/RunLock.js";
+import ScheduleState from "../models/ScheduleState.js";
+
+// Identifies this process in lock records
+const HOLDER = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Creates a scheduler store keeping <name>.lock and <name>.json files in a
+ * directory. Locks only protect against runs on the same machine.
+ * @param {string} dir - Directory for lock and state files
+ * @returns {Object} - Scheduler store
+ */
+function createFileSchedulerStore(dir) {
+  const filePath = (name, extension) =>
+    path.join(dir, `${encodeURIComponent(name)}.${extension}`);
+
+  const readJson = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return null;
+    }
+  };
+
+  return {
+    async acquireLock(name, owner, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const lockPath = filePath(name, "lock");
+      const lock = JSON.stringify({
+        owner,
+        holder: HOLDER,
+        expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+      });
+
+      try {
+        await fs.writeFile(lockPath, lock, { flag: "wx" });
+        return true;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+
+      // Take over locks left behind by crashed runs
+      const existing = await readJson(lockPath).catch(() => null);
+      if (existing && new Date(existing.expiresAt) > new Date()) {
+        return false;
+      }
+      await fs.writeFile(lockPath, lock);
+      return true;
+    },
+
+    async releaseLock(name, owner) {
+      const lockPath = filePath(name, "lock");
+      const existing = await readJson(lockPath).catch(() => null);
+      if (existing?.owner === owner) {
+        await fs.rm(lockPath, { force: true });
+      }
+    },
+
+    async getState(name) {
+      return readJson(filePath(name, "json"));
+    },
+
+    async claimOccurrence(name, scheduledAt) {
+      const state = await this.getState(name);
+      if (state?.lastScheduledAt && new Date(state.lastScheduledAt) >= scheduledAt) {
+        return false;
+      }
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        filePath(name, "json"),
+        JSON.stringify({ name, lastScheduledAt: scheduledAt.toISOString() }, null, 2) + "\n"
+      );
+      return true;
+    },
+
+    async recordOutcome(name, outcome) {
+      const state = (await this.getState(name)) || { name };
+      await fs.writeFile(
+        filePath(name, "json"),
+        JSON.stringify({ ...state, ...outcome }, null, 2) + "\n"
+      );
+    },
+  };
+}
+
+/**
+ * Creates a scheduler store backed by the RunLock and ScheduleState
+ * MongoDB collections. Locks hold across machines sharing the database.
+ * @returns {Object} - Scheduler store
+ */
+function createMongoSchedulerStore() {
+  return {
+    async acquireLock(name, owner, ttlMs) {
+      await connectDatabase();
+      try {
+        // Matches only a missing or expired lock; a live lock makes the
+        // upsert collide with the unique name index
+        await RunLock.findOneAndUpdate(
+          { name, expiresAt: { $lt: new Date() } },
+          { $set: { owner, holder: HOLDER, expiresAt: new Date(Date.now() + ttlMs) } },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    },
+
+    async releaseLock(name, owner) {
+      await connectDatabase();
+      await RunLock.deleteOne({ name, owner });
+    },
+
+    async getState(name) {
+      await connectDatabase();
+      return ScheduleState.findOne({ name }).lean();
+    },
+
+    async claimOccurrence(name, scheduledAt) {
+      await connectDatabase();
+      try {
+        const result = await ScheduleState.updateOne(
+          {
+            name,
+            $or: [
+              { lastScheduledAt: { $exists: false } },
+              { lastScheduledAt: { $lt: scheduledAt } },
+            ],
+          },
+          { $set: { lastScheduledAt: scheduledAt }, $unset: { lastRunId: "", lastStatus: "" } },
+          { upsert: true }
+        );
+        return result.modifiedCount + result.upsertedCount > 0;
+      } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    },
+
+    async recordOutcome(name, outcome) {
+      await connectDatabase();
+      await ScheduleState.updateOne({ name }, { $set: outcome });
+    },
+  };
+}
+
+/**
+ * Creates the scheduler store configured in config.scheduler
+ * @param {Object} options - Overrides for config.scheduler
+ * @returns {Object} - Scheduler store
+ */
+function createSchedulerStore(options = {}) {
+  const { backend, dir } = { ...config.scheduler, ...options };
+
+  if (backend === "mongo") {
+    return createMongoSchedulerStore();
+  }
+  if (backend === "file") {
+    return createFileSchedulerStore(dir);
+  }
+  throw new Error(`Unknown scheduler backend: ${backend}`);
+}
+
+export { createSchedulerStore };
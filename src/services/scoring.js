@@ -0,0 +1,233 @@
+import { config } from "../util/config.js";
+import { containsKeyword, getDomain, matchesDomain } from "../util/profiles.js";
+
+// Terms that mark an article as being about education technology
+const EDTECH_TERMS = [
+  "edtech",
+  "education technology",
+  "educational technology",
+  "classroom",
+  "teacher",
+  "student",
+  "school",
+  "district",
+  "university",
+  "college",
+  "curriculum",
+  "learning management system",
+  "lms",
+  "online learning",
+  "digital learning",
+  "courseware",
+  "tutoring",
+  "literacy",
+  "assessment",
+  "ai",
+  "artificial intelligence",
+  "chromebook",
+  "device",
+  "platform",
+  "software",
+];
+
+// Article text is only searched this far for relevance terms
+const RELEVANCE_TEXT_LENGTH = 3000;
+
+// Distinct terms needed for full relevance
+const RELEVANCE_TERMS_FOR_FULL_SCORE = 5;
+
+// Word counts where the length score starts rising and reaches 1
+const MIN_USEFUL_WORDS = 100;
+const FULL_SCORE_WORDS = 600;
+
+// Phrases that give away job listings, which are never relevant
+const JOB_LISTING_PATTERN =
+  /\b(job (opening|posting|description)|we('| a)re hiring|apply now|salary range|years of experience required)\b/i;
+
+// Phrases that give away vendor press releases
+const PRESS_RELEASE_PATTERN =
+  /\b(press release|media contact|for immediate release|is a leading provider of|prnewswire|business wire|globe ?newswire)\b/i;
+
+/**
+ * Scores how much an article is about education technology
+ * @param {Object} article - Scraped article
+ * @param {Object} profile - Topic profile
+ * @returns {Object} - { score, reason }
+ */
+function scoreRelevance(article, profile) {
+  const text = `${article.title || ""} ${(article.content || "").substring(0, RELEVANCE_TEXT_LENGTH)}`;
+  if (JOB_LISTING_PATTERN.test(text)) {
+    return { score: 0, reason: "looks like a job listing" };
+  }
+
+  const lowered = text.toLowerCase();
+  const terms = [...new Set([...EDTECH_TERMS, ...profile.includeKeywords])];
+  const matched = terms.filter((term) => containsKeyword(lowered, term));
+  return {
+    score: Math.min(1, matched.length / RELEVANCE_TERMS_FOR_FULL_SCORE),
+    reason: `${matched.length} EdTech terms`,
+  };
+}
+
+/**
+ * Scores how recently an article was published. Articles without a
+ * known date get a neutral score.
+ * @param {Object} article - Scraped article
+ * @returns {Object} - { score, reason }
+ */
+function scoreRecency(article) {
+  const published = Date.parse(article.date);
+  if (Number.isNaN(published)) {
+    return { score: 0.5, reason: "unknown date" };
+  }
+
+  const ageDays = Math.max(0, (Date.now() - published) / (24 * 60 * 60 * 1000));
+  const { maxAgeDays } = config.scoring;
+  const score = ageDays <= 1 ? 1 : Math.max(0, 1 - (ageDays - 1) / (maxAgeDays - 1));
+  return { score, reason: `${Math.floor(ageDays)} days old` };
+}
+
+/**
+ * Scores the source of an article
+ * @param {Object} article - Scraped article
+ * @param {Object} profile - Topic profile
+ * @returns {Object} - { score, reason }
+ */
+function scoreReputation(article, profile) {
+  const domain = getDomain(article.url);
+  const { reputableDomains, lowReputationDomains } = config.scoring;
+
+  if (matchesDomain(domain, lowReputationDomains)) {
+    return { score: 0.1, reason: `${domain} is a press release source` };
+  }
+  if (PRESS_RELEASE_PATTERN.test((article.content || "").substring(0, RELEVANCE_TEXT_LENGTH))) {
+    return { score: 0.2, reason: "reads like a press release" };
+  }
+  if (matchesDomain(domain, profile.preferredDomains)) {
+    return { score: 1, reason: `${domain} is preferred by the profile` };
+  }
+  if (matchesDomain(domain, reputableDomains)) {
+    return { score: 1, reason: `${domain} is a reputable source` };
+  }
+  return { score: 0.5, reason: `${domain} is not rated` };
+}
+
+/**
+ * Scores how much substance an article has by its length
+ * @param {Object} article - Scraped article
+ * @returns {Object} - { score, reason }
+ */
+function scoreLength(article) {
+  const words = (article.content || "").split(/\s+/).filter(Boolean).length;
+  const score = Math.min(
+    1,
+    Math.max(0, (words - MIN_USEFUL_WORDS) / (FULL_SCORE_WORDS - MIN_USEFUL_WORDS))
+  );
+  return { score, reason: `${words} words` };
+}
+
+/**
+ * Combines the component scores using the configured weights
+ * @param {Object} components - Component scores keyed by name
+ * @returns {number} - Weighted score from 0 to 1
+ */
+function weightedScore(components) {
+  let total = 0;
+  let weightSum = 0;
+  for (const [name, weight] of Object.entries(config.scoring.weights)) {
+    if (components[name] === undefined || !weight) continue;
+    total += components[name] * weight;
+    weightSum += weight;
+  }
+  return weightSum > 0 ? total / weightSum : 0;
+}
+
+/**
+ * Formats a number for the report
+ * @param {number} value - Number from 0 to 1
+ * @returns {string} - Value with two decimals
+ */
+function round(value) {
+  return value.toFixed(2);
+}
+
+/**
+ * Rates scraped articles for relevance, recency, source reputation and
+ * length, and keeps the best ones for summarization
+ * @param {Array<Object>} articles - Scraped articles
+ * @param {Object} profile - Topic profile
+ * @returns {Object} - { kept (best first, with a score field), dropped, report }
+ */
+function rankArticles(articles, profile) {
+  if (!config.scoring.enabled) {
+    return { kept: articles, dropped: [], report: [] };
+  }
+
+  const { minScore, minRelevance, maxArticles } = config.scoring;
+
+  const scored = articles.map((article) => {
+    const checks = {
+      relevance: scoreRelevance(article, profile),
+      recency: scoreRecency(article),
+      reputation: scoreReputation(article, profile),
+      length: scoreLength(article),
+    };
+    const components = Object.fromEntries(
+      Object.entries(checks).map(([name, check]) => [name, check.score])
+    );
+    const total = weightedScore(components);
+    const details = Object.entries(checks)
+      .map(([name, check]) => `${name} ${round(check.score)} (${check.reason})`)
+      .join(", ");
+
+    let dropReason = null;
+    if (components.relevance < minRelevance) {
+      dropReason = `relevance ${round(components.relevance)} below ${minRelevance}`;
+    } else if (total < minScore) {
+      dropReason = `score ${round(total)} below ${minScore}`;
+    }
+
+    return {
+      article: { ...article, score: { total, ...components } },
+      total,
+      details,
+      dropReason,
+    };
+  });
+
+  // Stable sort keeps search ranking between equal scores
+  scored.sort((a, b) => b.total - a.total);
+
+  let keptCount = 0;
+  for (const entry of scored) {
+    if (entry.dropReason) continue;
+    if (keptCount >= maxArticles) {
+      entry.dropReason = `outside the top ${maxArticles} articles`;
+    } else {
+      keptCount++;
+    }
+  }
+
+  const report = scored.map((entry) => ({
+    url: entry.article.url,
+    title: entry.article.title,
+    score: Number(round(entry.total)),
+    kept: !entry.dropReason,
+    reason: entry.dropReason
+      ? `dropped: ${entry.dropReason}; ${entry.details}`
+      : `kept: ${entry.details}`,
+  }));
+
+  console.log(`Scored ${articles.length} articles, keeping ${keptCount}:`);
+  for (const entry of report) {
+    console.log(`  ${entry.kept ? "+" : "-"} ${round(entry.score)} ${entry.url}\n      ${entry.reason}`);
+  }
+
+  return {
+    kept: scored.filter((entry) => !entry.dropReason).map((entry) => entry.article),
+    dropped: scored.filter((entry) => entry.dropReason).map((entry) => entry.article),
+    report,
+  };
+}
+
+export { rankArticles };
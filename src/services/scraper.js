@@ -1,141 +1,470 @@
 import axios from "axios";
 import dotenv from "dotenv";
 import puppeteer from "puppeteer";
-import { load } from "cheerio";
+import { config } from "../util/config.js";
+import { extractArticle } from "./extractor.js";
+import { checkRobots, waitForTurn } from "./politeness.js";
+import { getCached, setCached } from "./cache.js";
 
 dotenv.config();
 
+// Bump when extraction changes so cached scrapes are refetched
+const SCRAPE_CACHE_VERSION = "1";
+
+// Shared Chromium instance, launched on first use and relaunched after a crash
+let browserPromise = null;
+let currentBrowser = null;
+
+// Idle pages ready for reuse
+const idlePages = [];
+
+/**
+ * Returns the shared browser, launching it if needed
+ * @returns {Promise<Object>} - Puppeteer browser
+ */
+async function getBrowser() {
+  if (!browserPromise) {
+    console.log("Launching shared browser");
+    browserPromise = puppeteer
+      .launch({
+        headless: "new",
+        args: [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-dev-shm-usage",
+          "--disable-gpu",
+          "--no-zygote",
+          "--disable-accelerated-2d-canvas",
+        ],
+        defaultViewport: { width: 1280, height: 800 },
+        ignoreHTTPSErrors: true,
+        timeout: 30000,
+      })
+      .then((browser) => {
+        currentBrowser = browser;
+        browser.on("disconnected", () => {
+          if (browser !== currentBrowser) return;
+          console.warn("Browser disconnected, it will be relaunched on next use");
+          resetBrowser(browser);
+        });
+        return browser;
+      })
+      .catch((error) => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+  return browserPromise;
+}
+
 /**
- * Enhanced scraping with better logging and timeout handling
+ * Forgets a crashed or closed browser and its pages
+ * @param {Object} browser - The browser that went away
  */
+function resetBrowser(browser) {
+  if (browser !== currentBrowser) return;
 
+  browserPromise = null;
+  currentBrowser = null;
+  idlePages.length = 0;
 
-async function scrapeContent(url) {
-  let browser = null;
-  console.log(`Starting scrape: ${url}`);
+  // A crashed page can leave the Chromium process running
+  if (browser.isConnected()) {
+    browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Creates a page configured for scraping
+ * @param {Object} browser - Puppeteer browser
+ * @returns {Promise<Object>} - Puppeteer page
+ */
+async function createPage(browser) {
+  const page = await browser.newPage();
+
+  // Identify as our bot so publishers can recognize and contact us
+  await page.setUserAgent(config.crawler.userAgent);
+  await page.setExtraHTTPHeaders({
+    "Accept-Language": "en-US,en;q=0.9",
+  });
+
+  // Block unnecessary resources
+  await page.setRequestInterception(true);
+  page.on("request", (req) => {
+    if (
+      ["image", "stylesheet", "font", "media"].includes(req.resourceType())
+    ) {
+      req.abort();
+    } else {
+      req.continue();
+    }
+  });
+
+  return page;
+}
+
+/**
+ * Takes an idle page from the pool or opens a new one
+ * @returns {Promise<Object>} - Puppeteer page
+ */
+async function acquirePage() {
+  const browser = await getBrowser();
+
+  while (idlePages.length > 0) {
+    const page = idlePages.pop();
+    if (!page.isClosed() && page.browser() === browser) {
+      return page;
+    }
+  }
+
+  return createPage(browser);
+}
 
+/**
+ * Returns a page to the pool, or closes it if the pool is full or the page
+ * is unusable
+ * @param {Object} page - Puppeteer page
+ */
+async function releasePage(page) {
   try {
-    browser = await puppeteer.launch({
-      headless: "new",
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-gpu",
-        "--single-process",
-        "--no-zygote",
-        "--disable-setuid-sandbox",
-        "--disable-accelerated-2d-canvas",
-        "--disable-web-security"
-      ],
-      defaultViewport: { width: 1280, height: 800 },
-      ignoreHTTPSErrors: true,
-      timeout: 30000,
-    });
-
-    const page = await browser.newPage();
-
-    // Set realistic user agent and other stealth options
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
-    );
-    await page.setExtraHTTPHeaders({
-      "Accept-Language": "en-US,en;q=0.9",
-    });
+    if (
+      page.isClosed() ||
+      !page.browser().isConnected() ||
+      idlePages.length >= config.scraper.concurrency
+    ) {
+      await page.close();
+      return;
+    }
+    await page.goto("about:blank");
+    idlePages.push(page);
+  } catch {
+    // Page or browser already gone
+  }
+}
+
+/**
+ * Closes the shared browser. Call when the process is done scraping.
+ */
+async function closeBrowser() {
+  if (!browserPromise) return;
+
+  const pending = browserPromise;
+  browserPromise = null;
+  currentBrowser = null;
+  idlePages.length = 0;
+
+  try {
+    const browser = await pending;
+    console.log("Closing shared browser");
+    await browser.close();
+  } catch (err) {
+    console.error("Error closing browser:", err.message);
+  }
+}
 
-    // Configure page behavior for better stealth
-    await page.evaluateOnNewDocument(() => {
-      Object.defineProperty(navigator, "webdriver", {
-        get: () => false,
+/**
+ * Checks whether an error means the browser or page crashed
+ * @param {Error} error - Error thrown by Puppeteer
+ * @returns {boolean} - True for crash errors
+ */
+function isBrowserCrash(error) {
+  return /Target closed|Session closed|Protocol error|browser has disconnected|Connection closed/i.test(
+    error.message
+  );
+}
+
+/**
+ * Enhanced scraping with better logging and timeout handling, using a page
+ * from the shared browser. Relaunches the browser once if it crashed.
+ * @param {string} url - Article URL
+ * @returns {Promise<Object>} - { text, metadata }; text is empty on failure
+ */
+async function scrapeWithBrowser(url) {
+  console.log(`Starting browser scrape: ${url}`);
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    let page = null;
+
+    try {
+      page = await acquirePage();
+
+      console.log(`Navigating to: ${url}`);
+      const response = await page.goto(url, {
+        waitUntil: "networkidle2",
+        timeout: 60000,
       });
-    });
-
-    // Block unnecessary resources
-    await page.setRequestInterception(true);
-    page.on("request", (req) => {
-      if (
-        ["image", "stylesheet", "font", "media"].includes(req.resourceType())
-      ) {
-        req.abort();
-      } else {
-        req.continue();
+
+      if (!response || !response.ok()) {
+        throw new Error(`HTTP ${response?.status()} for ${url}`);
       }
-    });
 
-    console.log(`Navigating to: ${url}`);
-    const response = await page.goto(url, {
-      waitUntil: "networkidle2",
-      timeout: 60000,
-    });
+      console.log(`Extracting content from: ${url}`);
+      const html = await page.content();
+      const { text, metadata } = extractArticle(html, url);
 
-    if (!response.ok()) {
-      throw new Error(`HTTP ${response.status()} for ${url}`);
+      console.log(`Successfully scraped ${text.length} chars from ${url}`);
+      return { text, metadata };
+    } catch (error) {
+      if (attempt === 1 && isBrowserCrash(error)) {
+        console.warn(`Browser crashed while scraping ${url}, relaunching`);
+        if (page) resetBrowser(page.browser());
+        page = null;
+        continue;
+      }
+      console.error(`Scrape failed for ${url}:`, error.message);
+      return { text: "", metadata: null };
+    } finally {
+      if (page) {
+        await releasePage(page);
+      }
     }
+  }
 
-    console.log(`Extracting content from: ${url}`);
-    const content = await page.content();
-    const $ = load(content);
+  return { text: "", metadata: null };
+}
+
+/**
+ * Explains why an HTTP-fetched page needs a real browser, if it does
+ * @param {string} html - Raw page HTML
+ * @param {string} text - Text extracted from the HTML
+ * @returns {string|null} - Reason, or null when the HTTP result is usable
+ */
+function needsBrowser(html, text) {
+  if (/"isAccessibleForFree"\s*:\s*"?false/i.test(html)) {
+    return "paywalled";
+  }
+  if (
+    /enable javascript|javascript is (required|disabled)|please turn on javascript/i.test(
+      text.substring(0, 500)
+    )
+  ) {
+    return "requires JavaScript";
+  }
+  if (text.length < config.scraper.minTextLength) {
+    // Near-empty app roots are client-rendered shells
+    const shell = /<div[^>]+id=["'](root|app|__next|__nuxt)["'][^>]*>\s*<\/div>/i.test(html);
+    return shell ? "JavaScript shell" : `too short (${text.length} chars)`;
+  }
+  return null;
+}
 
-    // Clean content
-    $("script, style, iframe, noscript").remove();
-    let text = $("body").text().replace(/\s+/g, " ").trim();
+/**
+ * Fetches a page with a plain HTTP GET and extracts it without a browser
+ * @param {string} url - Article URL
+ * @returns {Promise<Object>} - { text, metadata, reason }; reason is set when
+ * the result is not good enough and the browser should be used
+ */
+async function scrapeWithHttp(url) {
+  console.log(`Starting HTTP fetch: ${url}`);
 
-    // Limit to first 4000 characters to balance content depth and API limits
-    if (text.length > 4000) {
-      text = text.substring(0, 4000) + "...";
-    }
+  const response = await axios.get(url, {
+    timeout: 15000,
+    maxContentLength: 5 * 1024 * 1024,
+    responseType: "text",
+    headers: {
+      "User-Agent": config.crawler.userAgent,
+      Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8",
+      "Accept-Language": "en-US,en;q=0.9",
+    },
+  });
+
+  const contentType = response.headers["content-type"] || "";
+  if (!contentType.includes("html")) {
+    return { text: "", metadata: null, reason: `unsupported content type ${contentType}` };
+  }
 
-    console.log(`Successfully scraped ${text.length} chars from ${url}`);
-    return text;
+  const html = response.data;
+  const { text, metadata } = extractArticle(html, url);
+  return { text, metadata, reason: needsBrowser(html, text) };
+}
+
+/**
+ * Scrapes a URL with the cheapest tier that works: a plain HTTP GET first,
+ * falling back to Puppeteer for JavaScript shells, paywalls and pages with
+ * too little text. URLs disallowed by robots.txt are skipped and every
+ * request waits for its turn on the host.
+ * @param {string} url - Article URL
+ * @returns {Promise<Object>} - { text, metadata, tier }; tier is "http",
+ * "browser" or null when skipped or both failed
+ */
+async function scrapeContent(url) {
+  let robots;
+  try {
+    robots = await checkRobots(url);
   } catch (error) {
-    console.error(`Scrape failed for ${url}:`, error.message);
-    return "";
-  } finally {
-    if (browser) {
-      try {
-        console.log(`Closing browser for ${url}`);
-        await browser.close();
-      } catch (err) {
-        console.error("Error closing browser:", err.message);
+    console.error(`Robots check failed for ${url}:`, error.message);
+    return { text: "", metadata: null, tier: null };
+  }
+
+  if (!robots.allowed) {
+    console.log(`Skipping ${url}: disallowed by robots.txt`);
+    return { text: "", metadata: null, tier: null };
+  }
+
+  if (config.scraper.httpFirst) {
+    try {
+      await waitForTurn(url, robots.crawlDelay);
+      const result = await scrapeWithHttp(url);
+      if (!result.reason) {
+        console.log(`HTTP fetch succeeded with ${result.text.length} chars from ${url}`);
+        return { ...truncate(result), tier: "http" };
       }
+      console.log(`HTTP fetch not usable for ${url} (${result.reason}), using browser`);
+    } catch (error) {
+      console.log(`HTTP fetch failed for ${url} (${error.message}), using browser`);
     }
   }
+
+  await waitForTurn(url, robots.crawlDelay);
+  const result = await scrapeWithBrowser(url);
+  return { ...truncate(result), tier: result.text ? "browser" : null };
 }
 
 /**
- * Scrape multiple URLs with concurrency control
+ * Caps very long pages; the summarizer budgets how much of each article
+ * the model actually sees
+ * @param {Object} result - { text, metadata }
+ * @returns {Object} - Result with truncated text
  */
-async function scrapeMultipleUrls(searchResults) {
-  console.log(`Starting to scrape ${searchResults.length} URLs`);
-
-  const scrapedResults = [];
-  const CONCURRENCY = 3; // Process 3 URLs at a time
-  const BATCH_DELAY = 2000; // 2 second delay between batches
+function truncate({ text, metadata }) {
+  const { maxTextLength } = config.scraper;
+  return {
+    text: text.length > maxTextLength ? text.substring(0, maxTextLength) + "..." : text,
+    metadata,
+  };
+}
 
-  for (let i = 0; i < searchResults.length; i += CONCURRENCY) {
-    const batch = searchResults.slice(i, i + CONCURRENCY);
-    console.log(
-      `Processing batch ${i / CONCURRENCY + 1}: ${batch.map((r) => r.url)}`
-    );
+/**
+ * Returns the host of a URL for per-host concurrency limits
+ * @param {string} url - URL
+ * @returns {string} - Host, or the URL itself if it cannot be parsed
+ */
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
 
-    const batchPromises = batch.map((result) =>
-      scrapeContent(result.url).then((content) => ({
-        ...result,
-        content,
-      }))
-    );
+/**
+ * Scrapes a URL, reusing the cached result of an earlier scrape when there
+ * is one. When replaying, only archived content is used and nothing is fetched.
+ * @param {string} url - Article URL
+ * @param {string} cacheMode - "normal", "refresh" or "replay"
+ * @returns {Promise<Object>} - { text, metadata, tier, cached }
+ */
+async function scrapeCached(url, cacheMode) {
+  const cached = await getCached("scrape", url, SCRAPE_CACHE_VERSION, { mode: cacheMode });
+  if (cached) {
+    console.log(`Using cached content for ${url}`);
+    return { ...cached, cached: true };
+  }
 
-    const batchResults = await Promise.all(batchPromises);
-    scrapedResults.push(...batchResults.filter((r) => r.content));
+  if (cacheMode === "replay") {
+    console.log(`Skipping ${url}: no archived content to replay`);
+    return { text: "", metadata: null, tier: null };
+  }
 
-    if (i + CONCURRENCY < searchResults.length) {
-      console.log(`Waiting ${BATCH_DELAY}ms before next batch...`);
-      await new Promise((resolve) => setTimeout(resolve, BATCH_DELAY));
-    }
+  const result = await scrapeContent(url);
+  if (result.text) {
+    await setCached("scrape", url, SCRAPE_CACHE_VERSION, result, config.cache.scrapeTtlHours);
   }
+  return result;
+}
+
+/**
+ * Attaches extracted page metadata to a result, filling in a missing
+ * search date from the page's published date
+ * @param {Object} result - Scraped result
+ * @param {Object|null} metadata - Metadata from extractArticle
+ * @returns {Object} - Result with metadata
+ */
+function withMetadata(result, metadata) {
+  if (!metadata) return result;
+
+  return {
+    ...result,
+    metadata,
+    date:
+      (!result.date || result.date === "Recent") && metadata.publishedAt
+        ? metadata.publishedAt
+        : result.date,
+  };
+}
+
+/**
+ * Scrape multiple URLs through a work queue: up to config.scraper.concurrency
+ * pages load at once, with at most config.scraper.perHostConcurrency per host.
+ * A slow page only holds its own slot.
+ * @param {Array<Object>} searchResults - Search results to scrape
+ * @param {Object} options - Scrape options
+ * @param {string} options.cacheMode - "normal", "refresh" or "replay"
+ * @returns {Promise<Array<Object>>} - Results with content, in input order
+ */
+async function scrapeMultipleUrls(searchResults, options = {}) {
+  const { cacheMode = "normal" } = options;
+  const { concurrency, perHostConcurrency } = config.scraper;
+  console.log(
+    `Starting to scrape ${searchResults.length} URLs (concurrency ${concurrency}, ${perHostConcurrency} per host)`
+  );
+
+  const queue = searchResults.map((result, index) => ({ result, index }));
+  const output = new Array(searchResults.length);
+  const activeByHost = new Map();
+  let active = 0;
+
+  await new Promise((resolve) => {
+    const startNext = () => {
+      if (queue.length === 0 && active === 0) {
+        resolve();
+        return;
+      }
+
+      while (active < concurrency) {
+        // Take the first queued URL whose host has a free slot
+        const position = queue.findIndex(
+          ({ result }) =>
+            (activeByHost.get(getHost(result.url)) || 0) < perHostConcurrency
+        );
+        if (position === -1) break;
+
+        const [{ result, index }] = queue.splice(position, 1);
+        const host = getHost(result.url);
+        active++;
+        activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+
+        scrapeCached(result.url, cacheMode)
+          .then(({ text, metadata, tier, cached }) => {
+            output[index] = withMetadata(
+              { ...result, content: text, fetchTier: tier, cached: !!cached },
+              metadata
+            );
+          })
+          .catch((error) => {
+            // Record the URL as a failed scrape so the batch still settles
+            console.error(`Scrape failed for ${result.url}:`, error.message);
+            output[index] = { ...result, content: "", error: error.message };
+          })
+          .finally(() => {
+            active--;
+            activeByHost.set(host, activeByHost.get(host) - 1);
+            startNext();
+          });
+      }
+    };
+
+    startNext();
+  });
 
-  console.log(`Finished scraping. Got ${scrapedResults.length} valid results`);
+  const scrapedResults = output.filter((r) => r && r.content);
+  const byTier = (tier) =>
+    scrapedResults.filter((r) => !r.cached && r.fetchTier === tier).length;
+  const cachedCount = scrapedResults.filter((r) => r.cached).length;
+  console.log(
+    `Finished scraping. Got ${scrapedResults.length} valid results (cached: ${cachedCount}, http: ${byTier("http")}, browser: ${byTier("browser")}, failed: ${searchResults.length - scrapedResults.length})`
+  );
   return scrapedResults;
 }
 
-export { scrapeMultipleUrls };
+export { scrapeMultipleUrls, closeBrowser };
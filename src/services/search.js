@@ -1,88 +1,90 @@
-import axios from "axios";
-import { config, validateConfig } from "../util/config.js";
+import { config } from "../util/config.js";
+import { normalizeUrl } from "../util/url.js";
+import { applyProfileFilters } from "../util/profiles.js";
+import { getSearchProvider } from "./searchProviders/index.js";
 
 /**
- * Enhanced EdTech article search
+ * Enhanced EdTech article search across the configured search providers
+ * @param {string} query - Search query
+ * @param {number} numResults - Maximum number of results per provider
+ * @param {number} daysAgo - Only include results from the last N days
+ * @param {Array<string>} providerNames - Providers to query (default: config.search.providers)
+ * @param {Object} options - Search options
+ * @param {boolean} options.dryRun - Search without updating provider state such as the feed cache
+ * @returns {Promise<Array<Object>>} - Search results in {title, url, snippet, date} shape
  */
-async function fetchSearchResults(query, numResults = 20) {
-  try {
-    console.log(`Searching for: "${query}"`);
+async function fetchSearchResults(
+  query = config.search.defaultQuery,
+  numResults = config.search.defaultNumResults,
+  daysAgo = config.search.defaultDaysAgo,
+  providerNames = config.search.providers,
+  options = {}
+) {
+  console.log(`Searching for: "${query}" (last ${daysAgo} day(s))`);
 
-    // Validate configuration
-    try {
-      validateConfig();
-    } catch (error) {
-      console.error("Configuration error:", error.message);
-      return [];
-    }
-
-    console.log("API Key exists:", !!config.googleSearch.apiKey);
-    console.log("CSE ID exists:", !!config.googleSearch.searchEngineId);
-
-    const allResults = [];
-    const maxResults = Math.min(numResults, 100); // Google CSE max is 100 total
-    const resultsPerRequest = 10; // Google CSE limit per request
-    const numRequests = Math.ceil(maxResults / resultsPerRequest);
+  const allResults = [];
+  const seen = new Set();
 
-    for (let i = 0; i < numRequests; i++) {
-      const startIndex = i * resultsPerRequest + 1;
-
-      console.log(
-        `Making request ${i + 1}/${numRequests} (start: ${startIndex})`
-      );
+  for (const name of providerNames) {
+    try {
+      const provider = getSearchProvider(name);
+      const results = await provider.search(query, {
+        numResults,
+        daysAgo,
+        dryRun: options.dryRun,
+      });
 
-      const response = await axios.get(
-        "https://www.googleapis.com/customsearch/v1",
-        {
-          params: {
-            key: config.googleSearch.apiKey,
-            cx: config.googleSearch.searchEngineId,
-            q: query,
-            start: startIndex,
-            dateRestrict: "d1",
-          },
-          timeout: 10000,
+      // Keep the first occurrence of each URL across providers
+      for (const result of results) {
+        const key = normalizeUrl(result.url);
+        if (key && !seen.has(key)) {
+          seen.add(key);
+          allResults.push(result);
         }
-      );
-
-      if (response.data.items) {
-        const results = response.data.items.map((item) => ({
-          title: item.title,
-          url: item.link,
-          snippet: item.snippet,
-          date:
-            item.pagemap?.metatags?.[0]?.["article:published_time"] || "Recent",
-        }));
+      }
+      console.log(`Provider "${name}": ${results.length} results`);
+    } catch (error) {
+      console.error(`Search error (${name}):`, error.message);
+    }
+  }
 
-        allResults.push(...results);
+  console.log(`Total results found: ${allResults.length}`);
+  return allResults;
+}
 
-        // If we got fewer than 10 results, we've reached the end
-        if (results.length < 10) {
-          break;
-        }
-      } else {
-        break; // No more results
-      }
+/**
+ * Runs every query of a topic profile, merges the results, drops duplicate
+ * URLs and applies the profile's keyword and domain rules
+ * @param {Object} profile - Topic profile
+ * @param {number} numResults - Maximum number of results per query
+ * @param {number} daysAgo - Only include results from the last N days
+ * @param {Object} options - Search options passed to fetchSearchResults
+ * @returns {Promise<Array<Object>>} - Merged search results
+ */
+async function fetchProfileResults(profile, numResults, daysAgo, options = {}) {
+  const merged = new Map();
 
-      // Small delay between requests to be respectful
-      if (i < numRequests - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+  for (const query of profile.queries) {
+    const results = await fetchSearchResults(
+      query,
+      numResults,
+      daysAgo,
+      profile.providers,
+      options
+    );
+    for (const result of results) {
+      const key = normalizeUrl(result.url);
+      if (key && !merged.has(key)) {
+        merged.set(key, { ...result, query });
       }
     }
-
-    console.log(`Total results found: ${allResults.length}`);
-    return allResults.slice(0, maxResults);
-  } catch (error) {
-    console.error("Search error:", error.message);
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error(
-        "Response data:",
-        JSON.stringify(error.response.data, null, 2)
-      );
-    }
-    return [];
   }
+
+  const filtered = applyProfileFilters([...merged.values()], profile);
+  console.log(
+    `Profile "${profile.name}": ${filtered.length} results kept of ${merged.size} unique across ${profile.queries.length} queries`
+  );
+  return filtered;
 }
 
-export { fetchSearchResults };
+export { fetchSearchResults, fetchProfileResults };
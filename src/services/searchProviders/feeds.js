@@ -0,0 +1,34 @@
+import { config } from "../../util/config.js";
+import { fetchFeed } from "../feeds.js";
+import { matchesQuery, isWithinDays } from "./helpers.js";
+
+/**
+ * Searches the configured RSS, Atom and JSON feeds for items matching the query
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {number} options.numResults - Maximum number of results
+ * @param {number} options.daysAgo - Only include items from the last N days
+ * @param {boolean} options.dryRun - Leave the feed cache untouched
+ * @returns {Promise<Array<Object>>} - Search results, newest first
+ */
+async function search(query, { numResults, daysAgo, dryRun }) {
+  const results = [];
+
+  for (const feedUrl of config.feeds.urls) {
+    try {
+      const items = (await fetchFeed(feedUrl, { dryRun })).filter(
+        (item) => isWithinDays(item.date, daysAgo) && matchesQuery(item, query)
+      );
+      console.log(`Feed ${feedUrl}: ${items.length} matching items`);
+      results.push(...items);
+    } catch (error) {
+      console.error(`Feed ${feedUrl} failed:`, error.message);
+    }
+  }
+
+  return results
+    .sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))
+    .slice(0, numResults);
+}
+
+export default { name: "feeds", search };
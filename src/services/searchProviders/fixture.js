@@ -0,0 +1,26 @@
+import fs from "fs/promises";
+import { config } from "../../util/config.js";
+import { toIsoDate } from "./helpers.js";
+
+/**
+ * Returns results from a local JSON file so the pipeline can run offline.
+ * The query and date window are ignored.
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {number} options.numResults - Maximum number of results
+ * @returns {Promise<Array<Object>>} - Search results
+ */
+async function search(query, { numResults }) {
+  const { filePath } = config.fixtures;
+  const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+
+  console.log(`Fixture ${filePath}: ${data.length} results`);
+  return data.slice(0, numResults).map((item) => ({
+    ...item,
+    title: item.title || item.url,
+    snippet: item.snippet || "",
+    date: item.date ? toIsoDate(item.date) : "Recent",
+  }));
+}
+
+export default { name: "fixture", search };
@@ -0,0 +1,71 @@
+import { load } from "cheerio";
+
+// Words too common to decide whether an item matches a query
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "into", "about",
+  "news", "new", "how", "what", "why",
+]);
+
+/**
+ * Strips HTML tags and collapses whitespace
+ * @param {string} html - HTML fragment
+ * @returns {string} - Plain text
+ */
+function stripHtml(html) {
+  if (!html) return "";
+  return load(`<div>${html}</div>`)("div").text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Truncates text to a snippet length
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Snippet
+ */
+function toSnippet(text, maxLength = 300) {
+  return text.length > maxLength ? text.substring(0, maxLength) + "..." : text;
+}
+
+/**
+ * Checks whether an item's title or snippet mentions any meaningful query term.
+ * Feeds and sitemaps are not searchable, so this approximates a search.
+ * @param {Object} item - Normalized result
+ * @param {string} query - Search query
+ * @returns {boolean} - True if the item matches
+ */
+function matchesQuery(item, query) {
+  const terms = (query || "")
+    .toLowerCase()
+    .split(/\W+/)
+    .filter((term) => term.length > 2 && !STOPWORDS.has(term));
+
+  if (terms.length === 0) return true;
+
+  const text = `${item.title} ${item.snippet}`.toLowerCase();
+  return terms.some((term) => text.includes(term));
+}
+
+/**
+ * Checks whether a date falls within the last N days. Items without a
+ * parseable date are kept.
+ * @param {string} date - Date string
+ * @param {number} daysAgo - Window in days
+ * @returns {boolean} - True if recent enough
+ */
+function isWithinDays(date, daysAgo) {
+  const timestamp = Date.parse(date);
+  if (Number.isNaN(timestamp) || !daysAgo) return true;
+  return Date.now() - timestamp <= daysAgo * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Converts a date string to ISO format, or "Recent" when unknown
+ * @param {string} date - Date string
+ * @returns {string} - ISO date or "Recent"
+ */
+function toIsoDate(date) {
+  const timestamp = Date.parse(date);
+  return Number.isNaN(timestamp) ? "Recent" : new Date(timestamp).toISOString();
+}
+
+export { stripHtml, toSnippet, matchesQuery, isWithinDays, toIsoDate };
@@ -0,0 +1,31 @@
+import googleCse from "./googleCse.js";
+import feeds from "./feeds.js";
+import sitemap from "./sitemap.js";
+import fixture from "./fixture.js";
+
+// Search providers keyed by the name used in SEARCH_PROVIDERS. Each provider
+// exposes search(query, { numResults, daysAgo, dryRun }) resolving to results
+// in the {title, url, snippet, date} shape. Dry runs must not persist state.
+const providers = {
+  [googleCse.name]: googleCse,
+  [feeds.name]: feeds,
+  [sitemap.name]: sitemap,
+  [fixture.name]: fixture,
+};
+
+/**
+ * Looks up a search provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Search provider
+ */
+function getSearchProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown search provider "${name}". Available providers: ${Object.keys(providers).join(", ")}`
+    );
+  }
+  return provider;
+}
+
+export { getSearchProvider };
@@ -0,0 +1,106 @@
+import axios from "axios";
+import { load } from "cheerio";
+import { config } from "../../util/config.js";
+import { matchesQuery, isWithinDays, toIsoDate } from "./helpers.js";
+
+// Maximum child sitemaps followed from a sitemap index
+const MAX_CHILD_SITEMAPS = 5;
+
+/**
+ * Derives a readable title from a URL slug when the sitemap has none
+ * @param {string} url - Article URL
+ * @returns {string} - Title
+ */
+function titleFromUrl(url) {
+  try {
+    const slug = new URL(url).pathname.split("/").filter(Boolean).pop() || "";
+    return decodeURIComponent(slug)
+      .replace(/\.\w+$/, "")
+      .replace(/[-_]+/g, " ")
+      .trim();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Fetches a sitemap and returns its entries, following sitemap indexes
+ * @param {string} sitemapUrl - Sitemap or sitemap index URL
+ * @param {number} depth - Current index depth
+ * @returns {Promise<Array<Object>>} - Results in {title, url, snippet, date} shape
+ */
+async function fetchSitemap(sitemapUrl, depth = 0) {
+  const response = await axios.get(sitemapUrl, {
+    timeout: 10000,
+    responseType: "text",
+    headers: { "User-Agent": config.crawler.userAgent },
+  });
+  const $ = load(response.data, { xmlMode: true });
+
+  // Sitemap index: follow the most recently modified children
+  const children = $("sitemapindex > sitemap")
+    .map((_, el) => ({
+      url: $(el).children("loc").text().trim(),
+      lastmod: Date.parse($(el).children("lastmod").text()) || 0,
+    }))
+    .get()
+    .sort((a, b) => b.lastmod - a.lastmod)
+    .slice(0, MAX_CHILD_SITEMAPS);
+
+  if (children.length > 0 && depth === 0) {
+    const nested = [];
+    for (const child of children) {
+      nested.push(...(await fetchSitemap(child.url, depth + 1)));
+    }
+    return nested;
+  }
+
+  return $("urlset > url")
+    .map((_, el) => {
+      const entry = $(el);
+      const url = entry.children("loc").text().trim();
+      const newsTitle = entry.find("news\\:title").text().trim();
+      const keywords = entry.find("news\\:keywords").text().trim();
+      return {
+        title: newsTitle || titleFromUrl(url),
+        url,
+        snippet: keywords,
+        date: toIsoDate(
+          entry.find("news\\:publication_date").text() ||
+            entry.children("lastmod").text()
+        ),
+      };
+    })
+    .get()
+    .filter((item) => item.url);
+}
+
+/**
+ * Searches the configured sitemaps and news sitemaps for matching entries
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {number} options.numResults - Maximum number of results
+ * @param {number} options.daysAgo - Only include entries from the last N days
+ * @returns {Promise<Array<Object>>} - Search results, newest first
+ */
+async function search(query, { numResults, daysAgo }) {
+  const results = [];
+
+  for (const sitemapUrl of config.sitemaps.urls) {
+    try {
+      const items = (await fetchSitemap(sitemapUrl)).filter(
+        (item) => isWithinDays(item.date, daysAgo) && matchesQuery(item, query)
+      );
+      console.log(`Sitemap ${sitemapUrl}: ${items.length} matching entries`);
+      results.push(...items);
+    } catch (error) {
+      console.error(`Sitemap ${sitemapUrl} failed:`, error.message);
+    }
+  }
+
+  return results
+    .sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))
+    .slice(0, numResults);
+}
+
+export default { name: "sitemap", search };
@@ -0,0 +1,73 @@
+import nodemailer from "nodemailer";
+import { config } from "../../util/config.js";
+import { formatDigestText } from "../../util/digest.js";
+import { renderDigest } from "../renderers/index.js";
+import { formatDisplayDate } from "../renderers/helpers.js";
+
+/**
+ * Checks whether an SMTP server, sender and recipients are configured
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  const { host, from, recipients } = config.email;
+  return !!(host && from && recipients.length > 0);
+}
+
+/**
+ * Lists the email addresses the digest goes to
+ * @returns {Array<Object>} - Recipients with id set to the address
+ */
+function listRecipients() {
+  return config.email.recipients.map((address) => ({ id: address }));
+}
+
+/**
+ * Sends the digest as an HTML email with a plain text alternative, one
+ * message per recipient so addresses are not shared
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Array<Object>} recipients - Recipients from listRecipients
+ * @returns {Promise<Array<Object>>} - Result per recipient
+ */
+async function send(digest, recipients) {
+  const { host, port, secure, user, password, from } = config.email;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass: password } }),
+    connectionTimeout: config.delivery.timeoutMs,
+  });
+
+  const date = formatDisplayDate(digest);
+  const subject = `${digest.title} - ${date}`;
+  const html = renderDigest(digest, "html");
+  const text = `${digest.title}\n${date}\n\n${formatDigestText(digest)}\n`;
+
+  const results = [];
+  try {
+    for (const recipient of recipients) {
+      try {
+        const info = await transporter.sendMail({ from, to: recipient.id, subject, html, text });
+        results.push({
+          recipient: recipient.id,
+          status: "sent",
+          messageId: info.messageId,
+          sentAt: new Date().toISOString(),
+        });
+      } catch (error) {
+        console.error(`Failed to email ${recipient.id}:`, error.message);
+        results.push({ recipient: recipient.id, status: "failed", error: error.message });
+      }
+    }
+  } finally {
+    transporter.close();
+  }
+  return results;
+}
+
+export default {
+  name: "email",
+  isConfigured,
+  listRecipients,
+  send,
+};
@@ -0,0 +1,127 @@
+import { config } from "../../util/config.js";
+import whatsapp from "./whatsapp.js";
+import email from "./email.js";
+import slack from "./slack.js";
+import telegram from "./telegram.js";
+import webhook from "./webhook.js";
+import publish from "./publish.js";
+
+// Delivery channels keyed by the name used in DELIVERY_CHANNELS. Each sender
+// exposes isConfigured(), listRecipients(options) and send(digest, recipients)
+// resolving to one { recipient, status, ... } result per recipient.
+const senders = {
+  [whatsapp.name]: whatsapp,
+  [email.name]: email,
+  [slack.name]: slack,
+  [telegram.name]: telegram,
+  [webhook.name]: webhook,
+  [publish.name]: publish,
+};
+
+/**
+ * Looks up the senders for a list of channels
+ * @param {Array<string>} names - Channel names (default: config.delivery.channels)
+ * @returns {Array<Object>} - Senders
+ */
+function getSenders(names = config.delivery.channels) {
+  return names.map((name) => {
+    if (!senders[name]) {
+      throw new Error(
+        `Unknown delivery channel "${name}". Available channels: ${Object.keys(senders).join(", ")}`
+      );
+    }
+    return senders[name];
+  });
+}
+
+/**
+ * Delivers a digest through every enabled channel. Channels run one after
+ * another and a failing channel does not stop the others.
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Object} options - Delivery options
+ * @param {Array<string>} options.channels - Channels to deliver through
+ * @param {Array<Object>} options.recipients - WhatsApp recipients
+ * @param {Object} options.profile - Topic profile being delivered
+ * @param {Set<string>} options.alreadySent - "channel:recipient" keys that
+ * already received this digest and are skipped
+ * @returns {Promise<Object>} - { status (sent, partial, failed), error,
+ * channels (summary per channel), results (per recipient, with channel) }
+ */
+async function deliverDigest(digest, options = {}) {
+  const { channels, recipients, profile, alreadySent = new Set() } = options;
+
+  const channelResults = {};
+  const results = [];
+  for (const sender of getSenders(channels)) {
+    if (!sender.isConfigured()) {
+      console.warn(`Delivery channel ${sender.name} is enabled but not configured`);
+      channelResults[sender.name] = { status: "failed", error: "not configured" };
+      continue;
+    }
+
+    const targets = sender.listRecipients({ recipients, profile });
+    const pending = targets.filter(
+      (recipient) => !alreadySent.has(`${sender.name}:${recipient.id}`)
+    );
+    if (targets.length === 0) {
+      channelResults[sender.name] = { status: "failed", error: "no recipients" };
+      continue;
+    }
+    if (pending.length === 0) {
+      console.log(`${sender.name}: already delivered to all ${targets.length} recipient(s)`);
+      channelResults[sender.name] = { status: "sent", sent: 0, failed: 0, skipped: targets.length };
+      continue;
+    }
+
+    console.log(`\nDelivering via ${sender.name} to ${pending.length} recipient(s)...`);
+    let channelOutcome;
+    try {
+      channelOutcome = await sender.send(digest, pending);
+    } catch (error) {
+      console.error(`${sender.name} delivery failed:`, error.message);
+      channelOutcome = pending.map((recipient) => ({
+        recipient: recipient.id,
+        status: "failed",
+        error: error.message,
+      }));
+    }
+
+    const sent = channelOutcome.filter((result) => result.status === "sent").length;
+    const failed = channelOutcome.length - sent;
+    channelResults[sender.name] = {
+      status: failed === 0 ? "sent" : sent > 0 ? "partial" : "failed",
+      sent,
+      failed,
+      skipped: targets.length - pending.length,
+      ...(failed > 0 && {
+        error: channelOutcome.find((result) => result.status === "failed").error,
+      }),
+    };
+    results.push(...channelOutcome.map((result) => ({ channel: sender.name, ...result })));
+  }
+
+  const statuses = Object.values(channelResults).map((channel) => channel.status);
+  const failedChannels = Object.entries(channelResults)
+    .filter(([, channel]) => channel.status !== "sent")
+    .map(([name, channel]) => `${name}: ${channel.error}`);
+
+  let status = "sent";
+  if (statuses.every((channelStatus) => channelStatus === "failed")) {
+    status = "failed";
+  } else if (failedChannels.length > 0) {
+    status = "partial";
+  }
+
+  for (const [name, channel] of Object.entries(channelResults)) {
+    console.log(`  ${name}: ${channel.status}${channel.error ? ` (${channel.error})` : ""}`);
+  }
+
+  return {
+    status,
+    ...(failedChannels.length > 0 && { error: failedChannels.join("; ") }),
+    channels: channelResults,
+    results,
+  };
+}
+
+export { getSenders, deliverDigest };
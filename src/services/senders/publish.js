@@ -0,0 +1,123 @@
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../../util/config.js";
+import { getRenderer } from "../renderers/index.js";
+import { toFeedEntry } from "../renderers/feedEntries.js";
+
+/**
+ * Publishing only needs formats to write
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return config.publish.formats.length > 0;
+}
+
+/**
+ * Each profile is published to its own directory
+ * @param {Object} options - Delivery options
+ * @param {Object} options.profile - Topic profile being delivered
+ * @returns {Array<Object>} - Recipients with id set to the output directory
+ */
+function listRecipients({ profile }) {
+  const name = profile?.name || "default";
+  const root = config.publish.baseUrl?.replace(/\/$/, "");
+  return [
+    {
+      id: path.join(config.publish.dir, name),
+      baseUrl: root && `${root}/${encodeURIComponent(name)}`,
+    },
+  ];
+}
+
+/**
+ * Adds a digest to the archive of past digests kept for the feeds,
+ * replacing an earlier digest from the same day
+ * @param {string} dir - Output directory
+ * @param {Object} digest - Digest object
+ * @returns {Promise<Array<Object>>} - Archived digests, most recent first
+ */
+async function updateArchive(dir, digest) {
+  const archivePath = path.join(dir, "archive", "digests.json");
+  let archive = [];
+  try {
+    archive = JSON.parse(await fs.readFile(archivePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Could not read digest archive ${archivePath}: ${error.message}`);
+    }
+  }
+
+  const { title, generatedAt, items, sources } = digest;
+  const date = toFeedEntry(digest).date;
+  archive = [
+    { title, generatedAt, items, sources },
+    ...archive.filter((archived) => toFeedEntry(archived).date !== date),
+  ]
+    .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt))
+    .slice(0, config.publish.feedItems);
+
+  await fs.mkdir(path.dirname(archivePath), { recursive: true });
+  await fs.writeFile(archivePath, JSON.stringify(archive, null, 2) + "\n");
+  return archive;
+}
+
+/**
+ * Writes a digest in every configured format, a dated HTML page under
+ * archive/, and feeds listing the archived digests
+ * @param {Object} digest - Digest object
+ * @param {string} dir - Output directory
+ * @param {string} baseUrl - URL the directory is served from, if any
+ * @returns {Promise<Array<string>>} - Paths written
+ */
+async function publishDigest(digest, dir, baseUrl) {
+  const renderers = config.publish.formats.map(getRenderer);
+  const archive = await updateArchive(dir, digest);
+  const history = archive.map((archived) => toFeedEntry(archived, baseUrl));
+
+  const written = [];
+  const write = async (filePath, content) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    written.push(filePath);
+  };
+
+  for (const renderer of renderers) {
+    await write(path.join(dir, renderer.fileName), renderer.render(digest, { history, baseUrl }));
+  }
+  // Named after the digest's own day: an older digest may be republished
+  await write(
+    path.join(dir, "archive", `${toFeedEntry(digest).date}.html`),
+    getRenderer("html").render(digest)
+  );
+  return written;
+}
+
+/**
+ * Publishes the digest to each profile directory
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Array<Object>} recipients - Recipients from listRecipients
+ * @returns {Promise<Array<Object>>} - Result per recipient
+ */
+async function send(digest, recipients) {
+  const results = [];
+  for (const recipient of recipients) {
+    try {
+      const written = await publishDigest(digest, recipient.id, recipient.baseUrl);
+      console.log(`Published ${written.length} files to ${recipient.id}`);
+      results.push({ recipient: recipient.id, status: "sent", sentAt: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Failed to publish to ${recipient.id}:`, error.message);
+      results.push({ recipient: recipient.id, status: "failed", error: error.message });
+    }
+  }
+  return results;
+}
+
+export { publishDigest };
+
+export default {
+  name: "publish",
+  isConfigured,
+  listRecipients,
+  send,
+};
@@ -0,0 +1,103 @@
+import axios from "axios";
+import { config } from "../../util/config.js";
+import { formatDisplayDate } from "../renderers/helpers.js";
+
+// Slack rejects messages with more blocks than this
+const MAX_BLOCKS = 50;
+
+/**
+ * Checks whether a Slack incoming webhook is configured
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return !!config.slack.webhookUrl;
+}
+
+/**
+ * The webhook posts to a single channel chosen when it was created
+ * @returns {Array<Object>} - One recipient for the webhook's channel
+ */
+function listRecipients() {
+  return [{ id: "slack" }];
+}
+
+/**
+ * Escapes the characters Slack treats as control characters in mrkdwn
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeMrkdwn(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Builds the Block Kit message for a digest
+ * @param {Object} digest - Digest object
+ * @returns {Object} - Webhook payload with fallback text and blocks
+ */
+function buildBlocks(digest) {
+  const date = formatDisplayDate(digest);
+
+  const itemBlocks = digest.items.flatMap((item) => {
+    const headline = escapeMrkdwn(item.headline).replace(/\|/g, "¦");
+    const keyStat = item.keyStat ? `\n_${escapeMrkdwn(item.keyStat)}_` : "";
+    return [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*<${item.sourceUrl}|${headline}>*\n${escapeMrkdwn(item.summary)}${keyStat}`.substring(0, 3000),
+        },
+      },
+      { type: "divider" },
+    ];
+  });
+
+  return {
+    text: `${digest.title} - ${date}`,
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: digest.title.substring(0, 150) } },
+      { type: "context", elements: [{ type: "mrkdwn", text: date }] },
+      { type: "divider" },
+      ...itemBlocks,
+    ].slice(0, MAX_BLOCKS),
+  };
+}
+
+/**
+ * Posts the digest to the Slack incoming webhook
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Array<Object>} recipients - Recipients from listRecipients
+ * @returns {Promise<Array<Object>>} - Result per recipient
+ */
+async function send(digest, recipients) {
+  try {
+    await axios.post(config.slack.webhookUrl, buildBlocks(digest), {
+      headers: { "Content-Type": "application/json" },
+      timeout: config.delivery.timeoutMs,
+    });
+    return recipients.map((recipient) => ({
+      recipient: recipient.id,
+      status: "sent",
+      sentAt: new Date().toISOString(),
+    }));
+  } catch (error) {
+    const message = error.response?.data || error.message;
+    console.error("Slack webhook error:", message);
+    return recipients.map((recipient) => ({
+      recipient: recipient.id,
+      status: "failed",
+      error: String(message),
+    }));
+  }
+}
+
+export default {
+  name: "slack",
+  isConfigured,
+  listRecipients,
+  send,
+};
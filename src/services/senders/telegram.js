@@ -0,0 +1,133 @@
+import axios from "axios";
+import { config } from "../../util/config.js";
+import { escapeHtml, formatDisplayDate } from "../renderers/helpers.js";
+
+// Longest text Telegram accepts in one message
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Checks whether a Telegram bot token and chats are configured
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return !!(config.telegram.botToken && config.telegram.chatIds.length > 0);
+}
+
+/**
+ * Lists the chats the digest goes to
+ * @returns {Array<Object>} - Recipients with id set to the chat ID
+ */
+function listRecipients() {
+  return config.telegram.chatIds.map((chatId) => ({ id: chatId }));
+}
+
+/**
+ * Escapes text for Telegram HTML, shortening the text at a word boundary
+ * before escaping when the result would be too long, so no entity is cut
+ * @param {string} text - Text to escape
+ * @param {number} maxLength - Maximum escaped length including the ellipsis
+ * @returns {string} - Escaped text no longer than maxLength
+ */
+function escapeWithin(text, maxLength) {
+  const escaped = escapeHtml(text);
+  if (escaped.length <= maxLength) return escaped;
+
+  // Longest prefix that fits escaped, leaving room for the ellipsis
+  let end = 0;
+  for (let length = 0; end < text.length; end++) {
+    length += escapeHtml(text[end]).length;
+    if (length > maxLength - 1) break;
+  }
+  const cut = text.substring(0, end);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${escapeHtml(lastSpace > end / 2 ? cut.substring(0, lastSpace) : cut)}…`;
+}
+
+/**
+ * Formats an item as Telegram HTML, shortening its summary so the item fits
+ * in one message
+ * @param {Object} item - Digest item
+ * @returns {string} - Item HTML
+ */
+function formatItem(item) {
+  const headline = `<b>${escapeHtml(item.headline)}</b>\n`;
+  const source = `\n<a href="${escapeHtml(item.sourceUrl)}">Source</a>`;
+  const room = MAX_MESSAGE_LENGTH - headline.length - source.length;
+  return `${headline}${escapeWithin(item.summary, room)}${source}`;
+}
+
+/**
+ * Renders the digest as Telegram HTML, split into messages under the length
+ * limit at item boundaries
+ * @param {Object} digest - Digest object
+ * @returns {Array<string>} - Message texts
+ */
+function buildMessages(digest) {
+  const date = formatDisplayDate(digest);
+
+  const blocks = [
+    `<b>${escapeHtml(digest.title)}</b>\n<i>${escapeHtml(date)}</i>`,
+    ...digest.items.map(formatItem),
+  ];
+
+  const messages = [];
+  let current = "";
+  for (const block of blocks) {
+    if (current && current.length + block.length + 2 > MAX_MESSAGE_LENGTH) {
+      messages.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${block}` : block;
+  }
+  if (current) messages.push(current);
+  return messages;
+}
+
+/**
+ * Sends the digest to each Telegram chat through the Bot API
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Array<Object>} recipients - Recipients from listRecipients
+ * @returns {Promise<Array<Object>>} - Result per recipient
+ */
+async function send(digest, recipients) {
+  const url = `https://api.telegram.org/bot${config.telegram.botToken}/sendMessage`;
+  const messages = buildMessages(digest);
+
+  const results = [];
+  for (const recipient of recipients) {
+    try {
+      let messageId;
+      for (const text of messages) {
+        const response = await axios.post(
+          url,
+          {
+            chat_id: recipient.id,
+            text,
+            parse_mode: "HTML",
+            disable_web_page_preview: true,
+          },
+          { timeout: config.delivery.timeoutMs }
+        );
+        messageId ??= String(response.data.result?.message_id);
+      }
+      results.push({
+        recipient: recipient.id,
+        status: "sent",
+        messageId,
+        sentAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      const message = error.response?.data?.description || error.message;
+      console.error(`Telegram error for chat ${recipient.id}:`, message);
+      results.push({ recipient: recipient.id, status: "failed", error: message });
+    }
+  }
+  return results;
+}
+
+export default {
+  name: "telegram",
+  isConfigured,
+  listRecipients,
+  send,
+};
@@ -0,0 +1,83 @@
+import axios from "axios";
+import crypto from "crypto";
+import { config } from "../../util/config.js";
+
+/**
+ * Checks whether a webhook URL is configured
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return !!config.webhook.url;
+}
+
+/**
+ * The webhook is a single endpoint
+ * @returns {Array<Object>} - One recipient for the endpoint
+ */
+function listRecipients() {
+  return [{ id: "webhook" }];
+}
+
+/**
+ * Signs a request body so receivers can check it came from us. The
+ * signature covers the timestamp to prevent replays.
+ * @param {string} body - JSON request body
+ * @param {string} timestamp - Unix time in seconds
+ * @returns {string} - sha256=<hex HMAC of "timestamp.body">
+ */
+function sign(body, timestamp) {
+  const hmac = crypto.createHmac("sha256", config.webhook.secret);
+  return `sha256=${hmac.update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Posts the digest as JSON to the webhook URL
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Array<Object>} recipients - Recipients from listRecipients
+ * @returns {Promise<Array<Object>>} - Result per recipient
+ */
+async function send(digest, recipients) {
+  const body = JSON.stringify({
+    event: "digest.published",
+    digest: {
+      title: digest.title,
+      generatedAt: digest.generatedAt,
+      items: digest.items,
+      sources: digest.sources,
+    },
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    await axios.post(config.webhook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Digest-Timestamp": timestamp,
+        ...(config.webhook.secret && { "X-Digest-Signature": sign(body, timestamp) }),
+      },
+      timeout: config.delivery.timeoutMs,
+    });
+    return recipients.map((recipient) => ({
+      recipient: recipient.id,
+      status: "sent",
+      sentAt: new Date().toISOString(),
+    }));
+  } catch (error) {
+    const message = error.response
+      ? `HTTP ${error.response.status} from webhook`
+      : error.message;
+    console.error("Webhook error:", message);
+    return recipients.map((recipient) => ({
+      recipient: recipient.id,
+      status: "failed",
+      error: message,
+    }));
+  }
+}
+
+export default {
+  name: "webhook",
+  isConfigured,
+  listRecipients,
+  send,
+};
@@ -0,0 +1,47 @@
+import { config } from "../../util/config.js";
+import { sendArticleSummaries } from "../messageService.js";
+
+/**
+ * Checks whether WhatsApp Cloud API credentials are configured
+ * @returns {boolean} - True if configured
+ */
+function isConfigured() {
+  return !!(config.whatsapp.token && config.whatsapp.phoneNumberId);
+}
+
+/**
+ * Lists the phone numbers the digest goes to
+ * @param {Object} options - Delivery options
+ * @param {Array<Object>} options.recipients - Recipients resolved from the audience list
+ * @returns {Array<Object>} - Recipients with id set to the phone number
+ */
+function listRecipients({ recipients = [] }) {
+  return recipients.map((recipient) => ({ ...recipient, id: recipient.phone }));
+}
+
+/**
+ * Sends the digest as a WhatsApp template message to each recipient
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {Array<Object>} recipients - Recipients from listRecipients
+ * @returns {Promise<Array<Object>>} - Result per recipient
+ */
+async function send(digest, recipients) {
+  const sendResult = await sendArticleSummaries(digest, { recipients });
+
+  // Template errors fail the whole channel before anyone is sent to
+  if (!sendResult.results || sendResult.results.length === 0) {
+    return recipients.map((recipient) => ({
+      recipient: recipient.id,
+      status: "failed",
+      error: sendResult.error || sendResult.reason,
+    }));
+  }
+  return sendResult.results;
+}
+
+export default {
+  name: "whatsapp",
+  isConfigured,
+  listRecipients,
+  send,
+};
@@ -1,161 +1,393 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
+import { config } from "../util/config.js";
+import { DEFAULT_FOCUS_AREAS } from "../util/profiles.js";
+import {
+  DIGEST_SCHEMA,
+  parseJsonResponse,
+  validateDigest,
+} from "../util/digest.js";
+import { generateWithFailover, getLlmProviders } from "./llmProviders/index.js";
+import { getCached, setCached, hashText } from "./cache.js";
 
 dotenv.config();
 
-// Initialize API clients only when needed to ensure environment variables are loaded
-function getGeminiModel() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY not found in environment variables");
-  }
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  return genAI.getGenerativeModel({ model: "gemini-2.5-pro" });
+// Rough token estimate used for budgeting prompts
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates the number of tokens in a string
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
 }
 
+/**
+ * Cuts text down to a token budget, ending on a paragraph or sentence
+ * boundary where possible
+ * @param {string} text - Text
+ * @param {number} maxTokens - Token budget
+ * @returns {string} - Text within the budget
+ */
+function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+
+  const cut = text.substring(0, maxChars);
+  const boundary = Math.max(cut.lastIndexOf("\n\n"), cut.lastIndexOf(". ") + 1);
+  return (boundary > maxChars / 2 ? cut.substring(0, boundary) : cut).trim() + "...";
+}
 
 /**
- * Summarizes content using Gemini with retry logic (only uses top 10 articles)
+ * Formats an article with the source markers the prompts refer to
+ * @param {Object} article - Scraped article
+ * @param {number} maxTokens - Token budget for the article text
+ * @returns {string} - Source block
  */
-async function summarizeAllContent(articles) {
-  try {
-    if (!articles || articles.length === 0) {
-      console.warn("No content to summarize");
-      return [];
+function formatSource(article, maxTokens) {
+  return `### SOURCE URL: ${article.url}\n### TITLE: ${article.title}\n### CONTENT:\n${truncateToTokens(article.content, maxTokens)}\n\n---END OF SOURCE---\n`;
+}
+
+/**
+ * Runs a prompt until the response passes validation. Failed responses are
+ * sent back to the model with their validation errors, up to
+ * config.llm.maxValidationRetries times.
+ * @param {string} prompt - Prompt text
+ * @param {Function} validate - Maps the response text to { items, errors }
+ * @param {Object} options - Generation options
+ * @returns {Promise<Object>} - Best { items, errors, provider, model }
+ */
+async function generateValidated(prompt, validate, options = {}) {
+  let currentPrompt = prompt;
+  let best = null;
+
+  for (let attempt = 0; attempt <= config.llm.maxValidationRetries; attempt++) {
+    const { text, provider, model } = await generateWithFailover(currentPrompt, {
+      ...options,
+      json: true,
+    });
+
+    let result;
+    try {
+      result = validate(parseJsonResponse(text));
+    } catch (parseError) {
+      result = { items: [], errors: [parseError.message] };
+    }
+
+    if (!best || result.items.length > best.items.length) {
+      best = { ...result, provider, model };
     }
+    if (result.errors.length === 0) break;
 
-    // Use only the first 10 articles for summarization to manage input size
-    const articlesToSummarize = articles.slice(0, 10);
-    console.log(`Using ${articlesToSummarize.length} articles out of ${articles.length} available for summarization`);
+    console.warn(`Response failed validation (attempt ${attempt + 1}):\n- ${result.errors.join("\n- ")}`);
 
-    // Prepare content with clear source markers
-    let combinedContent = "";
-    const sourceUrls = [];
-    const urlToContentMap = {};
+    // Send the model its own output with the validation errors to fix
+    currentPrompt = `${prompt}
+YOUR PREVIOUS RESPONSE:
+${text}
 
-    for (const article of articlesToSummarize) {
-      if (!article.content) continue;
+IT FAILED VALIDATION WITH THESE ERRORS:
+${result.errors.map(error => `- ${error}`).join("\n")}
 
-      sourceUrls.push(article.url);
-      urlToContentMap[article.url] = article.content;
+Return the corrected JSON only.
+`;
+  }
 
-      const truncatedContent = article.content.length > 4000
-        ? article.content.substring(0, 4000) + "..."
-        : article.content;
+  return best;
+}
 
-      combinedContent += `\n\n### SOURCE URL: ${article.url}\n### TITLE: ${article.title}\n### CONTENT:\n${truncatedContent}\n\n---END OF SOURCE---\n`;
-    }
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
 
-    if (combinedContent.length === 0) {
-      console.warn("No valid content to summarize");
-      return [];
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
+  });
 
-    // Enhanced prompt with strict requirements
-    const prompt = `
-You are an expert EdTech analyst creating a briefing for education administrators. Analyze the provided content and create exactly 8 high-quality bullet points about education technology innovations and implementations.
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Map stage: summarizes a single article into one candidate digest item.
+ * The result only depends on the article, so it is cached per URL, keyed by
+ * the prompt and the configured models.
+ * @param {Object} article - Scraped article
+ * @param {Object} options - Summary options
+ * @param {Array<string>} options.focusAreas - Topics the prompt should prioritize
+ * @param {string} options.cacheMode - "normal", "refresh" or "replay"
+ * @returns {Promise<Object|null>} - Digest item, or null if none was valid
+ */
+async function summarizeArticle(article, options = {}) {
+  const { focusAreas = DEFAULT_FOCUS_AREAS, cacheMode = "normal" } = options;
+  const { mapInputTokens, mapOutputTokens } = config.summarizer;
+
+  const prompt = `
+You are an expert EdTech analyst creating a briefing for education administrators. Summarize the article below as exactly 1 digest item about the education technology innovation or implementation it reports.
 
 STRICT REQUIREMENTS:
-1. Create exactly 8 bullet points - no more, no less
-2. Each point must be from a different source URL
-3. Each point must be 30-50 words long
-4. Each point must include concrete information (technology names, stats, outcomes)
-5. Format each point exactly like this:
-* [Summary text with specific details about EdTech implementation or innovation]
-  Source: [EXACT URL where this information was found]
+1. The summary must be 30-50 words long
+2. It must include concrete information (technology names, stats, outcomes) taken from the article
+3. sourceUrl must be ${article.url}
+4. confidence is how well the article supports the summary; use a low value if the article is not about education technology
+5. Respond with JSON only, no prose or code fences, matching this JSON schema:
+${JSON.stringify(DIGEST_SCHEMA, null, 2)}
 
 CONTENT FOCUS AREAS:
-- Classroom technology implementations
-- Institutional EdTech solutions
-- Learning management systems
-- Educational data analytics
-- Teacher training technologies
-- Student engagement tools
-- Cost-effective EdTech solutions
-- Emerging education technologies
+${focusAreas.map(area => `- ${area}`).join("\n")}
 
-CONTENT TO ANALYZE:
-${combinedContent}
+ARTICLE:
+${formatSource(article, mapInputTokens)}
 `;
 
-    // Try Gemini with retry logic (3 attempts with 3-minute intervals)
-    const maxRetries = 3;
-    const retryDelayMs = 3 * 60 * 1000; // 3 minutes
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Attempting to summarize with Gemini (attempt ${attempt}/${maxRetries})...`);
-        const geminiModel = getGeminiModel();
-
-        const result = await geminiModel.generateContent(prompt);
-        const responseText = result.response.text();
-        const processedSummary = validateAndFormatSummary(responseText, sourceUrls);
-
-        return [{
-          title: "EdTech Innovations Summary",
-          summary: processedSummary
-        }];
-      } catch (geminiError) {
-        console.error(`Gemini attempt ${attempt} failed:`, geminiError.message);
-
-        if (attempt < maxRetries) {
-          console.log(`Waiting 3 minutes before retry ${attempt + 1}...`);
-          await new Promise(resolve => setTimeout(resolve, retryDelayMs));
-        } else {
-          console.error("All Gemini attempts failed. Unable to generate summary.");
-          throw new Error(`Gemini summarization failed after ${maxRetries} attempts: ${geminiError.message}`);
-        }
-      }
+  const models = getLlmProviders().map((provider) => `${provider.name}:${provider.getModel()}`);
+  const version = hashText(`${prompt}\n${models.join(",")}`);
+  const cached = await getCached("summary", article.url, version, { mode: cacheMode });
+  if (cached) {
+    console.log(`Using cached summary for ${article.url}`);
+    return cached;
+  }
+
+  const result = await generateValidated(
+    prompt,
+    (data) => validateDigest(data, [article.url], 1),
+    { maxTokens: mapOutputTokens }
+  );
+
+  const item = result.items[0] || null;
+  if (item) {
+    await setCached("summary", article.url, version, item, config.cache.summaryTtlHours);
+  }
+  return item;
+}
+
+/**
+ * Checks the reduce stage's selection of candidate ids
+ * @param {Object} data - Parsed model response
+ * @param {Array<number>} validIds - Ids shown to the model
+ * @param {number} maxCount - Maximum number of items to select
+ * @returns {Object} - { items (selected ids), errors }
+ */
+function validateSelection(data, validIds, maxCount) {
+  if (!data || !Array.isArray(data.selected)) {
+    return { items: [], errors: ['Top-level object must have a "selected" array'] };
+  }
+
+  const errors = [];
+  const items = [];
+  for (const id of data.selected) {
+    if (!validIds.includes(id)) {
+      errors.push(`${JSON.stringify(id)} is not a candidate id`);
+    } else if (items.includes(id)) {
+      errors.push(`${id} is selected more than once`);
+    } else {
+      items.push(id);
+    }
+  }
+
+  if (items.length === 0) {
+    errors.push("Select at least one candidate");
+  } else if (items.length > maxCount) {
+    errors.push(`Select at most ${maxCount} candidates (got ${items.length})`);
+  }
+
+  return { items: items.slice(0, maxCount), errors };
+}
+
+/**
+ * Reduce stage: ranks the per-article items and selects the best distinct
+ * stories. Falls back to ranking by confidence if the model fails.
+ * @param {Array<Object>} candidates - Items from the map stage
+ * @param {Object} options - Summary options
+ * @param {Array<string>} options.focusAreas - Topics the prompt should prioritize
+ * @returns {Promise<Object>} - { items, provider, model }
+ */
+async function selectItems(candidates, options = {}) {
+  const { focusAreas = DEFAULT_FOCUS_AREAS } = options;
+  const { digestSize, reduceInputTokens, reduceOutputTokens } = config.summarizer;
+  const itemCount = Math.min(digestSize, candidates.length);
+
+  // Most confident candidates first, so the budget cuts the weakest ones
+  const ranked = candidates
+    .map((item, id) => ({ id, item }))
+    .sort((a, b) => b.item.confidence - a.item.confidence);
+
+  let candidateList = "";
+  const shownIds = [];
+  for (const { id, item } of ranked) {
+    const line = `[${id}] (${item.category}, confidence ${item.confidence}) ${item.headline}: ${item.summary}${item.keyStat ? ` Key stat: ${item.keyStat}` : ""}\n`;
+    if (shownIds.length > 0 && estimateTokens(candidateList + line) > reduceInputTokens) {
+      break;
+    }
+    candidateList += line;
+    shownIds.push(id);
+  }
+  if (shownIds.length < candidates.length) {
+    console.log(`Reduce stage budget fits ${shownIds.length} of ${candidates.length} candidates`);
+  }
+
+  const prompt = `
+You are an expert EdTech analyst choosing the items for a briefing for education administrators. Each candidate below summarizes one article.
+
+Select the ${itemCount} best candidates, most important first:
+1. Each selected candidate must cover a different story - if several candidates report the same announcement, select only the best one
+2. Prefer concrete developments with names, numbers and outcomes over vague or promotional items
+3. Skip candidates that are not about education technology
+4. Select fewer than ${itemCount} only if there are not enough distinct, relevant stories
+
+CONTENT FOCUS AREAS:
+${focusAreas.map(area => `- ${area}`).join("\n")}
+
+CANDIDATES:
+${candidateList}
+Respond with JSON only, no prose or code fences: {"selected": [candidate ids in ranked order]}
+`;
+
+  try {
+    const result = await generateValidated(
+      prompt,
+      (data) => validateSelection(data, shownIds, itemCount),
+      { maxTokens: reduceOutputTokens }
+    );
+    if (result.items.length > 0) {
+      return {
+        items: result.items.map((id) => candidates[id]),
+        provider: result.provider,
+        model: result.model,
+      };
     }
   } catch (error) {
-    console.error("Error summarizing content:", error.message);
-    return [];
+    console.error("Reduce stage failed:", error.message);
   }
+
+  console.warn("Falling back to ranking candidates by confidence");
+  return { items: ranked.slice(0, itemCount).map(({ item }) => item) };
 }
 
+/**
+ * Single-prompt mode: summarizes as many articles as fit in the input
+ * budget in one request
+ * @param {Array<Object>} articles - Scraped articles with content
+ * @param {Object} options - Summary options
+ * @param {Array<string>} options.focusAreas - Topics the prompt should prioritize
+ * @returns {Promise<Object>} - { items, provider, model }
+ */
+async function summarizeTogether(articles, options = {}) {
+  const { focusAreas = DEFAULT_FOCUS_AREAS } = options;
+  const { digestSize, mapInputTokens, singleInputTokens, singleOutputTokens } = config.summarizer;
+
+  // Prepare content with clear source markers, within the input budget
+  let combinedContent = "";
+  const sourceUrls = [];
+  for (const article of articles) {
+    const block = formatSource(article, mapInputTokens);
+    if (sourceUrls.length > 0 && estimateTokens(combinedContent + block) > singleInputTokens) {
+      break;
+    }
+    combinedContent += `\n\n${block}`;
+    sourceUrls.push(article.url);
+  }
+  console.log(`Input budget fits ${sourceUrls.length} of ${articles.length} articles`);
+
+  const itemCount = Math.min(digestSize, sourceUrls.length);
+
+  const prompt = `
+You are an expert EdTech analyst creating a briefing for education administrators. Analyze the provided content and create exactly ${itemCount} high-quality digest items about education technology innovations and implementations.
+
+STRICT REQUIREMENTS:
+1. Create exactly ${itemCount} items - no more, no less
+2. Each item must be from a different source URL and cover a different story
+3. Each summary must be 30-50 words long
+4. Each summary must include concrete information (technology names, stats, outcomes) taken from its source
+5. Respond with JSON only, no prose or code fences, matching this JSON schema:
+${JSON.stringify(DIGEST_SCHEMA, null, 2)}
+
+CONTENT FOCUS AREAS:
+${focusAreas.map(area => `- ${area}`).join("\n")}
+
+CONTENT TO ANALYZE:
+${combinedContent}
+`;
+
+  return generateValidated(
+    prompt,
+    (data) => validateDigest(data, sourceUrls, itemCount),
+    { maxTokens: singleOutputTokens }
+  );
+}
 
 /**
- * Validates and formats the summary to ensure requirements are met
+ * Summarizes content with the configured LLM providers, failing over between
+ * them. In map-reduce mode (the default) every article is summarized on its
+ * own and the best distinct items are selected from all of them.
+ * @param {Array<Object>} articles - Scraped articles
+ * @param {Object} options - Summary options
+ * @param {string} options.title - Digest title
+ * @param {Array<string>} options.focusAreas - Topics the prompt should prioritize
+ * @param {string} options.cacheMode - "normal", "refresh" or "replay"
+ * @returns {Promise<Object|null>} - Digest { title, generatedAt, items, sources,
+ * provider, model }, or null if no digest could be generated
  */
-function validateAndFormatSummary(summaryText, validUrls) {
-  const lines = summaryText.split('\n');
-  const bulletPoints = [];
-  const usedUrls = new Set();
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    if (line.startsWith('*')) {
-      // Check if we have a source line following
-      if (i + 1 < lines.length && lines[i + 1].trim().startsWith('Source:')) {
-        const sourceLine = lines[i + 1].trim();
-        const urlMatch = sourceLine.match(/Source:\s*(https?:\/\/[^\s]+)/i);
-        
-        if (urlMatch && validUrls.includes(urlMatch[1]) && !usedUrls.has(urlMatch[1])) {
-          bulletPoints.push(line);
-          bulletPoints.push(`  Source: ${urlMatch[1]}`);
-          usedUrls.add(urlMatch[1]);
-          i++; // Skip the source line
-        }
+async function summarizeAllContent(articles, options = {}) {
+  const { title = "EdTech Innovations Summary" } = options;
+
+  try {
+    const withContent = (articles || []).filter((article) => article.content);
+    if (withContent.length === 0) {
+      console.warn("No content to summarize");
+      return null;
+    }
+
+    let result;
+    if (config.summarizer.mode === "single") {
+      result = await summarizeTogether(withContent, options);
+    } else {
+      console.log(`Summarizing ${withContent.length} articles individually...`);
+      const candidates = await mapWithConcurrency(
+        withContent,
+        config.summarizer.mapConcurrency,
+        (article) =>
+          summarizeArticle(article, options).catch((error) => {
+            console.error(`Failed to summarize ${article.url}:`, error.message);
+            return null;
+          })
+      );
+
+      const validCandidates = candidates.filter(Boolean);
+      console.log(`Got ${validCandidates.length} candidate items, selecting the best...`);
+      if (validCandidates.length === 0) {
+        throw new Error("No article could be summarized");
       }
+      result = await selectItems(validCandidates, options);
     }
-    
-    // Stop when we have 8 points
-    if (bulletPoints.length >= 16) break; // 8 points * 2 lines each
-  }
 
-  // If we didn't get 8 points, fill with best available
-  while (bulletPoints.length < 16 && validUrls.length > 0) {
-    const availableUrls = validUrls.filter(url => !usedUrls.has(url));
-    if (availableUrls.length === 0) break;
-    
-    const randomUrl = availableUrls[Math.floor(Math.random() * availableUrls.length)];
-    const randomContent = "Important EdTech development (see source for details)";
-    bulletPoints.push(`* ${randomContent}`);
-    bulletPoints.push(`  Source: ${randomUrl}`);
-    usedUrls.add(randomUrl);
-  }
+    if (result.items.length === 0) {
+      throw new Error("Model did not return any valid digest items");
+    }
 
-  return bulletPoints.join('\n');
+    return {
+      title,
+      generatedAt: new Date().toISOString(),
+      items: result.items,
+      sources: result.items.map(item => item.sourceUrl),
+      provider: result.provider,
+      model: result.model,
+    };
+  } catch (error) {
+    console.error("Error summarizing content:", error.message);
+    return null;
+  }
 }
 
-export { summarizeAllContent };
\ No newline at end of file
+export { summarizeAllContent, summarizeArticle };
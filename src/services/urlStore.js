@@ -0,0 +1,261 @@
+import fs from "fs/promises";
+import { config } from "../util/config.js";
+import { connectDatabase } from "../util/db.js";
+import { normalizeUrl } from "../util/url.js";
+import ProcessedUrl from "../models/ProcessedUrl.js";
+
+/**
+ * Creates a URL store backed by a JSON file (processed_urls.json by default)
+ * @param {string} filePath - Path of the JSON file holding the records
+ * @returns {Object} - URL store
+ */
+function createFileStore(filePath) {
+  const records = new Map();
+
+  return {
+    async load() {
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.warn(`Could not read ${filePath}: ${error.message}`);
+        }
+        return;
+      }
+
+      // Older files were a plain array of URLs (or [null])
+      for (const entry of Array.isArray(data) ? data : []) {
+        if (!entry) continue;
+        const record = typeof entry === "string" ? { url: entry } : entry;
+        const url = normalizeUrl(record.url);
+        if (url) {
+          records.set(url, { ...record, url });
+        }
+      }
+    },
+
+    async find(urls) {
+      const found = new Map();
+      for (const url of urls) {
+        if (records.has(url)) {
+          found.set(url, records.get(url));
+        }
+      }
+      return found;
+    },
+
+    async update(url, changes) {
+      const now = new Date().toISOString();
+      const existing = records.get(url) || {
+        url,
+        firstSeen: changes.lastSeen || now,
+        lastSeen: now,
+        scrapeStatus: "pending",
+        scrapeAttempts: 0,
+        inDigest: false,
+      };
+      records.set(url, { ...existing, ...changes });
+    },
+
+    async prune(cutoff) {
+      let removed = 0;
+      for (const [url, record] of records) {
+        if (new Date(record.lastSeen) < cutoff) {
+          records.delete(url);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async save() {
+      const data = [...records.values()];
+      await fs.writeFile(filePath, JSON.stringify(data, null, 2) + "\n");
+    },
+  };
+}
+
+/**
+ * Creates a URL store backed by the ProcessedUrl MongoDB collection
+ * @returns {Object} - URL store
+ */
+function createMongoStore() {
+  return {
+    async load() {
+      await connectDatabase();
+    },
+
+    async find(urls) {
+      const docs = await ProcessedUrl.find({ url: { $in: urls } }).lean();
+      return new Map(docs.map((doc) => [doc.url, doc]));
+    },
+
+    async update(url, changes) {
+      await ProcessedUrl.updateOne(
+        { url },
+        { $set: changes, $setOnInsert: { firstSeen: new Date() } },
+        { upsert: true }
+      );
+    },
+
+    async prune(cutoff) {
+      const result = await ProcessedUrl.deleteMany({ lastSeen: { $lt: cutoff } });
+      return result.deletedCount;
+    },
+
+    async save() {
+      // Writes go straight to MongoDB
+    },
+  };
+}
+
+/**
+ * Creates and loads the URL store configured in config.dedup
+ * @param {Object} options - Overrides for config.dedup
+ * @returns {Promise<Object>} - Loaded URL store
+ */
+async function createUrlStore(options = {}) {
+  const { backend, filePath } = { ...config.dedup, ...options };
+
+  let store;
+  if (backend === "mongo") {
+    store = createMongoStore();
+  } else if (backend === "file") {
+    store = createFileStore(filePath);
+  } else {
+    throw new Error(`Unknown dedup backend: ${backend}`);
+  }
+
+  await store.load();
+  return store;
+}
+
+/**
+ * Checks whether a record was delivered in a digest for a profile. Records
+ * written before profiles existed only carry the inDigest flag.
+ * @param {Object} record - URL record
+ * @param {string} profileName - Topic profile name
+ * @returns {boolean} - True if already delivered
+ */
+function wasDigested(record, profileName) {
+  if (!record?.inDigest) return false;
+  if (!record.digestedIn) return true;
+  return record.digestedIn.includes(profileName);
+}
+
+/**
+ * Drops search results that were already delivered in a digest for the
+ * profile, failed to scrape too many times or repeat another result in the
+ * same batch, and records the remaining ones as seen
+ * @param {Object} store - URL store
+ * @param {Array<Object>} searchResults - Results from fetchSearchResults
+ * @param {string} profileName - Topic profile the results are for
+ * @param {Object} options - Filter options
+ * @param {boolean} options.dryRun - Filter without recording the results as seen
+ * @returns {Promise<Array<Object>>} - Results that still need scraping
+ */
+async function filterProcessedResults(store, searchResults, profileName = "default", options = {}) {
+  const batch = new Map();
+  for (const result of searchResults) {
+    const url = normalizeUrl(result.url);
+    if (url && !batch.has(url)) {
+      batch.set(url, result);
+    }
+  }
+
+  const known = await store.find([...batch.keys()]);
+  const now = new Date().toISOString();
+  const fresh = [];
+
+  for (const [url, result] of batch) {
+    const record = known.get(url);
+
+    if (wasDigested(record, profileName)) continue;
+    if (
+      record?.scrapeStatus === "failed" &&
+      record.scrapeAttempts >= config.dedup.maxScrapeAttempts
+    ) {
+      continue;
+    }
+
+    if (!options.dryRun) {
+      await store.update(url, { originalUrl: result.url, lastSeen: now });
+    }
+    fresh.push(result);
+  }
+
+  console.log(
+    `Dedup: ${fresh.length} new of ${searchResults.length} search results`
+  );
+  return fresh;
+}
+
+/**
+ * Records the scrape outcome of each attempted URL and the fetch tier
+ * (feed, http or browser) that produced its content
+ * @param {Object} store - URL store
+ * @param {Array<Object>} attempted - Results passed to scrapeMultipleUrls
+ * @param {Array<Object>} scraped - Results returned by scrapeMultipleUrls
+ */
+async function recordScrapeResults(store, attempted, scraped) {
+  const succeeded = new Map(
+    scraped.map((result) => [normalizeUrl(result.url), result])
+  );
+  const urls = attempted.map((result) => normalizeUrl(result.url));
+  const known = await store.find(urls);
+
+  for (const url of urls) {
+    const attempts = (known.get(url)?.scrapeAttempts || 0) + 1;
+    const result = succeeded.get(url);
+    await store.update(url, {
+      scrapeStatus: result ? "success" : "failed",
+      scrapeAttempts: attempts,
+      ...(result?.fetchTier && { fetchTier: result.fetchTier }),
+    });
+  }
+}
+
+/**
+ * Marks URLs as delivered in a profile's digest so later runs skip them
+ * @param {Object} store - URL store
+ * @param {Array<string>} urls - Source URLs cited in the digest
+ * @param {string} profileName - Topic profile the digest was for
+ */
+async function markDigested(store, urls, profileName = "default") {
+  const digestedAt = new Date().toISOString();
+  const normalized = urls.map(normalizeUrl);
+  const known = await store.find(normalized);
+
+  for (const url of normalized) {
+    const digestedIn = new Set(known.get(url)?.digestedIn || []);
+    digestedIn.add(profileName);
+    await store.update(url, {
+      inDigest: true,
+      digestedIn: [...digestedIn],
+      digestedAt,
+    });
+  }
+}
+
+/**
+ * Removes records older than the retention window and persists the store
+ * @param {Object} store - URL store
+ * @param {number} retentionDays - Days to keep records after they were last seen
+ */
+async function pruneAndSave(store, retentionDays = config.dedup.retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const removed = await store.prune(cutoff);
+  if (removed > 0) {
+    console.log(`Dedup: pruned ${removed} URLs older than ${retentionDays} days`);
+  }
+  await store.save();
+}
+
+export {
+  createUrlStore,
+  filterProcessedResults,
+  recordScrapeResults,
+  markDigested,
+  pruneAndSave,
+};
@@ -0,0 +1,173 @@
+import { parseArgs } from "util";
+import { config } from "./config.js";
+
+// Pipeline stages in the order they run
+const STAGES = ["search", "scrape", "summarize", "send"];
+
+const OUTPUT_FORMATS = ["text", "json"];
+
+const USAGE = `Usage: node src/index.js [options] [searchQuery] [numResults] [daysAgo]
+
+Options:
+  -p, --profile <name>      Topic profile to run, repeatable or comma-separated,
+                            or "all" (default: default)
+  -q, --query <text>        Ad-hoc search query instead of profile queries
+  -n, --count <number>      Search results to fetch per query (default: ${config.search.defaultNumResults})
+  -d, --days <number>       Only include results from the last N days (default: ${config.search.defaultDaysAgo})
+  -r, --recipient <phone>   WhatsApp recipient, repeatable or comma-separated
+                            (default: profile recipients or WHATSAPP_RECIPIENTS)
+      --stages <list>       Comma-separated stages to run: ${STAGES.join(",")}
+                            (default: all)
+      --resume <runId>      Resume a run from its last completed stage; with
+                            --stages, rerun those stages using the run's
+                            checkpoints for earlier ones; with --profile, only
+                            resume those of the run's profiles
+      --dry-run             Run every stage up to delivery without sending,
+                            saving the digest or marking URLs as processed;
+                            writes the rendered digest and WhatsApp payloads
+                            to ${config.preview.dir}/<runId>/<profile>. The
+                            run, its checkpoints and the scrape and summary
+                            cache are still saved
+      --test-recipient <phone>
+                            Dry run that sends to this number only
+      --test-send           Dry run that sends to PREVIEW_TEST_RECIPIENT only
+      --refresh             Ignore cached scrapes and summaries and redo them
+      --replay              Summarize archived content only, including expired
+                            cache entries, without fetching anything
+  -f, --format <format>     Output format for the final result: ${OUTPUT_FORMATS.join(", ")} (default: text)
+  -h, --help                Show this message
+`;
+
+/**
+ * Parses a positive integer option
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @returns {number} - Parsed value
+ */
+function parsePositiveInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Splits repeatable, comma-separated option values into a flat list
+ * @param {Array<string>} values - Raw option values
+ * @returns {Array<string>} - Trimmed, non-empty values
+ */
+function splitList(values = []) {
+  return values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses command-line arguments into run options. Named options take
+ * precedence over the legacy positional [searchQuery] [numResults] [daysAgo].
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} - Run options
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      profile: { type: "string", short: "p", multiple: true },
+      query: { type: "string", short: "q" },
+      count: { type: "string", short: "n" },
+      days: { type: "string", short: "d" },
+      recipient: { type: "string", short: "r", multiple: true },
+      stages: { type: "string" },
+      resume: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      "test-recipient": { type: "string" },
+      "test-send": { type: "boolean", default: false },
+      refresh: { type: "boolean", default: false },
+      replay: { type: "boolean", default: false },
+      format: { type: "string", short: "f", default: "text" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [positionalQuery, positionalCount, positionalDays] = positionals;
+
+  const stages = values.stages ? splitList([values.stages]) : STAGES;
+  const unknownStages = stages.filter((stage) => !STAGES.includes(stage));
+  if (unknownStages.length > 0) {
+    throw new Error(
+      `Unknown stage(s): ${unknownStages.join(", ")}. Valid stages: ${STAGES.join(", ")}`
+    );
+  }
+
+  // Each stage consumes the previous stage's output, so new runs must start
+  // at search. Resumed runs can start later, loading checkpoints for the rest.
+  const firstStage = values.resume
+    ? Math.min(...stages.map((stage) => STAGES.indexOf(stage)))
+    : 0;
+  const lastStage = Math.max(...stages.map((stage) => STAGES.indexOf(stage)));
+  const missingStages = STAGES.slice(firstStage, lastStage + 1).filter(
+    (stage) => !stages.includes(stage)
+  );
+  if (missingStages.length > 0) {
+    throw new Error(
+      `Stage(s) ${missingStages.join(", ")} are required to run ${STAGES[lastStage]}`
+    );
+  }
+
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new Error(
+      `Unknown format "${values.format}". Valid formats: ${OUTPUT_FORMATS.join(", ")}`
+    );
+  }
+
+  if (values.refresh && values.replay) {
+    throw new Error("--refresh cannot be combined with --replay");
+  }
+
+  const query = values.query ?? positionalQuery;
+  if (values.resume && query) {
+    throw new Error("--resume reuses the run's query and cannot be combined with --query");
+  }
+  if (query && values.profile) {
+    throw new Error("--query cannot be combined with --profile");
+  }
+
+  if (values["test-recipient"] && values["test-send"]) {
+    throw new Error("--test-recipient cannot be combined with --test-send");
+  }
+  if (values["test-send"] && !config.preview.testRecipient) {
+    throw new Error("--test-send needs PREVIEW_TEST_RECIPIENT to be set");
+  }
+  const testRecipient =
+    values["test-recipient"] ?? (values["test-send"] ? config.preview.testRecipient : undefined);
+
+  const count = values.count ?? positionalCount;
+  const days = values.days ?? positionalDays;
+
+  return {
+    help: values.help,
+    profiles: values.profile ? splitList(values.profile) : ["default"],
+    query,
+    count: count
+      ? parsePositiveInt(count, "count")
+      : config.search.defaultNumResults,
+    days: days ? parsePositiveInt(days, "days") : config.search.defaultDaysAgo,
+    recipients: values.recipient ? splitList(values.recipient) : undefined,
+    stages: STAGES.filter((stage) => stages.includes(stage)),
+    resume: values.resume,
+    // Profiles of the resumed run to resume; all of them when not given
+    resumeProfiles: values.resume && values.profile ? splitList(values.profile) : undefined,
+    // Stages to run again even if the resumed run completed them
+    rerunStages: values.resume && values.stages ? stages : [],
+    // Sending to a test recipient is always a dry run for everyone else
+    dryRun: values["dry-run"] || !!testRecipient,
+    testRecipient,
+    cacheMode: values.refresh ? "refresh" : values.replay ? "replay" : "normal",
+    format: values.format,
+  };
+}
+
+export { parseCliArgs, USAGE, STAGES };
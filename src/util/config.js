@@ -3,6 +3,70 @@ import dotenv from "dotenv";
 // Load environment variables
 dotenv.config();
 
+// Score components SCORING_WEIGHTS can weigh (see services/scoring.js)
+const SCORING_COMPONENTS = ["relevance", "recency", "reputation", "length"];
+
+const DEFAULT_SCORING_WEIGHTS = "relevance=0.4,recency=0.2,reputation=0.25,length=0.15";
+
+// Invalid environment values found while building the config. Importing
+// the config never throws; entry points call checkConfig() to report these.
+const configErrors = [];
+
+/**
+ * Reads a numeric environment variable. A value that is not a number of at
+ * least min is recorded in configErrors, since NaN would silently turn off
+ * the limit, delay or timeout it sets, and the default is used meanwhile.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is unset or empty
+ * @param {Object} options - Constraints
+ * @param {number} options.min - Smallest valid value
+ * @param {boolean} options.integer - Whether the value must be a whole number
+ * @returns {number} - Value
+ */
+function envNumber(name, fallback, { min = 0, integer = false } = {}) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === "") return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    configErrors.push(`${name}: "${value}" is not a ${integer ? "whole number" : "number"} of ${min} or more`);
+    return fallback;
+  }
+  return number;
+}
+
+/**
+ * Parses SCORING_WEIGHTS, e.g. "relevance=0.4,recency=0.2". An invalid value
+ * is recorded in configErrors, since one NaN weight would silently drop
+ * every article, and the default weights are used meanwhile.
+ * @param {string} value - Comma-separated name=weight pairs
+ * @returns {Object} - Weights keyed by score component
+ */
+function parseScoringWeights(value) {
+  const weights = {};
+  const errors = [];
+  for (const pair of value.split(",")) {
+    const [name, weight] = pair.split("=").map((part) => part.trim());
+    const number = weight === undefined || weight === "" ? NaN : Number(weight);
+    if (!SCORING_COMPONENTS.includes(name)) {
+      errors.push(`unknown component "${name}" (valid: ${SCORING_COMPONENTS.join(", ")})`);
+    } else if (!Number.isFinite(number) || number < 0) {
+      errors.push(`"${name}=${weight ?? ""}" is not a number of 0 or more`);
+    } else {
+      weights[name] = number;
+    }
+  }
+  if (errors.length === 0 && !Object.values(weights).some((weight) => weight > 0)) {
+    errors.push("at least one weight must be above 0");
+  }
+
+  if (errors.length > 0) {
+    configErrors.push(`SCORING_WEIGHTS: ${errors.join("; ")}`);
+    return parseScoringWeights(DEFAULT_SCORING_WEIGHTS);
+  }
+  return weights;
+}
+
 // Configuration object
 const config = {
   // MongoDB
@@ -16,25 +80,364 @@ const config = {
     searchEngineId: process.env.GOOGLE_CSE_ID,
   },
 
+  // Summarizer backends, tried in order until one succeeds
+  llm: {
+    providers: (process.env.LLM_PROVIDERS || "gemini,anthropic,openai")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+    attemptsPerProvider: envNumber("LLM_ATTEMPTS_PER_PROVIDER", 2, { min: 1, integer: true }),
+    retryDelayMs: envNumber("LLM_RETRY_DELAY_MS", 10000),
+    timeoutMs: envNumber("LLM_TIMEOUT_MS", 5 * 60 * 1000, { min: 1 }),
+    // Times a digest that fails validation is sent back to the model to fix
+    maxValidationRetries: envNumber("LLM_VALIDATION_RETRIES", 2, { integer: true }),
+  },
+
+  // Digest generation
+  summarizer: {
+    // "map-reduce" summarizes each article then selects the best items;
+    // "single" sends as many articles as fit in one prompt
+    mode: process.env.SUMMARIZER_MODE || "map-reduce",
+    digestSize: envNumber("DIGEST_SIZE", 8, { min: 1, integer: true }),
+    // Articles summarized at once in the map stage
+    mapConcurrency: envNumber("SUMMARIZER_MAP_CONCURRENCY", 2, { min: 1, integer: true }),
+    // Token budgets per stage (estimated at 4 characters per token)
+    mapInputTokens: envNumber("SUMMARIZER_MAP_INPUT_TOKENS", 3000, { min: 1, integer: true }),
+    mapOutputTokens: envNumber("SUMMARIZER_MAP_OUTPUT_TOKENS", 600, { min: 1, integer: true }),
+    reduceInputTokens: envNumber("SUMMARIZER_REDUCE_INPUT_TOKENS", 12000, { min: 1, integer: true }),
+    reduceOutputTokens: envNumber("SUMMARIZER_REDUCE_OUTPUT_TOKENS", 1000, { min: 1, integer: true }),
+    singleInputTokens: envNumber("SUMMARIZER_SINGLE_INPUT_TOKENS", 30000, { min: 1, integer: true }),
+    singleOutputTokens: envNumber("SUMMARIZER_SINGLE_OUTPUT_TOKENS", 4000, { min: 1, integer: true }),
+  },
+
   // Google Gemini
   gemini: {
     apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || "gemini-2.5-pro",
+    // Thinking tokens of 2.5 and later models, allowed on top of the output
+    // tokens a request asks for since Gemini counts both against one cap
+    thinkingBudget: envNumber("GEMINI_THINKING_BUDGET", 1024, { integer: true }),
+  },
+
+  // Anthropic Claude
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || "claude-haiku-4-5",
+  },
+
+  // OpenAI or any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM)
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    baseUrlOverridden: !!process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  },
+
+  // WhatsApp Cloud API
+  whatsapp: {
+    token: process.env.WHATSAPP_TOKEN,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    recipients: (process.env.WHATSAPP_RECIPIENTS || "")
+      .split(",")
+      .map((number) => number.trim())
+      .filter(Boolean),
+    // JSON file of template mappings merged over the built-in "edtech" templates
+    templatesFile: process.env.WHATSAPP_TEMPLATES_FILE,
+    // Template language for recipients without their own
+    defaultLanguage: process.env.WHATSAPP_DEFAULT_LANGUAGE || "en_US",
+    // Cloud API throughput is 80 messages/second per number by default; stay well below
+    messagesPerSecond: envNumber("WHATSAPP_MESSAGES_PER_SECOND", 10, { min: 1 }),
+    // Retries after rate limit errors, waiting longer each time
+    maxRetries: envNumber("WHATSAPP_MAX_RETRIES", 3, { integer: true }),
+    // WhatsApp allows about one message every 6 seconds to the same user
+    retryDelayMs: envNumber("WHATSAPP_RETRY_DELAY_MS", 6000),
+    // Filler for the slots of a template larger than the digest, used when no
+    // template fits; without it such digests fail
+    padText: process.env.WHATSAPP_PAD_TEXT || "",
+    padSourceText: process.env.WHATSAPP_PAD_SOURCE_TEXT || "No source available",
+  },
+
+  // Delivery channels (whatsapp, email, slack, telegram, webhook, publish)
+  delivery: {
+    channels: (process.env.DELIVERY_CHANNELS || "whatsapp")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+    timeoutMs: envNumber("DELIVERY_TIMEOUT_MS", 15000, { min: 1 }),
+    // Hold digests until they are approved through the admin API
+    requireApproval: process.env.REQUIRE_APPROVAL === "true",
+  },
+
+  // SMTP email
+  email: {
+    host: process.env.SMTP_HOST,
+    port: envNumber("SMTP_PORT", 587, { min: 1, integer: true }),
+    // true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.EMAIL_FROM,
+    recipients: (process.env.EMAIL_RECIPIENTS || "")
+      .split(",")
+      .map((address) => address.trim())
+      .filter(Boolean),
+  },
+
+  // Slack incoming webhook
+  slack: {
+    webhookUrl: process.env.SLACK_WEBHOOK_URL,
+  },
+
+  // Telegram bot
+  telegram: {
+    botToken: process.env.TELEGRAM_BOT_TOKEN,
+    chatIds: (process.env.TELEGRAM_CHAT_IDS || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean),
+  },
+
+  // Generic JSON webhook, signed with HMAC-SHA256 when a secret is set
+  webhook: {
+    url: process.env.WEBHOOK_URL,
+    secret: process.env.WEBHOOK_SECRET,
+  },
+
+  // Rendered digests and feeds written by the "publish" delivery channel
+  publish: {
+    dir: process.env.PUBLISH_DIR || "public",
+    // Public URL of PUBLISH_DIR, used for feed and archive links
+    baseUrl: process.env.PUBLISH_BASE_URL,
+    formats: (process.env.PUBLISH_FORMATS || "html,markdown,json,jsonfeed,rss")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+    // Past digests kept in the feeds
+    feedItems: envNumber("PUBLISH_FEED_ITEMS", 30, { min: 1, integer: true }),
+  },
+
+  // Audience list of recipients with opt-in status, language and profiles
+  audience: {
+    backend: process.env.AUDIENCE_BACKEND || "file", // "file" or "mongo"
+    filePath: process.env.AUDIENCE_FILE || "recipients.json",
   },
 
   // Default search parameters
   search: {
-    defaultQuery: "IT news in education sector",
-    defaultNumResults: 8,
-    defaultDaysAgo: 1,
+    defaultQuery:
+      process.env.SEARCH_QUERY || "education technology teaching learning tools",
+    defaultNumResults: envNumber("SEARCH_NUM_RESULTS", 20, { min: 1, integer: true }),
+    defaultDaysAgo: envNumber("SEARCH_DAYS_AGO", 1, { min: 1, integer: true }),
+    // Providers queried by fetchSearchResults: google, feeds, sitemap, fixture
+    providers: (process.env.SEARCH_PROVIDERS || "google")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+  },
+
+  // RSS/Atom/JSON feeds used by the "feeds" search provider
+  feeds: {
+    // ETag/Last-Modified state and items from the previous fetch of each feed
+    cacheFile: process.env.FEED_CACHE_FILE || "feed_cache.json",
+    // Feed bodies at least this long are summarized without scraping
+    minContentLength: envNumber("FEED_MIN_CONTENT_LENGTH", 800),
+    urls: process.env.FEED_URLS
+      ? process.env.FEED_URLS.split(",").map((url) => url.trim())
+      : [
+          "https://www.edsurge.com/articles_rss",
+          "https://www.eschoolnews.com/feed/",
+          "https://thejournal.com/rss-feeds/news.aspx",
+          "https://www.k12dive.com/feeds/news/",
+        ],
+  },
+
+  // Sitemaps and news sitemaps used by the "sitemap" search provider
+  sitemaps: {
+    urls: (process.env.SITEMAP_URLS || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean),
+  },
+
+  // Local results file used by the "fixture" search provider
+  fixtures: {
+    filePath: process.env.SEARCH_FIXTURE_FILE || "fixtures/search-results.json",
+  },
+
+  // Topic profiles (JSON file merged over the built-in profiles)
+  profiles: {
+    filePath: process.env.PROFILES_FILE,
+  },
+
+  // Article scraping
+  scraper: {
+    // Pages loading at once across all hosts
+    concurrency: envNumber("SCRAPE_CONCURRENCY", 3, { min: 1, integer: true }),
+    // Pages loading at once for a single host
+    perHostConcurrency: envNumber("SCRAPE_PER_HOST_CONCURRENCY", 1, { min: 1, integer: true }),
+    // Try a plain HTTP GET before falling back to Puppeteer
+    httpFirst: process.env.SCRAPE_HTTP_FIRST !== "false",
+    // Extracted text shorter than this sends the page to Puppeteer
+    minTextLength: envNumber("SCRAPE_MIN_TEXT_LENGTH", 800),
+    // Longer article text is cut off
+    maxTextLength: envNumber("SCRAPE_MAX_TEXT_LENGTH", 20000, { min: 1, integer: true }),
+  },
+
+  // Crawl politeness
+  crawler: {
+    // Honest bot user agent with contact information
+    userAgent:
+      process.env.CRAWLER_USER_AGENT ||
+      `EdTechScraperBot/1.0 (+${process.env.CRAWLER_CONTACT || "https://github.com/easlam10/edtech-scraper"})`,
+    respectRobots: process.env.CRAWLER_RESPECT_ROBOTS !== "false",
+    // Minimum spacing between requests to the same host
+    minDelayMs: envNumber("CRAWLER_MIN_DELAY_MS", 2000),
+    // Upper bound applied to robots.txt crawl-delay values
+    maxDelayMs: envNumber("CRAWLER_MAX_DELAY_MS", 30000),
+    robotsCacheTtlMs: 24 * 60 * 60 * 1000,
+  },
+
+  // Ranking scraped articles before summarization
+  scoring: {
+    enabled: process.env.SCORING !== "false",
+    // Relative weight of each score component
+    weights: parseScoringWeights(process.env.SCORING_WEIGHTS || DEFAULT_SCORING_WEIGHTS),
+    // Articles below either threshold are not summarized
+    minScore: envNumber("SCORING_MIN_SCORE", 0.4),
+    minRelevance: envNumber("SCORING_MIN_RELEVANCE", 0.2),
+    // Recency falls to 0 for articles this old
+    maxAgeDays: envNumber("SCORING_MAX_AGE_DAYS", 14, { min: 1 }),
+    // Highest scoring articles passed on to the summarizer
+    maxArticles: envNumber("SCORING_MAX_ARTICLES", 30, { min: 1, integer: true }),
+    reputableDomains: process.env.REPUTABLE_DOMAINS
+      ? process.env.REPUTABLE_DOMAINS.split(",").map((domain) => domain.trim())
+      : [
+          "edsurge.com",
+          "edweek.org",
+          "eschoolnews.com",
+          "thejournal.com",
+          "k12dive.com",
+          "highereddive.com",
+          "insidehighered.com",
+          "chronicle.com",
+          "hechingerreport.org",
+          "the74million.org",
+          "campustechnology.com",
+          "districtadministration.com",
+        ],
+    // Press release wires and similar sources
+    lowReputationDomains: process.env.LOW_REPUTATION_DOMAINS
+      ? process.env.LOW_REPUTATION_DOMAINS.split(",").map((domain) => domain.trim())
+      : [
+          "prnewswire.com",
+          "businesswire.com",
+          "globenewswire.com",
+          "einpresswire.com",
+          "accessnewswire.com",
+          "openpr.com",
+        ],
+  },
+
+  // Grouping the same story reported by several sites
+  clustering: {
+    enabled: process.env.CLUSTERING !== "false",
+    // Estimated share of shared word shingles for two articles to be one story
+    threshold: envNumber("CLUSTERING_THRESHOLD", 0.3),
+    shingleSize: 3,
+    numHashes: 128,
+  },
+
+  // Checking digest items against their cited sources
+  grounding: {
+    enabled: process.env.GROUNDING_CHECK !== "false",
+    // Share of a summary's content words that must appear in the source
+    minOverlap: envNumber("GROUNDING_MIN_OVERLAP", 0.6),
+    // Share of a summary's names that must appear in the source
+    minNameMatch: envNumber("GROUNDING_MIN_NAME_MATCH", 0.75),
+    // Also ask an LLM to confirm items that pass the lexical check
+    llmJudge: process.env.GROUNDING_LLM_JUDGE === "true",
+    judgeSourceChars: 8000,
+  },
+
+  // Per-URL cache of scrape and summary outputs
+  cache: {
+    enabled: process.env.CACHE !== "false",
+    backend: process.env.CACHE_BACKEND || "file", // "file" or "mongo"
+    dir: process.env.CACHE_DIR || ".pipeline-cache",
+    // Entries older than their TTL are only used when replaying
+    scrapeTtlHours: envNumber("CACHE_SCRAPE_TTL_HOURS", 7 * 24),
+    summaryTtlHours: envNumber("CACHE_SUMMARY_TTL_HOURS", 30 * 24),
+    // Entries are archived this long for replays, then deleted
+    retentionDays: envNumber("CACHE_RETENTION_DAYS", 90, { min: 1 }),
+  },
+
+  // Dry-run previews of the rendered digest and WhatsApp payloads
+  preview: {
+    dir: process.env.PREVIEW_DIR || "previews",
+    // Number --test-send delivers to instead of the audience
+    testRecipient: process.env.PREVIEW_TEST_RECIPIENT,
+  },
+
+  // Run records and per-stage checkpoints used to resume runs
+  runs: {
+    backend: process.env.RUNS_BACKEND || "file", // "file" or "mongo"
+    dir: process.env.RUNS_DIR || "runs",
+    retentionDays: envNumber("RUNS_RETENTION_DAYS", 14, { min: 1 }),
+  },
+
+  // Daemon schedules and the locks that keep runs of a profile from overlapping
+  scheduler: {
+    backend: process.env.SCHEDULER_BACKEND || "file", // "file" or "mongo"
+    dir: process.env.SCHEDULER_DIR || ".scheduler",
+    // Profiles the daemon runs, or "all"
+    profiles: (process.env.SCHEDULED_PROFILES || "default")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+    // Cron expression and IANA timezone for profiles without their own
+    schedule: process.env.SCHEDULE || "0 8 * * *",
+    timezone: process.env.SCHEDULE_TIMEZONE || "UTC",
+    // Runs missed while the daemon was down are made up if this recent
+    catchUpHours: envNumber("SCHEDULE_CATCH_UP_HOURS", 12),
+    checkIntervalMs: envNumber("SCHEDULE_CHECK_INTERVAL_MS", 30000, { min: 1 }),
+    // Locks of runs that crashed are taken over after this long
+    lockTtlMinutes: envNumber("RUN_LOCK_TTL_MINUTES", 120, { min: 1 }),
+    // Time a run in progress gets to finish on SIGTERM before it is stopped
+    shutdownTimeoutMs: envNumber("SHUTDOWN_TIMEOUT_MS", 25000, { min: 1 }),
+  },
+
+  // HTTP admin API (node src/server.js)
+  admin: {
+    port: envNumber(process.env.ADMIN_PORT ? "ADMIN_PORT" : "PORT", 3000, { min: 1, integer: true }),
+    host: process.env.ADMIN_HOST || "0.0.0.0",
+    // Bearer token every request must carry
+    token: process.env.ADMIN_API_TOKEN,
+  },
+
+  // Cross-run URL deduplication
+  dedup: {
+    backend: process.env.DEDUP_BACKEND || "file", // "file" or "mongo"
+    filePath: process.env.DEDUP_FILE || "processed_urls.json",
+    retentionDays: envNumber("DEDUP_RETENTION_DAYS", 30, { min: 1 }),
+    maxScrapeAttempts: envNumber("DEDUP_MAX_SCRAPE_ATTEMPTS", 3, { min: 1, integer: true }),
   },
 };
 
+/**
+ * Reports the environment variables that hold invalid values
+ * @throws {Error} - Listing every invalid value
+ */
+function checkConfig() {
+  if (configErrors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${configErrors.join("\n  ")}`);
+  }
+}
+
 // Validate required configuration
 function validateConfig() {
   const requiredVars = [
     { key: "googleSearch.apiKey", name: "GOOGLE_API_KEY" },
     { key: "googleSearch.searchEngineId", name: "SEARCH_ENGINE_ID" },
-    { key: "gemini.apiKey", name: "GEMINI_API_KEY" },
     { key: "mongodb.uri", name: "MONGODB_URI" },
   ];
 
@@ -58,4 +461,4 @@ function validateConfig() {
   }
 }
 
-export { config, validateConfig };
+export { config, checkConfig, validateConfig };
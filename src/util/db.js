@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { config } from "./config.js";
+
+/**
+ * Connects to MongoDB, reusing the existing connection if already open
+ * @returns {Promise<mongoose.Connection>} - The active connection
+ */
+async function connectDatabase() {
+  if (mongoose.connection.readyState === 1) {
+    return mongoose.connection;
+  }
+
+  if (!config.mongodb.uri) {
+    throw new Error("MONGODB_URI not found in environment variables");
+  }
+
+  await mongoose.connect(config.mongodb.uri);
+  console.log("Connected to MongoDB");
+  return mongoose.connection;
+}
+
+/**
+ * Closes the MongoDB connection if one is open
+ */
+async function disconnectDatabase() {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+export { connectDatabase, disconnectDatabase };
@@ -0,0 +1,175 @@
+// Categories a digest item can be filed under
+const CATEGORIES = [
+  "classroom",
+  "institutional",
+  "platforms",
+  "analytics",
+  "teacher-training",
+  "student-engagement",
+  "policy",
+  "funding",
+  "research",
+  "emerging-tech",
+];
+
+// JSON shape the model is asked to return, described in the prompt
+const DIGEST_ITEM_SCHEMA = {
+  type: "object",
+  required: ["headline", "summary", "sourceUrl", "category", "keyStat", "confidence"],
+  properties: {
+    headline: { type: "string", description: "Short headline, at most 100 characters" },
+    summary: { type: "string", description: "30-50 word summary with concrete details" },
+    sourceUrl: { type: "string", description: "Exact SOURCE URL the item is based on" },
+    category: { type: "string", enum: CATEGORIES },
+    keyStat: {
+      type: ["string", "null"],
+      description: "Most important number or statistic from the source, or null",
+    },
+    confidence: {
+      type: "number",
+      description: "0-1 confidence that the summary is fully supported by the source",
+    },
+  },
+};
+
+const DIGEST_SCHEMA = {
+  type: "object",
+  required: ["items"],
+  properties: {
+    items: { type: "array", items: DIGEST_ITEM_SCHEMA },
+  },
+};
+
+/**
+ * Parses a model response into JSON, tolerating code fences and text
+ * around the object
+ * @param {string} text - Model response
+ * @returns {Object} - Parsed JSON
+ */
+function parseJsonResponse(text) {
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, "").replace(/\s*```\s*$/, "");
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.indexOf("{");
+    const end = unfenced.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      return JSON.parse(unfenced.substring(start, end + 1));
+    }
+    throw new Error("Response is not valid JSON");
+  }
+}
+
+/**
+ * Counts the words in a string
+ * @param {string} text - Text
+ * @returns {number} - Word count
+ */
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Validates digest items against DIGEST_ITEM_SCHEMA and the source list.
+ * Invalid items are reported and left out of the result.
+ * @param {Object} data - Parsed model response
+ * @param {Array<string>} validUrls - URLs of the articles given to the model
+ * @param {number} expectedCount - Number of items requested
+ * @returns {Object} - { items, errors }
+ */
+function validateDigest(data, validUrls, expectedCount) {
+  const errors = [];
+  const items = [];
+  const usedUrls = new Set();
+
+  if (!data || !Array.isArray(data.items)) {
+    return { items, errors: ['Top-level object must have an "items" array'] };
+  }
+
+  data.items.forEach((raw, index) => {
+    const label = `items[${index}]`;
+    const itemErrors = [];
+
+    if (!raw || typeof raw !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const headline = typeof raw.headline === "string" ? raw.headline.trim() : "";
+    const summary = typeof raw.summary === "string" ? raw.summary.trim() : "";
+    const sourceUrl = typeof raw.sourceUrl === "string" ? raw.sourceUrl.trim() : "";
+
+    if (!headline) itemErrors.push("headline is required");
+    else if (headline.length > 100) itemErrors.push("headline must be at most 100 characters");
+
+    // Allow some slack around the 30-50 words asked for in the prompt
+    const words = countWords(summary);
+    if (words < 25 || words > 60) {
+      itemErrors.push(`summary must be 30-50 words (got ${words})`);
+    }
+
+    if (!validUrls.includes(sourceUrl)) {
+      itemErrors.push(`sourceUrl "${sourceUrl}" is not one of the SOURCE URLs`);
+    } else if (usedUrls.has(sourceUrl)) {
+      itemErrors.push(`sourceUrl "${sourceUrl}" is already used by another item`);
+    }
+
+    if (!CATEGORIES.includes(raw.category)) {
+      itemErrors.push(`category must be one of: ${CATEGORIES.join(", ")}`);
+    }
+
+    if (raw.keyStat !== null && raw.keyStat !== undefined && typeof raw.keyStat !== "string") {
+      itemErrors.push("keyStat must be a string or null");
+    }
+
+    const confidence = Number(raw.confidence);
+    if (raw.confidence === undefined || Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+      itemErrors.push("confidence must be a number between 0 and 1");
+    }
+
+    if (itemErrors.length > 0) {
+      errors.push(...itemErrors.map((error) => `${label}: ${error}`));
+      return;
+    }
+
+    usedUrls.add(sourceUrl);
+    items.push({
+      headline,
+      summary,
+      sourceUrl,
+      category: raw.category,
+      keyStat: raw.keyStat ? raw.keyStat.trim() : null,
+      confidence,
+    });
+  });
+
+  if (data.items.length !== expectedCount) {
+    errors.push(`Expected exactly ${expectedCount} items, got ${data.items.length}`);
+  }
+
+  return { items: items.slice(0, expectedCount), errors };
+}
+
+/**
+ * Renders a digest as the plain bullet text stored in Message.content
+ * @param {Object} digest - Digest object
+ * @returns {string} - Bullet text with Source lines per item
+ */
+function formatDigestText(digest) {
+  return digest.items
+    .map((item) => {
+      const supporting = item.supportingSources?.length
+        ? `\n  Also reported by: ${item.supportingSources.join(", ")}`
+        : "";
+      return `* ${item.summary}\n  Source: ${item.sourceUrl}${supporting}`;
+    })
+    .join("\n");
+}
+
+export {
+  CATEGORIES,
+  DIGEST_SCHEMA,
+  parseJsonResponse,
+  validateDigest,
+  formatDigestText,
+};
@@ -0,0 +1,256 @@
+import fs from "fs";
+import { config } from "./config.js";
+
+// Focus areas used when a profile does not define its own
+const DEFAULT_FOCUS_AREAS = [
+  "Classroom technology implementations",
+  "Institutional EdTech solutions",
+  "Learning management systems",
+  "Educational data analytics",
+  "Teacher training technologies",
+  "Student engagement tools",
+  "Cost-effective EdTech solutions",
+  "Emerging education technologies",
+];
+
+// Built-in topic profiles. Each profile produces its own digest.
+const BUILT_IN_PROFILES = {
+  default: {
+    title: "EdTech Innovations Summary",
+    messageType: "edtech_daily_summary",
+    queries: [config.search.defaultQuery],
+  },
+  k12: {
+    title: "K-12 EdTech Briefing",
+    messageType: "edtech_k12_summary",
+    queries: [
+      "K-12 education technology classroom",
+      "school district edtech rollout",
+      "elementary school learning technology",
+    ],
+    includeKeywords: ["school", "district", "k-12", "classroom", "teacher", "student"],
+    excludeKeywords: ["university", "college admissions", "job opening"],
+    focusAreas: [
+      "Classroom technology implementations",
+      "District-wide EdTech rollouts and procurement",
+      "Teacher training and professional development",
+      "Student engagement and literacy tools",
+      "Student data privacy and device management",
+    ],
+  },
+  "higher-ed": {
+    title: "Higher Education EdTech Briefing",
+    messageType: "edtech_higher_ed_summary",
+    queries: [
+      "higher education technology university",
+      "college digital learning platform",
+      "university online learning innovation",
+    ],
+    includeKeywords: ["university", "college", "campus", "higher education", "faculty"],
+    excludeKeywords: ["job opening", "admissions deadline"],
+    focusAreas: [
+      "Learning management systems and digital courseware",
+      "Online and hybrid program delivery",
+      "Student success analytics and retention",
+      "Campus IT infrastructure and cybersecurity",
+      "Academic integrity and assessment technology",
+    ],
+  },
+  "ai-classroom": {
+    title: "AI in the Classroom Briefing",
+    messageType: "edtech_ai_classroom_summary",
+    queries: [
+      "AI in the classroom",
+      "generative AI teaching tools",
+      "AI tutoring students",
+    ],
+    includeKeywords: ["ai", "artificial intelligence", "chatbot", "machine learning", "generative"],
+    focusAreas: [
+      "AI tutoring and personalized learning",
+      "Generative AI tools for teachers",
+      "AI policies and guidance for classrooms",
+      "Assessment and academic integrity in the age of AI",
+      "Evidence of learning outcomes from AI tools",
+    ],
+  },
+  policy: {
+    title: "EdTech Policy Briefing",
+    messageType: "edtech_policy_summary",
+    queries: [
+      "education technology policy",
+      "edtech funding legislation",
+      "student data privacy law",
+    ],
+    includeKeywords: ["policy", "law", "legislation", "funding", "regulation", "department of education"],
+    focusAreas: [
+      "Federal and state EdTech funding",
+      "Student data privacy legislation",
+      "Screen time and device policies",
+      "Accessibility and digital equity mandates",
+      "Procurement and accountability rules",
+    ],
+  },
+};
+
+/**
+ * Fills in defaults for a profile definition
+ * @param {string} name - Profile name
+ * @param {Object} definition - Profile definition
+ * @returns {Object} - Complete profile
+ */
+function normalizeProfile(name, definition) {
+  const queries = definition.queries || [];
+  if (queries.length === 0) {
+    throw new Error(`Profile "${name}" has no queries`);
+  }
+
+  return {
+    name,
+    title: definition.title || `${name} EdTech Briefing`,
+    messageType: definition.messageType || `edtech_${name.replace(/\W+/g, "_")}_summary`,
+    queries,
+    includeKeywords: (definition.includeKeywords || []).map((k) => k.toLowerCase()),
+    excludeKeywords: (definition.excludeKeywords || []).map((k) => k.toLowerCase()),
+    preferredDomains: definition.preferredDomains || [],
+    blockedDomains: definition.blockedDomains || [],
+    focusAreas: definition.focusAreas || DEFAULT_FOCUS_AREAS,
+    recipients: definition.recipients || [],
+    providers: definition.providers || config.search.providers,
+    channels: definition.channels || config.delivery.channels,
+    requireApproval: definition.requireApproval ?? config.delivery.requireApproval,
+    // Daemon schedule (cron expression) and the timezone it is read in
+    schedule: definition.schedule || config.scheduler.schedule,
+    timezone: definition.timezone || config.scheduler.timezone,
+  };
+}
+
+/**
+ * Loads built-in profiles merged with those in config.profiles.filePath
+ * @returns {Object} - Profiles keyed by name
+ */
+function loadProfiles() {
+  let custom = {};
+  const { filePath } = config.profiles;
+
+  if (filePath) {
+    try {
+      custom = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not load profiles from ${filePath}: ${error.message}`);
+    }
+  }
+
+  const definitions = { ...BUILT_IN_PROFILES, ...custom };
+  return Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [
+      name,
+      normalizeProfile(name, definition),
+    ])
+  );
+}
+
+/**
+ * Resolves the profiles to run from CLI options
+ * @param {Array<string>} names - Requested profile names, or ["all"]
+ * @param {string} query - Ad-hoc query that replaces the profile queries
+ * @returns {Array<Object>} - Profiles to run
+ */
+function resolveProfiles(names, query) {
+  const profiles = loadProfiles();
+
+  if (query) {
+    return [{ ...profiles.default, queries: [query] }];
+  }
+
+  if (names.includes("all")) {
+    return Object.values(profiles);
+  }
+
+  return names.map((name) => {
+    if (!profiles[name]) {
+      throw new Error(
+        `Unknown profile "${name}". Available profiles: ${Object.keys(profiles).join(", ")}`
+      );
+    }
+    return profiles[name];
+  });
+}
+
+/**
+ * Returns the hostname of a URL without the www. prefix
+ * @param {string} url - URL to inspect
+ * @returns {string} - Hostname, or an empty string for invalid URLs
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Checks whether a hostname equals or is a subdomain of any listed domain
+ * @param {string} domain - Hostname to check
+ * @param {Array<string>} domains - Listed domains
+ * @returns {boolean} - True on match
+ */
+function matchesDomain(domain, domains) {
+  return domains.some((d) => domain === d || domain.endsWith(`.${d}`));
+}
+
+/**
+ * Checks whether text contains a keyword as a whole word or phrase,
+ * allowing plural forms
+ * @param {string} text - Lowercased text to search
+ * @param {string} keyword - Lowercased keyword
+ * @returns {boolean} - True on match
+ */
+function containsKeyword(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|\\W)${escaped}(s|es)?(\\W|$)`).test(text);
+}
+
+/**
+ * Applies a profile's keyword and domain rules to search results. Blocked
+ * domains and excluded keywords are removed, results must mention at least
+ * one include keyword (when any are set) and preferred domains sort first.
+ * @param {Array<Object>} results - Search results
+ * @param {Object} profile - Topic profile
+ * @returns {Array<Object>} - Filtered and ordered results
+ */
+function applyProfileFilters(results, profile) {
+  const filtered = results.filter((result) => {
+    const domain = getDomain(result.url);
+    if (matchesDomain(domain, profile.blockedDomains)) {
+      return false;
+    }
+
+    const text = `${result.title || ""} ${result.snippet || ""}`.toLowerCase();
+    if (profile.excludeKeywords.some((keyword) => containsKeyword(text, keyword))) {
+      return false;
+    }
+
+    return (
+      profile.includeKeywords.length === 0 ||
+      profile.includeKeywords.some((keyword) => containsKeyword(text, keyword))
+    );
+  });
+
+  // Stable sort keeps search ranking within each group
+  return filtered.sort((a, b) => {
+    const aPreferred = matchesDomain(getDomain(a.url), profile.preferredDomains);
+    const bPreferred = matchesDomain(getDomain(b.url), profile.preferredDomains);
+    return Number(bPreferred) - Number(aPreferred);
+  });
+}
+
+export {
+  loadProfiles,
+  resolveProfiles,
+  applyProfileFilters,
+  getDomain,
+  matchesDomain,
+  containsKeyword,
+  DEFAULT_FOCUS_AREAS,
+};
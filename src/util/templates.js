@@ -0,0 +1,255 @@
+import fs from "fs";
+import { config } from "./config.js";
+
+// Longest value WhatsApp accepts for a text parameter in each component
+const PARAMETER_LIMITS = {
+  header: 60,
+  body: 1024,
+};
+
+// Values filled from the digest as a whole
+const DIGEST_FIELDS = ["date", "title", "itemCount"];
+
+// Values filled from each digest item
+const ITEM_FIELDS = ["headline", "summary", "sourceUrl", "category", "keyStat"];
+
+// Fields that cannot be shortened without breaking them
+const UNTRUNCATABLE_FIELDS = ["sourceUrl"];
+
+/**
+ * Builds a built-in template definition with a number of item slots
+ * @param {number} items - Item slots
+ * @returns {Object} - Template definition
+ */
+function builtInTemplate(items) {
+  return {
+    language: "en_US",
+    items,
+    body: ["date", "items"],
+    itemParameters: ["summary", "sourceUrl"],
+  };
+}
+
+// Built-in templates. Each must be approved in WhatsApp Manager with the
+// same name, languages and parameters in this order. "items" in a component
+// expands to itemParameters for every item. The smaller sizes let short
+// digests go out without filler.
+const BUILT_IN_TEMPLATES = {
+  edtech: builtInTemplate(8),
+  edtech_5: builtInTemplate(5),
+  edtech_3: builtInTemplate(3),
+  edtech_1: builtInTemplate(1),
+};
+
+/**
+ * Fills in defaults for a parameter definition
+ * @param {string|Object} definition - Field name or { field, maxLength }
+ * @param {Array<string>} fields - Fields valid in this position
+ * @param {string} templateName - Template name, for errors
+ * @returns {Object} - { field, maxLength }
+ */
+function normalizeParameter(definition, fields, templateName) {
+  const parameter = typeof definition === "string" ? { field: definition } : definition;
+  if (!fields.includes(parameter.field)) {
+    throw new Error(
+      `Template "${templateName}" has unknown parameter "${parameter.field}". Valid parameters: ${fields.join(", ")}`
+    );
+  }
+  return { field: parameter.field, maxLength: parameter.maxLength };
+}
+
+/**
+ * Fills in defaults and validates a template definition
+ * @param {string} name - Template name as approved in WhatsApp Manager
+ * @param {Object} definition - Template definition
+ * @returns {Object} - Complete template
+ */
+function normalizeTemplate(name, definition) {
+  const items = definition.items ?? 0;
+  if (!Number.isInteger(items) || items < 0) {
+    throw new Error(`Template "${name}" must take a whole number of items`);
+  }
+
+  const language = definition.language || config.whatsapp.defaultLanguage;
+  const template = {
+    name,
+    language,
+    // Languages the template is approved in; others fall back to language
+    languages: definition.languages || [language],
+    items,
+    itemParameters: (definition.itemParameters || []).map((parameter) =>
+      normalizeParameter(parameter, ITEM_FIELDS, name)
+    ),
+  };
+
+  for (const component of Object.keys(PARAMETER_LIMITS)) {
+    template[component] = (definition[component] || []).map((parameter) =>
+      parameter === "items"
+        ? { field: "items" }
+        : normalizeParameter(parameter, DIGEST_FIELDS, name)
+    );
+  }
+
+  if (items > 0 && template.itemParameters.length === 0) {
+    throw new Error(`Template "${name}" takes items but has no itemParameters`);
+  }
+  return template;
+}
+
+/**
+ * Loads built-in templates merged with those in config.whatsapp.templatesFile,
+ * where null removes a built-in template
+ * @returns {Array<Object>} - Templates
+ */
+function loadTemplates() {
+  let custom = {};
+  const { templatesFile } = config.whatsapp;
+
+  if (templatesFile) {
+    try {
+      custom = JSON.parse(fs.readFileSync(templatesFile, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not load WhatsApp templates from ${templatesFile}: ${error.message}`);
+    }
+  }
+
+  const templates = Object.entries({ ...BUILT_IN_TEMPLATES, ...custom })
+    .filter(([, definition]) => definition !== null)
+    .map(([name, definition]) => normalizeTemplate(name, definition));
+  if (templates.length === 0) {
+    throw new Error("No WhatsApp templates are configured");
+  }
+  return templates;
+}
+
+/**
+ * Picks the template with the most item slots that the digest can fill.
+ * When every template has more slots than the digest has items, the
+ * smallest one is used and its extra slots are padded with
+ * config.whatsapp.padText, when padding is enabled.
+ * @param {number} itemCount - Items in the digest
+ * @returns {Object} - Template
+ */
+function selectTemplate(itemCount) {
+  const templates = loadTemplates();
+  const fitting = templates.filter((template) => template.items <= itemCount);
+  if (fitting.length > 0) {
+    return fitting.reduce((best, template) => (template.items > best.items ? template : best));
+  }
+
+  const sizes = templates.map((template) => `${template.name} (${template.items})`).join(", ");
+  if (!config.whatsapp.padText || itemCount === 0) {
+    throw new Error(
+      `No WhatsApp template fits a digest of ${itemCount} items. Configured templates: ${sizes}`
+    );
+  }
+
+  const smallest = templates.reduce((best, template) =>
+    template.items < best.items ? template : best
+  );
+  console.warn(
+    `No WhatsApp template has ${itemCount} or fewer item slots (${sizes}); padding ${smallest.items - itemCount} slot(s) of "${smallest.name}"`
+  );
+  return smallest;
+}
+
+/**
+ * Builds the filler item for template slots a short digest cannot fill
+ * @returns {Object} - Item with every item field set
+ */
+function paddingItem() {
+  return Object.fromEntries(
+    ITEM_FIELDS.map((field) => [
+      field,
+      field === "sourceUrl" ? config.whatsapp.padSourceText : config.whatsapp.padText,
+    ])
+  );
+}
+
+/**
+ * Makes a value acceptable as a text parameter: WhatsApp rejects newlines,
+ * tabs and runs of more than four spaces
+ * @param {*} value - Parameter value
+ * @returns {string} - Single-line text
+ */
+function cleanParameter(value) {
+  return String(value ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Shortens text to a length at a word boundary
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} - Text no longer than maxLength
+ */
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.substring(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Fills a template's parameters from a digest, shortening text that is too
+ * long. Digest items beyond the template's slots are dropped, and slots
+ * beyond the digest's items are padded (see selectTemplate).
+ * @param {Object} template - Template returned by selectTemplate
+ * @param {Object} digest - Digest object returned by summarizeAllContent
+ * @param {string} language - Language the message is sent in
+ * @returns {Object} - Parameter texts keyed by component, e.g. { header: [], body: [] }
+ */
+function fillTemplate(template, digest, language) {
+  const items = digest.items.slice(0, template.items);
+  const digestValues = {
+    date: new Date(digest.generatedAt || Date.now()).toLocaleDateString(
+      language.replace("_", "-"),
+      { weekday: "long", month: "long", day: "numeric", year: "numeric" }
+    ),
+    title: digest.title,
+    itemCount: items.length,
+  };
+  while (items.length < template.items) {
+    items.push(paddingItem());
+  }
+
+  const errors = [];
+  const format = (component, parameter, value, position) => {
+    const limit = Math.min(parameter.maxLength || Infinity, PARAMETER_LIMITS[component]);
+    let text = cleanParameter(value);
+    if (text.length > limit && !UNTRUNCATABLE_FIELDS.includes(parameter.field)) {
+      text = truncateText(text, limit);
+    }
+
+    const label = `${component} parameter ${position} (${parameter.field})`;
+    if (!text) {
+      errors.push(`${label} is empty`);
+    } else if (text.length > limit) {
+      errors.push(`${label} is ${text.length} characters, limit ${limit}`);
+    }
+    return text;
+  };
+
+  const filled = {};
+  for (const component of Object.keys(PARAMETER_LIMITS)) {
+    const values = [];
+    for (const parameter of template[component]) {
+      if (parameter.field === "items") {
+        for (const item of items) {
+          for (const itemParameter of template.itemParameters) {
+            values.push(format(component, itemParameter, item[itemParameter.field], values.length + 1));
+          }
+        }
+      } else {
+        values.push(format(component, parameter, digestValues[parameter.field], values.length + 1));
+      }
+    }
+    filled[component] = values;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid parameters for WhatsApp template "${template.name}": ${errors.join("; ")}`);
+  }
+  return filled;
+}
+
+export { selectTemplate, fillTemplate, PARAMETER_LIMITS };
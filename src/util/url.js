@@ -0,0 +1,79 @@
+// Query parameters that only carry tracking information and never change
+// which article is served
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "mkt_tok",
+  "_hsenc",
+  "_hsmi",
+  "ref",
+  "ref_src",
+  "ref_url",
+  "cmpid",
+  "ocid",
+  "share",
+  "amp",
+  "outputtype",
+]);
+
+// Host prefixes used for mobile and AMP mirrors of the same article
+const MIRROR_HOST_PREFIXES = ["www.", "m.", "mobile.", "amp."];
+
+/**
+ * Normalizes a URL so that tracking, AMP and mobile variants of the same
+ * article produce the same key
+ * @param {string} rawUrl - The URL as returned by search or scraping
+ * @returns {string} - Normalized URL, or the trimmed input if it cannot be parsed
+ */
+function normalizeUrl(rawUrl) {
+  if (!rawUrl) {
+    return "";
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(String(rawUrl).trim());
+  } catch {
+    return String(rawUrl).trim();
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return parsed.toString();
+  }
+
+  let host = parsed.hostname.toLowerCase();
+  for (const prefix of MIRROR_HOST_PREFIXES) {
+    if (host.startsWith(prefix)) {
+      host = host.substring(prefix.length);
+      break;
+    }
+  }
+
+  // Strip AMP path variants: /amp, /amp/ and article.amp.html
+  let path = parsed.pathname
+    .replace(/\/amp\/?$/i, "/")
+    .replace(/\/amp\//i, "/")
+    .replace(/\.amp\.html$/i, ".html")
+    .replace(/\/{2,}/g, "/");
+  if (path.length > 1 && path.endsWith("/")) {
+    path = path.slice(0, -1);
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => {
+      const lower = key.toLowerCase();
+      return !lower.startsWith("utm_") && !TRACKING_PARAMS.has(lower);
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const port = parsed.port ? `:${parsed.port}` : "";
+  const query = new URLSearchParams(params).toString();
+  return `https://${host}${port}${path}${query ? `?${query}` : ""}`;
+}
+
+export { normalizeUrl };
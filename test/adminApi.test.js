@@ -0,0 +1,244 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+
+const TOKEN = "test-token";
+
+// Config is read at import time, so point every store at a scratch directory first
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "admin-api-"));
+process.env.RUNS_DIR = path.join(dir, "runs");
+process.env.AUDIENCE_FILE = path.join(dir, "recipients.json");
+process.env.DEDUP_FILE = path.join(dir, "processed_urls.json");
+process.env.CACHE_DIR = path.join(dir, "cache");
+process.env.PREVIEW_DIR = path.join(dir, "previews");
+process.env.SCHEDULER_DIR = path.join(dir, "scheduler");
+process.env.SEARCH_PROVIDERS = "fixture";
+
+const { createAdminServer } = await import("../src/services/adminApi.js");
+const { config } = await import("../src/util/config.js");
+const { default: mongoose } = await import("mongoose");
+const { default: Message } = await import("../src/models/Message.js");
+
+let server;
+let baseUrl;
+let port;
+
+/**
+ * Sends a request to the admin API
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path and query
+ * @param {Object} options - { body, token, rawBody }
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+async function request(method, urlPath, { body, token = TOKEN, rawBody } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined || rawBody !== undefined) headers["Content-Type"] = "application/json";
+
+  const res = await fetch(baseUrl + urlPath, {
+    method,
+    headers,
+    body: rawBody ?? (body === undefined ? undefined : JSON.stringify(body)),
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+before(async () => {
+  server = createAdminServer({ port: 0, host: "127.0.0.1", token: TOKEN });
+  ({ port } = await server.start());
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  await server.stop();
+  await server.idle();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("createAdminServer refuses to start without a token", () => {
+  assert.throws(() => createAdminServer({ token: "" }), /ADMIN_API_TOKEN/);
+});
+
+test("GET /health needs no token", async () => {
+  const res = await request("GET", "/health", { token: null });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { status: "ok" });
+});
+
+test("requests without a valid bearer token are rejected", async () => {
+  for (const token of [null, "wrong-token"]) {
+    const res = await request("GET", "/runs", { token });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get("www-authenticate"), "Bearer");
+  }
+});
+
+test("unknown paths answer 404 and wrong methods 405 with Allow", async () => {
+  const missing = await request("GET", "/nope");
+  assert.equal(missing.status, 404);
+
+  const wrongMethod = await request("DELETE", "/runs");
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.headers.get("allow"), "GET, POST");
+});
+
+test("a request URL that cannot be parsed answers 400", async () => {
+  const response = await new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => {
+      socket.end(`GET //[bad HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let data = "";
+    socket.on("data", (chunk) => (data += chunk));
+    socket.on("end", () => resolve(data));
+    socket.on("error", reject);
+  });
+  assert.match(response, /^HTTP\/1\.1 400 /);
+});
+
+test("invalid request bodies and parameters answer 400", async () => {
+  const badJson = await request("POST", "/runs", { rawBody: "{not json" });
+  assert.equal(badJson.status, 400);
+  assert.match(badJson.body.error, /Invalid JSON body/);
+
+  const notObject = await request("POST", "/runs", { rawBody: "[1, 2]" });
+  assert.equal(notObject.status, 400);
+
+  const badLimit = await request("GET", "/runs?limit=0");
+  assert.equal(badLimit.status, 400);
+
+  const badStage = await request("POST", "/runs", { body: { stages: "bake" } });
+  assert.equal(badStage.status, 400);
+
+  const badProfile = await request("POST", "/runs", {
+    body: { profiles: "no-such-profile", dryRun: true },
+  });
+  assert.equal(badProfile.status, 400);
+
+  const badEncoding = await request("DELETE", "/recipients/%E0%A4%A");
+  assert.equal(badEncoding.status, 400);
+});
+
+test("POST /runs starts a run that GET /runs/:id reports", async () => {
+  const started = await request("POST", "/runs", { body: { stages: "search", dryRun: true } });
+  assert.equal(started.status, 202);
+  assert.ok(started.body.runId);
+
+  await server.idle();
+  const run = await request("GET", `/runs/${started.body.runId}`);
+  assert.equal(run.status, 200);
+  assert.equal(run.body.runId, started.body.runId);
+  assert.notEqual(run.body.status, "running");
+
+  const list = await request("GET", "/runs?limit=5");
+  assert.equal(list.status, 200);
+  assert.equal(list.body.activeRunId, null);
+  assert.ok(list.body.runs.some((candidate) => candidate.runId === started.body.runId));
+
+  const missing = await request("GET", "/runs/no-such-run");
+  assert.equal(missing.status, 404);
+});
+
+test("recipients can be added, updated and removed", async () => {
+  const invalid = await request("POST", "/recipients", { body: { phone: "123" } });
+  assert.equal(invalid.status, 400);
+
+  const created = await request("POST", "/recipients", {
+    body: { phone: "+1 (555) 010-9999", name: "Ada" },
+  });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.phone, "15550109999");
+  assert.equal(created.body.status, "opted_in");
+
+  const updated = await request("PATCH", "/recipients/15550109999", {
+    body: { name: "Ada", status: "opted_out" },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.status, "opted_out");
+
+  const invalidStatus = await request("PATCH", "/recipients/15550109999", {
+    body: { status: "maybe" },
+  });
+  assert.equal(invalidStatus.status, 400);
+
+  const optedOut = await request("GET", "/recipients?status=opted_out");
+  assert.deepEqual(
+    optedOut.body.map((recipient) => recipient.phone),
+    ["15550109999"]
+  );
+
+  const unknown = await request("PATCH", "/recipients/15550100000", { body: { name: "Bob" } });
+  assert.equal(unknown.status, 404);
+
+  const removed = await request("DELETE", "/recipients/15550109999");
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body, { removed: "15550109999" });
+
+  const removedAgain = await request("DELETE", "/recipients/15550109999");
+  assert.equal(removedAgain.status, 404);
+});
+
+test("recipients need a string name, a language code and known profiles", async () => {
+  const phone = "15550108888";
+  const cases = [
+    [{ phone, profiles: "default" }, /must be an array of profile names/],
+    [{ phone, profiles: ["default", 3] }, /must be an array of profile names/],
+    [{ phone, profiles: ["no-such-profile"] }, /Unknown profile "no-such-profile"/],
+    [{ phone, name: { first: "Ada" } }, /Invalid name/],
+    [{ phone, language: "English" }, /Invalid language "English"/],
+    [{ phone, language: 7 }, /Invalid language 7/],
+  ];
+  for (const [body, error] of cases) {
+    const response = await request("POST", "/recipients", { body });
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, error);
+  }
+
+  const created = await request("POST", "/recipients", {
+    body: { phone, name: "Ada", language: "pt_BR", profiles: ["k12"] },
+  });
+  assert.equal(created.status, 200);
+  assert.deepEqual(created.body.profiles, ["k12"]);
+
+  const removed = await request("DELETE", `/recipients/${phone}`);
+  assert.equal(removed.status, 200);
+});
+
+test("concurrent approvals of a digest start a single delivery", async (t) => {
+  // A dry run to resume, so the delivery sends nothing
+  const source = await request("POST", "/runs", { body: { stages: "search", dryRun: true } });
+  await server.idle();
+
+  const id = "0123456789abcdef01234567";
+  const digest = {
+    _id: id,
+    messageType: "edtech_daily_summary",
+    status: "awaiting_approval",
+    metadata: { runId: source.body.runId },
+  };
+  config.mongodb.uri = "mongodb://127.0.0.1/test";
+  t.after(() => mock.restoreAll());
+  mock.method(mongoose, "connect", async () => {});
+  mock.method(Message, "findById", () => ({ lean: async () => ({ ...digest }) }));
+  const findOneAndUpdate = mock.method(Message, "findOneAndUpdate", (filter, { $set }) => ({
+    lean: () =>
+      new Promise((resolve) => setTimeout(() => resolve({ ...digest, ...$set }), 20)),
+  }));
+
+  const badApprover = await request("POST", `/digests/${id}/approve`, { body: { approvedBy: 5 } });
+  assert.equal(badApprover.status, 400);
+
+  const responses = await Promise.all([
+    request("POST", `/digests/${id}/approve`, { body: { approvedBy: "ada" } }),
+    request("POST", `/digests/${id}/approve`, { body: { approvedBy: "bob" } }),
+  ]);
+  await server.idle();
+
+  assert.deepEqual(responses.map((response) => response.status).sort(), [202, 409]);
+  assert.equal(findOneAndUpdate.mock.callCount(), 1);
+  const started = responses.find((response) => response.status === 202);
+  assert.equal(started.body.run.runId, source.body.runId);
+});
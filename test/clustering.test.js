@@ -0,0 +1,69 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../src/util/config.js";
+import { clusterArticles, attachSupportingSources } from "../src/services/clustering.js";
+
+const announcement =
+  "The state board approved a plan on Tuesday to give every middle school a shared set of laptops, replacing carts that teachers had to reserve weeks ahead. District leaders said the devices will arrive before the spring term, and that teachers will get two training days on the new classroom management software.";
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+  config.clustering.enabled = true;
+  config.clustering.threshold = 0.3;
+});
+
+/**
+ * Builds an article
+ * @param {string} url - Article URL
+ * @param {string} content - Article text
+ * @param {string} title - Article title
+ * @returns {Object} - Article
+ */
+function article(url, content, title = "Laptops for every middle school") {
+  return { url, title, content };
+}
+
+const articles = [
+  article("https://first.example.com/laptops", announcement),
+  article("https://tutoring.example.com/story", "Riverside district launched an online tutoring program for high school students this fall, pairing each student with a university tutor twice a week.", "Online tutoring in Riverside"),
+  article("https://second.example.org/laptops", `${announcement} Parents raised concerns about screen time at the hearing.`),
+  article("https://third.example.net/laptops", `Reporting by our education desk. ${announcement}`, "Board backs laptop plan"),
+];
+
+test("clusterArticles keeps the best ranked article of each story", () => {
+  const { representatives, clusters } = clusterArticles(articles);
+
+  assert.deepEqual(clusters.map((cluster) => cluster.length), [3, 1]);
+  assert.deepEqual(
+    representatives.map((representative) => [representative.url, representative.supportingSources]),
+    [
+      ["https://first.example.com/laptops", ["https://second.example.org/laptops", "https://third.example.net/laptops"]],
+      ["https://tutoring.example.com/story", []],
+    ]
+  );
+});
+
+test("clusterArticles leaves every article on its own when disabled", () => {
+  config.clustering.enabled = false;
+
+  const { representatives, clusters } = clusterArticles(articles);
+
+  assert.equal(clusters.length, articles.length);
+  assert.ok(representatives.every((representative) => representative.supportingSources.length === 0));
+});
+
+test("attachSupportingSources copies supporting sources onto the items that cite them", () => {
+  const { representatives } = clusterArticles(articles);
+  const digest = {
+    items: [
+      { headline: "Laptops", sourceUrl: "https://first.example.com/laptops" },
+      { headline: "Unclustered", sourceUrl: "https://elsewhere.example.com/" },
+    ],
+  };
+
+  const { items } = attachSupportingSources(digest, representatives);
+
+  assert.deepEqual(items[0].supportingSources, ["https://second.example.org/laptops", "https://third.example.net/laptops"]);
+  assert.deepEqual(items[1].supportingSources, []);
+});
@@ -0,0 +1,84 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+const originalEnv = { ...process.env };
+let imports = 0;
+
+afterEach(() => {
+  process.env = { ...originalEnv };
+});
+
+/**
+ * Imports a fresh copy of the config module with extra environment variables
+ * @param {Object} env - Environment variables to set
+ * @returns {Promise<Object>} - Config module exports
+ */
+async function loadConfig(env) {
+  Object.assign(process.env, env);
+  return import(`../src/util/config.js?load=${++imports}`);
+}
+
+test("SCORING_WEIGHTS is parsed into weights per component", async () => {
+  const { config, checkConfig } = await loadConfig({
+    SCORING_WEIGHTS: "relevance=0.5, recency=0.5, reputation=0",
+  });
+
+  assert.doesNotThrow(checkConfig);
+  assert.deepEqual(config.scoring.weights, { relevance: 0.5, recency: 0.5, reputation: 0 });
+});
+
+test("invalid SCORING_WEIGHTS are reported by checkConfig, not on import", async () => {
+  const { config, checkConfig } = await loadConfig({
+    SCORING_WEIGHTS: "relevance=abc,freshness=1,length=-1",
+  });
+
+  assert.throws(checkConfig, (error) => {
+    assert.match(error.message, /^Invalid configuration:/);
+    assert.match(error.message, /"relevance=abc" is not a number of 0 or more/);
+    assert.match(error.message, /unknown component "freshness"/);
+    assert.match(error.message, /"length=-1" is not a number of 0 or more/);
+    return true;
+  });
+  // The defaults stand in until the process exits
+  assert.equal(config.scoring.weights.relevance, 0.4);
+});
+
+test("SCORING_WEIGHTS needs a weight above 0", async () => {
+  const { checkConfig } = await loadConfig({ SCORING_WEIGHTS: "relevance=0,length=0" });
+
+  assert.throws(checkConfig, /at least one weight must be above 0/);
+});
+
+test("numeric settings are read from the environment", async () => {
+  const { config, checkConfig } = await loadConfig({
+    SCRAPE_CONCURRENCY: "5",
+    CRAWLER_MIN_DELAY_MS: "0",
+    SCORING_MIN_SCORE: "0.25",
+    SCHEDULE_CATCH_UP_HOURS: "",
+  });
+
+  assert.doesNotThrow(checkConfig);
+  assert.equal(config.scraper.concurrency, 5);
+  assert.equal(config.crawler.minDelayMs, 0);
+  assert.equal(config.scoring.minScore, 0.25);
+  assert.equal(config.scheduler.catchUpHours, 12);
+});
+
+test("numeric settings that are not numbers in range are reported", async () => {
+  const { config, checkConfig } = await loadConfig({
+    SCRAPE_CONCURRENCY: "three",
+    LLM_TIMEOUT_MS: "-1",
+    WHATSAPP_MAX_RETRIES: "2.5",
+    SCHEDULE_CATCH_UP_HOURS: "12h",
+  });
+
+  assert.throws(checkConfig, (error) => {
+    assert.match(error.message, /SCRAPE_CONCURRENCY: "three" is not a whole number of 1 or more/);
+    assert.match(error.message, /LLM_TIMEOUT_MS: "-1" is not a number of 1 or more/);
+    assert.match(error.message, /WHATSAPP_MAX_RETRIES: "2.5" is not a whole number of 0 or more/);
+    assert.match(error.message, /SCHEDULE_CATCH_UP_HOURS: "12h" is not a number of 0 or more/);
+    return true;
+  });
+  assert.equal(config.scraper.concurrency, 3);
+  assert.equal(config.scheduler.catchUpHours, 12);
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CATEGORIES, parseJsonResponse, validateDigest, formatDigestText } from "../src/util/digest.js";
+
+const urls = ["https://example.com/laptops", "https://example.com/tutoring"];
+
+const summary =
+  "The state board approved a plan giving every middle school a shared set of laptops, replacing carts teachers reserved weeks ahead, with two training days on classroom software before the spring term begins.";
+
+/**
+ * Builds a valid digest item
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Digest item as the model returns it
+ */
+function itemWith(fields = {}) {
+  return {
+    headline: "Laptops for every middle school",
+    summary,
+    sourceUrl: urls[0],
+    category: "institutional",
+    keyStat: " 12,000 devices ",
+    confidence: 0.9,
+    ...fields,
+  };
+}
+
+test("parseJsonResponse accepts code fences and text around the object", () => {
+  assert.deepEqual(parseJsonResponse('```json\n{"items": []}\n```'), { items: [] });
+  assert.deepEqual(parseJsonResponse('Here is the digest: {"items": [1]} Hope it helps'), { items: [1] });
+  assert.throws(() => parseJsonResponse("No JSON here"), /Response is not valid JSON/);
+});
+
+test("validateDigest keeps valid items with trimmed fields", () => {
+  const { items, errors } = validateDigest(
+    { items: [itemWith(), itemWith({ sourceUrl: urls[1], keyStat: null, confidence: "0.5" })] },
+    urls,
+    2
+  );
+
+  assert.deepEqual(errors, []);
+  assert.equal(items[0].keyStat, "12,000 devices");
+  assert.equal(items[1].keyStat, null);
+  assert.equal(items[1].confidence, 0.5);
+});
+
+test("validateDigest reports each invalid field and leaves the item out", () => {
+  const { items, errors } = validateDigest(
+    {
+      items: [
+        itemWith({
+          headline: "x".repeat(101),
+          summary: "Too short",
+          sourceUrl: "https://example.com/invented",
+          category: "gossip",
+          keyStat: 12,
+          confidence: 2,
+        }),
+        "not an item",
+      ],
+    },
+    urls,
+    2
+  );
+
+  assert.deepEqual(items, []);
+  assert.deepEqual(errors, [
+    "items[0]: headline must be at most 100 characters",
+    "items[0]: summary must be 30-50 words (got 2)",
+    'items[0]: sourceUrl "https://example.com/invented" is not one of the SOURCE URLs',
+    `items[0]: category must be one of: ${CATEGORIES.join(", ")}`,
+    "items[0]: keyStat must be a string or null",
+    "items[0]: confidence must be a number between 0 and 1",
+    "items[1] must be an object",
+  ]);
+});
+
+test("validateDigest rejects a source used twice and the wrong item count", () => {
+  const { items, errors } = validateDigest({ items: [itemWith(), itemWith(), itemWith()] }, urls, 2);
+
+  assert.equal(items.length, 1);
+  assert.deepEqual(errors, [
+    `items[1]: sourceUrl "${urls[0]}" is already used by another item`,
+    `items[2]: sourceUrl "${urls[0]}" is already used by another item`,
+    "Expected exactly 2 items, got 3",
+  ]);
+});
+
+test("validateDigest needs an items array", () => {
+  assert.deepEqual(validateDigest({ bullets: [] }, urls, 2), {
+    items: [],
+    errors: ['Top-level object must have an "items" array'],
+  });
+});
+
+test("formatDigestText renders bullets with their sources", () => {
+  const text = formatDigestText({
+    items: [
+      { summary: "First story.", sourceUrl: urls[0], supportingSources: ["https://news.example.org/a"] },
+      { summary: "Second story.", sourceUrl: urls[1] },
+    ],
+  });
+
+  assert.equal(
+    text,
+    `* First story.\n  Source: ${urls[0]}\n  Also reported by: https://news.example.org/a\n* Second story.\n  Source: ${urls[1]}`
+  );
+});
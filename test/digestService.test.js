@@ -0,0 +1,225 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Message from "../src/models/Message.js";
+import { saveDigest, recordDeliveryResult, toDigestDate } from "../src/services/digestService.js";
+
+// In-memory stand-in for the messages collection
+let messages = [];
+let nextId = 1;
+
+/**
+ * Checks a message against a query of exact field matches
+ * @param {Object} message - Stored message
+ * @param {Object} filter - Field paths and expected values
+ * @returns {boolean} - Whether every field matches
+ */
+function matches(message, filter) {
+  return Object.entries(filter).every(
+    ([field, value]) => field.split(".").reduce((object, key) => object?.[key], message) === value
+  );
+}
+
+/**
+ * Applies a $set/$unset or plain field update to a stored message
+ * @param {Object} message - Stored message
+ * @param {Object} update - Update document
+ */
+function applyUpdate(message, update) {
+  const { $set, $unset, ...fields } = update;
+  Object.assign(message, $set, fields);
+  for (const field of Object.keys($unset || {})) delete message[field];
+}
+
+beforeEach(() => {
+  messages = [];
+  nextId = 1;
+  mock.restoreAll();
+  mock.method(Message, "syncIndexes", async () => {});
+  mock.method(Message, "findOne", (filter) => {
+    const query = {
+      sort: () => query,
+      lean: async () => {
+        const found = messages
+          .filter((message) => matches(message, filter))
+          .sort((a, b) => b.revision - a.revision)[0];
+        return found ? structuredClone(found) : null;
+      },
+    };
+    return query;
+  });
+  mock.method(Message, "findById", (id) => ({
+    lean: async () => structuredClone(messages.find((message) => message._id === id) ?? null),
+  }));
+  mock.method(Message, "create", async (fields) => {
+    const message = { _id: `m${nextId++}`, deliveries: [], ...structuredClone(fields) };
+    messages.push(message);
+    return structuredClone(message);
+  });
+  mock.method(Message, "findByIdAndUpdate", async (id, update) => {
+    const message = messages.find((candidate) => candidate._id === id);
+    applyUpdate(message, structuredClone(update));
+    return structuredClone(message);
+  });
+});
+
+/**
+ * Builds a digest with one item per summary
+ * @param {...string} summaries - Item summaries
+ * @returns {Object} - Digest
+ */
+function digestOf(...summaries) {
+  return {
+    title: "EdTech Daily",
+    items: summaries.map((summary, index) => ({
+      headline: `Story ${index + 1}`,
+      summary,
+      sourceUrl: `https://example.com/${index + 1}`,
+    })),
+    sources: [],
+    generatedAt: new Date("2026-01-01T08:00:00Z"),
+  };
+}
+
+test("saveDigest saves a new digest as revision 1 of today", async () => {
+  const message = await saveDigest(digestOf("First story"), { runId: "run-1" });
+
+  assert.equal(message.revision, 1);
+  assert.equal(message.digestDate, toDigestDate());
+  assert.equal(message.status, "pending");
+  assert.equal(message.metadata.runId, "run-1");
+  assert.equal(messages.length, 1);
+});
+
+test("saveDigest replaces a digest nobody has received", async () => {
+  const first = await saveDigest(digestOf("First story"), { runId: "run-1" });
+  messages[0].approvedBy = "editor";
+  messages[0].deliveries = [{ channel: "whatsapp", recipient: "111", status: "failed" }];
+
+  const rerun = await saveDigest(digestOf("Rewritten story"), { runId: "run-2" });
+
+  assert.equal(messages.length, 1);
+  assert.equal(rerun._id, first._id);
+  assert.equal(rerun.revision, 1);
+  assert.match(rerun.content, /Rewritten story/);
+  // Changed content needs approving again and is sent to everyone
+  assert.equal(rerun.approvedBy, undefined);
+  assert.deepEqual(rerun.deliveries, []);
+});
+
+test("saveDigest keeps earlier deliveries when an unsent digest is unchanged", async () => {
+  await saveDigest(digestOf("First story"), { runId: "run-1" });
+  messages[0].approvedBy = "editor";
+  messages[0].deliveries = [{ channel: "whatsapp", recipient: "111", status: "failed" }];
+
+  const retry = await saveDigest(digestOf("First story"), { runId: "run-1" });
+
+  assert.equal(retry.approvedBy, "editor");
+  assert.deepEqual(retry.deliveries, [{ channel: "whatsapp", recipient: "111", status: "failed" }]);
+});
+
+test("saveDigest leaves a sent digest untouched when the content is unchanged", async () => {
+  await saveDigest(digestOf("First story"), { runId: "run-1" });
+  messages[0].status = "partially_sent";
+  messages[0].deliveries = [{ channel: "whatsapp", recipient: "111", status: "sent" }];
+  const findByIdAndUpdate = Message.findByIdAndUpdate.mock;
+
+  const retry = await saveDigest(digestOf("First story"), { runId: "run-1" });
+
+  assert.equal(retry._id, "m1");
+  assert.equal(retry.status, "partially_sent");
+  assert.equal(findByIdAndUpdate.callCount(), 0);
+  assert.equal(messages.length, 1);
+});
+
+test("saveDigest saves changed content of a sent digest as a new revision", async () => {
+  await saveDigest(digestOf("First story"), { runId: "run-1" });
+  messages[0].deliveries = [{ channel: "whatsapp", recipient: "111", status: "sent" }];
+
+  const revised = await saveDigest(digestOf("Corrected story"), { runId: "run-2" });
+
+  assert.equal(messages.length, 2);
+  assert.equal(revised.revision, 2);
+  assert.equal(revised.digestDate, messages[0].digestDate);
+  assert.match(messages[0].content, /First story/);
+  assert.deepEqual(messages[0].deliveries, [{ channel: "whatsapp", recipient: "111", status: "sent" }]);
+});
+
+test("saveDigest updates the digest its run saved on an earlier day", async () => {
+  messages.push({
+    _id: "m9",
+    messageType: "edtech_daily_summary",
+    digestDate: "2000-01-01",
+    revision: 1,
+    content: "* Old story\n  Source: https://example.com/1",
+    status: "pending",
+    deliveries: [],
+    metadata: { runId: "run-old" },
+  });
+
+  const resumed = await saveDigest(digestOf("Old story"), { runId: "run-old" });
+
+  assert.equal(resumed._id, "m9");
+  assert.equal(resumed.digestDate, "2000-01-01");
+  assert.equal(messages.length, 1);
+});
+
+test("recordDeliveryResult merges retries into earlier deliveries", async () => {
+  const { _id } = await saveDigest(digestOf("First story"));
+
+  const partial = await recordDeliveryResult(_id, {
+    status: "partially_sent",
+    results: [
+      { recipient: "111", status: "sent", messageId: "wamid.1" },
+      { recipient: "222", status: "failed", error: "rate limited" },
+      { channel: "email", recipient: "a@example.com", status: "sent" },
+    ],
+  });
+  assert.equal(partial.status, "partially_sent");
+  assert.equal(partial.error, "1 of 3 recipient(s) failed");
+  assert.equal(partial.deliveries.length, 3);
+
+  // The retry only sends to the recipient that failed
+  const complete = await recordDeliveryResult(_id, {
+    status: "sent",
+    results: [{ recipient: "222", status: "sent", messageId: "wamid.2" }],
+  });
+  assert.equal(complete.status, "sent");
+  assert.deepEqual(
+    complete.deliveries.map((delivery) => `${delivery.channel}:${delivery.recipient}:${delivery.status}`),
+    ["whatsapp:111:sent", "whatsapp:222:sent", "email:a@example.com:sent"]
+  );
+});
+
+test("recordDeliveryResult marks a digest failed when nothing was sent", async () => {
+  const { _id } = await saveDigest(digestOf("First story"));
+
+  const failed = await recordDeliveryResult(_id, {
+    status: "failed",
+    error: "token expired",
+    results: [{ recipient: "111", status: "failed", error: "token expired" }],
+  });
+
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "token expired");
+  assert.equal(failed.sentAt, undefined);
+});
+
+test("recordDeliveryResult keeps a digest partially sent when a retry fails", async () => {
+  const { _id } = await saveDigest(digestOf("First story"));
+  await recordDeliveryResult(_id, {
+    status: "partially_sent",
+    results: [
+      { recipient: "111", status: "sent" },
+      { recipient: "222", status: "failed" },
+    ],
+  });
+
+  const retried = await recordDeliveryResult(_id, {
+    status: "failed",
+    error: "rate limited",
+    results: [{ recipient: "222", status: "failed", error: "rate limited" }],
+  });
+
+  assert.equal(retried.status, "partially_sent");
+  assert.equal(retried.error, "rate limited");
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractArticle } from "../src/services/extractor.js";
+
+const paragraphs = [
+  "The state board approved a plan on Tuesday to give every middle school a shared set of laptops, replacing carts that teachers had to reserve weeks ahead.",
+  "District leaders said the devices will arrive before the spring term, and that teachers will get two training days on the new classroom management software.",
+  "Parents raised concerns about screen time at the public hearing, and the board agreed to publish guidance on how many hours a day students use the devices.",
+  "The plan is funded by a one-time federal grant, so the board will have to find money in its own budget when the laptops need replacing in four years.",
+];
+
+/**
+ * Wraps body HTML in a page
+ * @param {string} body - Body HTML
+ * @param {string} head - Head HTML
+ * @returns {string} - Page HTML
+ */
+function page(body, head = "") {
+  return `<!DOCTYPE html><html><head><title>Laptops for every middle school</title>${head}</head><body>${body}</body></html>`;
+}
+
+const articleParagraphs = paragraphs.map((text) => `<p>${text}</p>`).join("\n");
+
+test("extractArticle keeps the article and drops navigation, ads and signup forms", () => {
+  const html = page(`
+    <nav><a href="/">Home</a><a href="/news">News</a></nav>
+    <form action="/search"><input name="q"><button>Search</button></form>
+    <article>
+      <h1>Laptops for every middle school</h1>
+      ${articleParagraphs}
+      <div class="ad-slot">Buy one get one free on school supplies</div>
+    </article>
+    <div class="newsletter"><form><p>Sign up for our weekly newsletter</p><input name="email"></form></div>
+    <footer>Copyright Example News</footer>
+  `);
+
+  const { text } = extractArticle(html, "https://example.com/laptops");
+
+  assert.match(text, /^## Laptops for every middle school/);
+  for (const paragraph of paragraphs) assert.ok(text.includes(paragraph));
+  assert.doesNotMatch(text, /Buy one get one free|Sign up|Copyright|Search/);
+});
+
+test("extractArticle reads pages wrapped in a single WebForms form", () => {
+  const html = page(`
+    <form method="post" action="./article.aspx" id="aspnetForm">
+      <input type="hidden" name="__VIEWSTATE" value="abc">
+      <div id="main-content">${articleParagraphs}</div>
+    </form>
+  `);
+
+  const { text } = extractArticle(html, "https://example.com/article.aspx");
+
+  for (const paragraph of paragraphs) assert.ok(text.includes(paragraph));
+});
+
+test("extractArticle keeps lead paragraphs and read-more links whose classes contain ad-", () => {
+  const html = page(`
+    <article>
+      <p class="lead-paragraph">${paragraphs[0]}</p>
+      <div class="thread-body">${paragraphs.slice(1).map((text) => `<p>${text}</p>`).join("")}</div>
+      <p><a class="read-more" href="/more">Read more about the laptop plan</a></p>
+    </article>
+  `);
+
+  const { text } = extractArticle(html, "https://example.com/laptops");
+
+  for (const paragraph of paragraphs) assert.ok(text.includes(paragraph));
+  assert.match(text, /Read more about the laptop plan/);
+});
+
+test("extractArticle scores paragraphs when the page has no semantic container", () => {
+  const html = page(`
+    <div class="menu">${"<a href='/x'>Section</a>".repeat(20)}</div>
+    <div class="story-body">${articleParagraphs}</div>
+    <div class="related">Five other stories about laptops you might like to read</div>
+  `);
+
+  const { text } = extractArticle(html, "https://example.com/laptops");
+
+  assert.equal(text, paragraphs.join("\n\n"));
+});
+
+test("extractArticle reads metadata from JSON-LD, Open Graph and meta tags", () => {
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@graph": [
+      { "@type": "WebSite", name: "Example News" },
+      {
+        "@type": "NewsArticle",
+        headline: "Laptops for every middle school",
+        datePublished: "2026-01-05T08:00:00Z",
+        author: [{ "@type": "Person", name: "Jordan Lee" }],
+        image: { "@type": "ImageObject", url: "/images/laptops.jpg" },
+      },
+    ],
+  };
+  const html = page(
+    `<article>${articleParagraphs}</article>`,
+    `<script type="application/ld+json">${JSON.stringify(jsonLd)}</script>
+     <meta property="og:site_name" content="Example News">
+     <meta name="description" content="The board approved laptops for middle schools.">
+     <link rel="canonical" href="/news/laptops">`
+  );
+
+  const { metadata } = extractArticle(html, "https://example.com/news/laptops?utm_source=x");
+
+  assert.deepEqual(metadata, {
+    title: "Laptops for every middle school",
+    author: "Jordan Lee",
+    publishedAt: "2026-01-05T08:00:00Z",
+    canonicalUrl: "https://example.com/news/laptops",
+    siteName: "Example News",
+    leadImage: "https://example.com/images/laptops.jpg",
+    description: "The board approved laptops for middle schools.",
+  });
+});
+
+test("extractArticle prefers a JSON-LD article body longer than the page text", () => {
+  const jsonLd = { "@type": "Article", articleBody: paragraphs.join(" ") };
+  const html = page(
+    `<article><p>${paragraphs[0]}</p></article>`,
+    `<script type="application/ld+json">${JSON.stringify(jsonLd)}</script>`
+  );
+
+  const { text } = extractArticle(html, "https://example.com/laptops");
+
+  assert.equal(text, paragraphs.join(" "));
+});
@@ -0,0 +1,149 @@
+import { test, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { config } from "../src/util/config.js";
+import { parseFeed, fetchFeed, splitByFeedContent } from "../src/services/feeds.js";
+
+// The feed cache is loaded once per process, so point it at a scratch file first
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "feeds-"));
+config.feeds.cacheFile = path.join(dir, "feed_cache.json");
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const body = "<p>The board approved laptops for every middle school.</p><p>Training starts in <b>March</b>.</p>";
+
+const rss = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Example News</title>
+    <item>
+      <title>Laptops &amp; tablets</title>
+      <link>https://example.com/laptops</link>
+      <description><![CDATA[<p>Every middle school gets laptops.</p>]]></description>
+      <content:encoded><![CDATA[${body}]]></content:encoded>
+      <pubDate>Mon, 05 Jan 2026 12:00:00 GMT</pubDate>
+      <dc:creator>Jordan Lee</dc:creator>
+    </item>
+    <item>
+      <guid isPermaLink="true">https://example.com/guid-only</guid>
+      <description>No title here</description>
+    </item>
+    <item><title>No link at all</title></item>
+  </channel>
+</rss>`;
+
+const atom = `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example Blog</title>
+  <entry>
+    <title>Atom story</title>
+    <link rel="edit" href="https://example.com/edit/1"/>
+    <link rel="alternate" href="https://example.com/atom-story"/>
+    <summary>A short summary</summary>
+    <content type="html">${body.replace(/</g, "&lt;").replace(/>/g, "&gt;")}</content>
+    <updated>2026-01-05T12:00:00Z</updated>
+    <author><name>Sam Park</name></author>
+  </entry>
+</feed>`;
+
+test("parseFeed reads RSS items with their full content", () => {
+  const [item, guidOnly, ...rest] = parseFeed(rss);
+
+  assert.equal(rest.length, 0);
+  assert.deepEqual(item, {
+    title: "Laptops & tablets",
+    url: "https://example.com/laptops",
+    snippet: "Every middle school gets laptops.",
+    date: "2026-01-05T12:00:00.000Z",
+    author: "Jordan Lee",
+    content: "The board approved laptops for every middle school.\nTraining starts in March.",
+  });
+  assert.equal(guidOnly.url, "https://example.com/guid-only");
+  assert.equal(guidOnly.title, "https://example.com/guid-only");
+  assert.equal(guidOnly.content, "");
+});
+
+test("parseFeed reads Atom entries from their alternate link", () => {
+  const [entry] = parseFeed(atom);
+
+  assert.equal(entry.title, "Atom story");
+  assert.equal(entry.url, "https://example.com/atom-story");
+  assert.equal(entry.snippet, "A short summary");
+  assert.equal(entry.date, "2026-01-05T12:00:00.000Z");
+  assert.equal(entry.author, "Sam Park");
+  assert.equal(entry.content, "The board approved laptops for every middle school.\nTraining starts in March.");
+});
+
+test("parseFeed reads JSON Feed items from text or an object", () => {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    items: [
+      { url: "https://example.com/html", title: "HTML item", content_html: body, authors: [{ name: "Ana" }] },
+      { external_url: "https://example.com/text", content_text: "  Plain text body  " },
+    ],
+  };
+
+  const [html, text] = parseFeed(JSON.stringify(feed));
+  assert.equal(html.content, "The board approved laptops for every middle school.\nTraining starts in March.");
+  assert.equal(html.author, "Ana");
+  assert.equal(text.url, "https://example.com/text");
+  assert.equal(text.snippet, "Plain text body");
+  assert.deepEqual(parseFeed(feed), [html, text]);
+});
+
+test("fetchFeed sends the validators of the last fetch and reuses items on 304", async () => {
+  const feedUrl = "https://example.com/feed.xml";
+  const get = mock.method(axios, "get", async () => ({
+    status: 200,
+    data: rss,
+    headers: { etag: '"v1"', "last-modified": "Mon, 05 Jan 2026 12:00:00 GMT" },
+  }));
+  const items = await fetchFeed(feedUrl);
+  assert.equal(items.length, 2);
+  assert.equal(get.mock.calls[0].arguments[1].headers["If-None-Match"], undefined);
+
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+  const conditional = mock.method(axios, "get", async () => ({ status: 304, data: "", headers: {} }));
+  assert.deepEqual(await fetchFeed(feedUrl), items);
+
+  const { headers } = conditional.mock.calls[0].arguments[1];
+  assert.equal(headers["If-None-Match"], '"v1"');
+  assert.equal(headers["If-Modified-Since"], "Mon, 05 Jan 2026 12:00:00 GMT");
+  const saved = JSON.parse(await fs.readFile(config.feeds.cacheFile, "utf8"));
+  assert.equal(saved[feedUrl].etag, '"v1"');
+});
+
+test("fetchFeed leaves the cache alone on dry runs", async () => {
+  mock.method(axios, "get", async () => ({ status: 200, data: atom, headers: { etag: '"a1"' } }));
+
+  const items = await fetchFeed("https://example.com/atom.xml", { dryRun: true });
+
+  assert.equal(items.length, 1);
+  const saved = JSON.parse(await fs.readFile(config.feeds.cacheFile, "utf8"));
+  assert.equal(saved["https://example.com/atom.xml"], undefined);
+});
+
+test("splitByFeedContent only skips scraping for long enough feed bodies", () => {
+  const { ready, needsScrape } = splitByFeedContent(
+    [
+      { url: "https://example.com/long", content: "word ".repeat(50) },
+      { url: "https://example.com/short", content: "Too short" },
+      { url: "https://example.com/none" },
+    ],
+    100
+  );
+
+  assert.deepEqual(ready.map((result) => [result.url, result.fetchTier]), [["https://example.com/long", "feed"]]);
+  assert.deepEqual(needsScrape, [{ url: "https://example.com/short" }, { url: "https://example.com/none" }]);
+});
@@ -0,0 +1,130 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GenerativeModel } from "@google/generative-ai";
+import { config } from "../src/util/config.js";
+import { groundDigest, scoreSupport } from "../src/services/grounding.js";
+
+const laptops = {
+  url: "https://example.com/laptops",
+  content:
+    "The Ohio state board approved a plan on Tuesday giving every middle school a shared set of laptops. The districts will receive 12,000 devices before the spring term, and teachers get two training days on the new classroom software.",
+};
+const tutoring = {
+  url: "https://example.com/tutoring",
+  content:
+    "Riverside district launched an online tutoring program for high school students this fall. Tutors from Stanford University meet students twice a week, and 40% of ninth graders have signed up so far.",
+};
+
+const laptopItem = {
+  headline: "Laptops for every middle school",
+  summary: "The Ohio state board approved shared laptops for every middle school, with devices arriving before the spring term and teachers getting training days on classroom software.",
+  sourceUrl: laptops.url,
+  keyStat: "12,000 devices",
+};
+const tutoringItem = {
+  headline: "Online tutoring for ninth graders",
+  summary: "Riverside district launched online tutoring for high school students, with Stanford University tutors meeting students twice a week.",
+  sourceUrl: tutoring.url,
+  keyStat: "40% of ninth graders",
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  config.grounding.enabled = true;
+  config.grounding.llmJudge = false;
+  config.gemini.apiKey = "gemini-key";
+  config.llm.providers = ["gemini"];
+  config.llm.attemptsPerProvider = 1;
+});
+
+/**
+ * Builds a digest of items
+ * @param {...Object} items - Digest items
+ * @returns {Object} - Digest
+ */
+function digestOf(...items) {
+  return { title: "EdTech Daily", items, sources: items.map((item) => item.sourceUrl) };
+}
+
+/**
+ * Makes the LLM judge answer with a verdict, or fail
+ * @param {Object|Error} verdict - Verdict JSON, or an error to throw
+ * @returns {Object} - Mock of generateContent
+ */
+function mockJudge(verdict) {
+  return mock.method(GenerativeModel.prototype, "generateContent", async () => {
+    if (verdict instanceof Error) throw verdict;
+    const text = JSON.stringify(verdict);
+    return { response: { candidates: [{ finishReason: "STOP" }], text: () => text } };
+  });
+}
+
+test("scoreSupport accepts a summary whose numbers, names and words are in the source", () => {
+  const check = scoreSupport(laptopItem, laptops.content);
+
+  assert.equal(check.supported, true);
+  assert.deepEqual(check.missingNumbers, []);
+  assert.deepEqual(check.missingNames, []);
+});
+
+test("scoreSupport rejects numbers and names the source does not mention", () => {
+  const check = scoreSupport({ ...laptopItem, keyStat: "15,000 devices in Texas" }, laptops.content);
+
+  assert.equal(check.supported, false);
+  assert.deepEqual(check.missingNumbers, ["15000"]);
+  assert.ok(check.missingNames.includes("Texas"));
+});
+
+test("groundDigest keeps supported items and re-attributes misattributed ones", async () => {
+  const digest = await groundDigest(
+    digestOf(laptopItem, { ...tutoringItem, sourceUrl: "https://example.com/other" }),
+    [laptops, tutoring, { url: "https://example.com/other", content: "A story about school lunches." }]
+  );
+
+  assert.deepEqual(digest.items.map((item) => item.sourceUrl), [laptops.url, tutoring.url]);
+  assert.deepEqual(digest.sources, [laptops.url, tutoring.url]);
+  assert.deepEqual(
+    digest.grounding.map((entry) => entry.action),
+    ["kept", "reattributed"]
+  );
+});
+
+test("groundDigest drops unsupported items without adding filler", async () => {
+  const invented = {
+    ...laptopItem,
+    headline: "Invented story",
+    summary: "Google donated 5,000 Chromebooks to Chicago schools for a coding program.",
+    keyStat: null,
+  };
+
+  const digest = await groundDigest(digestOf(invented, tutoringItem), [laptops, tutoring]);
+
+  assert.deepEqual(digest.items, [tutoringItem]);
+  const [dropped] = digest.grounding;
+  assert.equal(dropped.action, "dropped");
+  assert.equal(dropped.sourceUrl, null);
+  assert.match(dropped.reason, /numbers not in source: 5000/);
+});
+
+test("groundDigest drops items the LLM judge rejects and keeps them when it fails", async () => {
+  config.grounding.llmJudge = true;
+
+  mockJudge({ supported: false, reason: "The source gives no date" });
+  const rejected = await groundDigest(digestOf(laptopItem), [laptops]);
+  assert.deepEqual(rejected.items, []);
+  assert.equal(rejected.grounding[0].reason, "LLM judge: The source gives no date");
+
+  mock.restoreAll();
+  mockJudge(new Error("Service unavailable"));
+  const kept = await groundDigest(digestOf(laptopItem), [laptops]);
+  assert.deepEqual(kept.items, [laptopItem]);
+});
+
+test("groundDigest returns the digest unchanged when disabled", async () => {
+  config.grounding.enabled = false;
+  const digest = digestOf(laptopItem);
+
+  assert.equal(await groundDigest(digest, []), digest);
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GenerativeModel } from "@google/generative-ai";
+import Anthropic from "@anthropic-ai/sdk";
+import { config } from "../src/util/config.js";
+import gemini from "../src/services/llmProviders/gemini.js";
+import anthropic from "../src/services/llmProviders/anthropic.js";
+import { generateWithFailover } from "../src/services/llmProviders/index.js";
+
+beforeEach(() => {
+  mock.restoreAll();
+  config.gemini.apiKey = "gemini-key";
+  config.gemini.model = "gemini-2.5-pro";
+  config.gemini.thinkingBudget = 1024;
+  config.anthropic.apiKey = "anthropic-key";
+  config.llm.providers = ["gemini", "anthropic"];
+  config.llm.attemptsPerProvider = 1;
+  config.llm.retryDelayMs = 0;
+});
+
+/**
+ * Makes Gemini answer with a response
+ * @param {string} text - Response text
+ * @param {string} finishReason - Finish reason of the candidate
+ * @returns {Object} - Mock of generateContent
+ */
+function mockGemini(text, finishReason = "STOP") {
+  return mock.method(GenerativeModel.prototype, "generateContent", async () => ({
+    response: { candidates: [{ finishReason }], text: () => text },
+  }));
+}
+
+/**
+ * Makes Claude answer with a response
+ * @param {string} text - Response text
+ * @param {string} stopReason - Stop reason of the message
+ * @returns {Object} - Mock of messages.create
+ */
+function mockAnthropic(text, stopReason = "end_turn") {
+  return mock.method(Anthropic.Messages.prototype, "create", async () => ({
+    stop_reason: stopReason,
+    content: text ? [{ type: "text", text }] : [],
+  }));
+}
+
+test("gemini allows thinking tokens on top of the requested output tokens", async () => {
+  const generateContent = mockGemini("A digest");
+
+  assert.equal(await gemini.generate("prompt", { maxTokens: 600 }), "A digest");
+
+  const { generationConfig } = generateContent.mock.calls[0].this;
+  assert.equal(generationConfig.maxOutputTokens, 1624);
+  assert.deepEqual(generationConfig.thinkingConfig, { thinkingBudget: 1024 });
+});
+
+test("gemini sends no thinking config to older models", async () => {
+  config.gemini.model = "gemini-2.0-flash";
+  const generateContent = mockGemini("A digest");
+
+  await gemini.generate("prompt", { maxTokens: 600 });
+
+  const { generationConfig } = generateContent.mock.calls[0].this;
+  assert.equal(generationConfig.maxOutputTokens, 600);
+  assert.equal(generationConfig.thinkingConfig, undefined);
+});
+
+test("gemini rejects empty and cut-short responses", async () => {
+  mockGemini("");
+  await assert.rejects(gemini.generate("prompt"), /Empty response from Gemini/);
+
+  mock.restoreAll();
+  mockGemini('{"items": [', "MAX_TOKENS");
+  await assert.rejects(gemini.generate("prompt"), /finish reason MAX_TOKENS/);
+
+  mock.restoreAll();
+  mockGemini("", "SAFETY");
+  await assert.rejects(gemini.generate("prompt"), /finish reason SAFETY/);
+});
+
+test("anthropic rejects empty and cut-short responses", async () => {
+  mockAnthropic("");
+  await assert.rejects(anthropic.generate("prompt"), /Empty response from Anthropic/);
+
+  mock.restoreAll();
+  mockAnthropic('"items": [', "max_tokens");
+  await assert.rejects(anthropic.generate("prompt", { json: true }), /stop reason max_tokens/);
+
+  mock.restoreAll();
+  mockAnthropic('"items": []}');
+  assert.equal(await anthropic.generate("prompt", { json: true }), '{"items": []}');
+});
+
+test("generateWithFailover moves on when a provider returns nothing", async () => {
+  mockGemini("");
+  mockAnthropic("A digest");
+
+  const result = await generateWithFailover("prompt", { maxTokens: 600 });
+
+  assert.deepEqual(result, { text: "A digest", provider: "anthropic", model: config.anthropic.model });
+});
+
+test("generateWithFailover reports every provider's failure", async () => {
+  mockGemini("", "MAX_TOKENS");
+  mockAnthropic("", "max_tokens");
+
+  await assert.rejects(
+    generateWithFailover("prompt"),
+    /All LLM providers failed \(gemini: .*MAX_TOKENS.*; anthropic: .*max_tokens.*\)/
+  );
+});
@@ -0,0 +1,112 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { config } from "../src/util/config.js";
+import { checkRobots, parseRobots, isPathAllowed } from "../src/services/politeness.js";
+
+let hosts = 0;
+
+beforeEach(() => {
+  mock.restoreAll();
+  config.crawler.respectRobots = true;
+  config.crawler.userAgent = "EdTechScraperBot/1.0 (+https://example.com/bot)";
+});
+
+/**
+ * Serves a robots.txt from a host not seen before, so nothing is cached
+ * @param {string} body - robots.txt contents
+ * @param {number} status - HTTP status of the response
+ * @returns {string} - Origin serving it
+ */
+function serveRobots(body, status = 200) {
+  mock.method(axios, "get", async () => ({ status, data: body }));
+  return `https://site${++hosts}.example.com`;
+}
+
+test("parseRobots groups consecutive user agents and ignores comments", () => {
+  const groups = parseRobots(`
+# Crawlers
+User-agent: Googlebot
+User-agent: EdTechScraperBot # ours
+Disallow: /private
+Allow: /private/press
+Crawl-delay: 5
+
+User-agent: *
+Disallow:
+Crawl-delay: soon
+`);
+
+  assert.deepEqual(groups, [
+    {
+      agents: ["googlebot", "edtechscraperbot"],
+      rules: [
+        { allow: false, path: "/private" },
+        { allow: true, path: "/private/press" },
+      ],
+      crawlDelay: 5,
+    },
+    { agents: ["*"], rules: [], crawlDelay: null },
+  ]);
+});
+
+test("isPathAllowed applies the longest matching rule with wildcards", () => {
+  const rules = [
+    { allow: false, path: "/news" },
+    { allow: true, path: "/news/public" },
+    { allow: false, path: "/*.pdf$" },
+  ];
+
+  assert.equal(isPathAllowed(rules, "/news/today"), false);
+  assert.equal(isPathAllowed(rules, "/news/public/today"), true);
+  assert.equal(isPathAllowed(rules, "/reports/plan.pdf"), false);
+  assert.equal(isPathAllowed(rules, "/reports/plan.pdf?page=2"), true);
+  assert.equal(isPathAllowed(rules, "/about"), true);
+  assert.equal(isPathAllowed([{ allow: false, path: "/a" }, { allow: true, path: "/a" }], "/a"), true);
+});
+
+test("checkRobots uses the group naming our product token, ignoring case", async () => {
+  const origin = serveRobots(`
+User-agent: EDTECHSCRAPERBOT/2.0
+Disallow: /drafts
+Crawl-delay: 3
+
+User-agent: *
+Disallow: /
+`);
+
+  assert.deepEqual(await checkRobots(`${origin}/news`), { allowed: true, crawlDelay: 3 });
+  assert.deepEqual(await checkRobots(`${origin}/drafts/1`), { allowed: false, crawlDelay: 3 });
+});
+
+test("checkRobots does not apply groups whose agent is only part of our token", async () => {
+  const origin = serveRobots(`
+User-agent: bot
+User-agent: EdTech
+Disallow: /
+
+User-agent: *
+Disallow: /private
+`);
+
+  assert.equal((await checkRobots(`${origin}/news`)).allowed, true);
+  assert.equal((await checkRobots(`${origin}/private/1`)).allowed, false);
+});
+
+test("checkRobots allows everything for missing robots.txt and nothing when it fails", async () => {
+  const missing = serveRobots("Not found", 404);
+  assert.equal((await checkRobots(`${missing}/news`)).allowed, true);
+
+  mock.restoreAll();
+  const failing = serveRobots("Unavailable", 503);
+  mock.method(console, "warn", () => {});
+  assert.equal((await checkRobots(`${failing}/news`)).allowed, false);
+});
+
+test("checkRobots allows everything when robots.txt is not respected", async () => {
+  const get = mock.method(axios, "get", async () => ({ status: 200, data: "User-agent: *\nDisallow: /" }));
+  config.crawler.respectRobots = false;
+
+  assert.deepEqual(await checkRobots("https://ignored.example.com/news"), { allowed: true, crawlDelay: null });
+  assert.equal(get.mock.callCount(), 0);
+});
@@ -0,0 +1,128 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { config } from "../src/util/config.js";
+import { getRenderer, renderDigest } from "../src/services/renderers/index.js";
+import { toFeedEntry } from "../src/services/renderers/feedEntries.js";
+import { publishDigest } from "../src/services/senders/publish.js";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "renderers-"));
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Builds a digest generated at a time
+ * @param {string} generatedAt - ISO date
+ * @param {string} headline - Headline of its only item
+ * @returns {Object} - Digest
+ */
+function digestAt(generatedAt, headline = "Board approves <laptops> & tablets") {
+  return {
+    title: "EdTech Daily",
+    generatedAt,
+    provider: "gemini",
+    model: "gemini-2.5-pro",
+    sources: ["https://www.example.com/laptops"],
+    items: [
+      {
+        headline,
+        summary: "The board approved [laptops] for *every* middle school.",
+        sourceUrl: "https://www.example.com/laptops",
+        category: "institutional",
+        keyStat: "12,000 devices",
+        supportingSources: ["https://news.example.org/laptops"],
+      },
+    ],
+  };
+}
+
+test("getRenderer rejects unknown formats", () => {
+  assert.throws(() => getRenderer("pdf"), /Unknown format "pdf". Available formats: markdown, html, json, jsonfeed, rss/);
+});
+
+test("the markdown renderer escapes formatting in digest text", () => {
+  const markdown = renderDigest(digestAt("2026-01-05T12:00:00Z"), "markdown");
+
+  assert.match(markdown, /^# EdTech Daily\n\n_Monday, January 5, 2026_\n/);
+  assert.match(markdown, /## \[Board approves \\<laptops\\> & tablets\]\(https:\/\/www\.example\.com\/laptops\)/);
+  assert.match(markdown, /The board approved \\\[laptops\\\] for \\\*every\\\* middle school\./);
+  assert.match(markdown, /\*\*Key stat:\*\* 12,000 devices/);
+  assert.match(markdown, /Also reported by: \[news\.example\.org\]\(https:\/\/news\.example\.org\/laptops\)/);
+});
+
+test("the html renderer escapes digest text", () => {
+  const html = renderDigest(digestAt("2026-01-05T12:00:00Z"), "html");
+
+  assert.match(html, /<title>EdTech Daily - Monday, January 5, 2026<\/title>/);
+  assert.match(html, /Board approves &lt;laptops&gt; &amp; tablets/);
+  assert.doesNotMatch(html, /<laptops>/);
+  assert.match(html, />example\.com<\/a>/);
+});
+
+test("the json renderer keeps only the digest fields", () => {
+  const digest = { ...digestAt("2026-01-05T12:00:00Z"), grounding: { dropped: 1 } };
+
+  assert.deepEqual(Object.keys(JSON.parse(renderDigest(digest, "json"))), [
+    "title",
+    "generatedAt",
+    "items",
+    "sources",
+    "provider",
+    "model",
+  ]);
+});
+
+test("feed renderers list the history with stable IDs", () => {
+  const baseUrl = "https://digests.example.com/default/";
+  const newer = digestAt("2026-01-06T12:00:00Z", "Newer story");
+  const older = digestAt("2026-01-05T12:00:00Z", "Older story");
+  const history = [newer, older].map((digest) => toFeedEntry(digest, baseUrl));
+
+  const feed = JSON.parse(renderDigest(newer, "jsonfeed", { history, baseUrl }));
+  assert.equal(feed.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(feed.feed_url, "https://digests.example.com/default/feed.json");
+  assert.deepEqual(
+    feed.items.map((item) => item.id),
+    [
+      "https://digests.example.com/default/archive/2026-01-06.html",
+      "https://digests.example.com/default/archive/2026-01-05.html",
+    ]
+  );
+  assert.deepEqual(feed.items[0].tags, ["institutional"]);
+
+  const rss = renderDigest(newer, "rss", { history, baseUrl });
+  assert.equal(rss.match(/<item>/g).length, 2);
+  assert.match(rss, /<guid isPermaLink="true">https:\/\/digests\.example\.com\/default\/archive\/2026-01-06\.html<\/guid>/);
+  assert.match(rss, /<atom:link href="https:\/\/digests\.example\.com\/default\/feed\.xml"/);
+});
+
+test("feed renderers without a base URL use URN IDs for the digest alone", () => {
+  const rss = renderDigest(digestAt("2026-01-05T12:00:00Z"), "rss");
+
+  assert.equal(rss.match(/<item>/g).length, 1);
+  assert.match(rss, /<guid isPermaLink="false">urn:digest:edtech-daily:2026-01-05<\/guid>/);
+  assert.match(rss, /<description><!\[CDATA\[<h3>/);
+});
+
+test("publishDigest names archive pages after each digest's own day", async () => {
+  config.publish.formats = ["html", "rss"];
+  const output = path.join(dir, "default");
+
+  await publishDigest(digestAt("2026-01-06T12:00:00Z", "Newer story"), output);
+  await publishDigest(digestAt("2026-01-05T12:00:00Z", "Older story"), output);
+
+  const newer = await fs.readFile(path.join(output, "archive", "2026-01-06.html"), "utf8");
+  const older = await fs.readFile(path.join(output, "archive", "2026-01-05.html"), "utf8");
+  assert.match(newer, /Newer story/);
+  assert.match(older, /Older story/);
+
+  const archive = JSON.parse(await fs.readFile(path.join(output, "archive", "digests.json"), "utf8"));
+  assert.deepEqual(
+    archive.map((digest) => digest.items[0].headline),
+    ["Newer story", "Older story"]
+  );
+});
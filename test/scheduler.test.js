@@ -0,0 +1,180 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { config } from "../src/util/config.js";
+import { createScheduler, previousOccurrence } from "../src/services/scheduler.js";
+import { createSchedulerStore } from "../src/services/schedulerStore.js";
+
+// Due once a year, so the latest scheduled time is always months in the past
+const profile = { name: "yearly", schedule: "0 0 1 1 *", timezone: "UTC" };
+const due = previousOccurrence(profile, new Date());
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "scheduler-"));
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates an in-memory scheduler store
+ * @param {Object} state - Initial state of the profile
+ * @returns {Object} - Scheduler store with a states map
+ */
+function createMemoryStore(state) {
+  const states = new Map(state ? [[profile.name, state]] : []);
+  return {
+    states,
+    async getState(name) {
+      return states.get(name) ?? null;
+    },
+    async claimOccurrence(name, scheduledAt) {
+      const current = states.get(name);
+      if (current?.lastScheduledAt && new Date(current.lastScheduledAt) >= scheduledAt) {
+        return false;
+      }
+      states.set(name, { name, lastScheduledAt: scheduledAt.toISOString() });
+      return true;
+    },
+    async recordOutcome(name, outcome) {
+      states.set(name, { ...states.get(name), ...outcome });
+    },
+  };
+}
+
+/**
+ * Runs one scheduler check against a store
+ * @param {Object} store - Scheduler store
+ * @param {Function} runProfile - Runs a profile
+ * @param {number} catchUpHours - How old a missed run may be to be made up
+ */
+async function checkOnce(store, runProfile, catchUpHours) {
+  config.scheduler.catchUpHours = catchUpHours;
+  const scheduler = createScheduler([profile], { store, runProfile });
+  scheduler.start();
+  scheduler.stop();
+  await scheduler.idle();
+}
+
+test("createScheduler rejects invalid schedules and timezones", () => {
+  const options = { store: createMemoryStore(), runProfile: async () => ({}) };
+  assert.throws(
+    () => createScheduler([{ ...profile, schedule: "every morning" }], options),
+    /invalid schedule/
+  );
+  assert.throws(
+    () => createScheduler([{ ...profile, timezone: "Mars/Olympus" }], options),
+    /unknown timezone/
+  );
+});
+
+test("the first start claims the latest time without running it", async () => {
+  const store = createMemoryStore();
+  let runs = 0;
+  await checkOnce(store, async () => runs++, 24 * 400);
+
+  assert.equal(runs, 0);
+  assert.equal(store.states.get(profile.name).lastScheduledAt, due.toISOString());
+});
+
+test("a missed run within the catch-up window is made up once", async () => {
+  const store = createMemoryStore({ name: profile.name, lastScheduledAt: "2000-01-01T00:00:00.000Z" });
+  const runs = [];
+  const runProfile = async (scheduled) => {
+    runs.push(scheduled.name);
+    return { runId: "run-1", status: "completed" };
+  };
+
+  await checkOnce(store, runProfile, 24 * 400);
+  await checkOnce(store, runProfile, 24 * 400);
+
+  assert.deepEqual(runs, ["yearly"]);
+  assert.deepEqual(store.states.get(profile.name), {
+    name: profile.name,
+    lastScheduledAt: due.toISOString(),
+    lastRunId: "run-1",
+    lastStatus: "completed",
+  });
+});
+
+test("a missed run older than the catch-up window is skipped", async () => {
+  const store = createMemoryStore({ name: profile.name, lastScheduledAt: "2000-01-01T00:00:00.000Z" });
+  let runs = 0;
+  await checkOnce(store, async () => runs++, 1);
+
+  assert.equal(runs, 0);
+  assert.equal(store.states.get(profile.name).lastScheduledAt, due.toISOString());
+  assert.equal(store.states.get(profile.name).lastStatus, "missed");
+});
+
+test("a failed run is recorded with the ID of the run", async () => {
+  const store = createMemoryStore({ name: profile.name, lastScheduledAt: "2000-01-01T00:00:00.000Z" });
+  const runProfile = async () => {
+    const error = new Error("search failed");
+    error.run = { runId: "run-2" };
+    throw error;
+  };
+
+  await checkOnce(store, runProfile, 24 * 400);
+
+  assert.equal(store.states.get(profile.name).lastRunId, "run-2");
+  assert.equal(store.states.get(profile.name).lastStatus, "failed");
+});
+
+test("a run claimed by another daemon is not run again", async () => {
+  const store = createMemoryStore({ name: profile.name, lastScheduledAt: "2000-01-01T00:00:00.000Z" });
+  // Another daemon claims the time between this one's check and its claim
+  const getState = store.getState;
+  store.getState = async (name) => {
+    const state = await getState(name);
+    await store.claimOccurrence(name, due);
+    return state;
+  };
+  let runs = 0;
+
+  await checkOnce(store, async () => runs++, 24 * 400);
+
+  assert.equal(runs, 0);
+});
+
+test("file store locks exclude other owners until released", async () => {
+  const store = createSchedulerStore({ backend: "file", dir });
+
+  assert.equal(await store.acquireLock("default", "run-a", 60000), true);
+  assert.equal(await store.acquireLock("default", "run-b", 60000), false);
+
+  // Only the owner can release a lock
+  await store.releaseLock("default", "run-b");
+  assert.equal(await store.acquireLock("default", "run-b", 60000), false);
+
+  await store.releaseLock("default", "run-a");
+  assert.equal(await store.acquireLock("default", "run-b", 60000), true);
+  await store.releaseLock("default", "run-b");
+});
+
+test("file store takes over expired locks", async () => {
+  const store = createSchedulerStore({ backend: "file", dir });
+
+  assert.equal(await store.acquireLock("expired", "crashed-run", -1000), true);
+  assert.equal(await store.acquireLock("expired", "run-c", 60000), true);
+  assert.equal(await store.acquireLock("expired", "run-d", 60000), false);
+});
+
+test("file store claims each scheduled time once", async () => {
+  const store = createSchedulerStore({ backend: "file", dir });
+  const scheduledAt = new Date("2026-01-01T08:00:00.000Z");
+
+  assert.equal(await store.claimOccurrence("claims", scheduledAt), true);
+  assert.equal(await store.claimOccurrence("claims", scheduledAt), false);
+  assert.equal(await store.claimOccurrence("claims", new Date("2025-12-31T08:00:00.000Z")), false);
+
+  await store.recordOutcome("claims", { lastRunId: "run-e", lastStatus: "completed" });
+  assert.deepEqual(await store.getState("claims"), {
+    name: "claims",
+    lastScheduledAt: scheduledAt.toISOString(),
+    lastRunId: "run-e",
+    lastStatus: "completed",
+  });
+  assert.equal(await store.claimOccurrence("claims", new Date("2026-01-02T08:00:00.000Z")), true);
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+// Config is read at import time: no robots.txt lookups, cache or politeness delay
+process.env.CRAWLER_RESPECT_ROBOTS = "false";
+process.env.CACHE = "false";
+process.env.CRAWLER_MIN_DELAY_MS = "1";
+
+const { scrapeMultipleUrls, closeBrowser } = await import("../src/services/scraper.js");
+
+const paragraph =
+  "Schools across the district are piloting a new reading platform that adapts " +
+  "lessons to each student's level, and teachers report that students spend more " +
+  "time reading independently than they did with the previous curriculum.";
+const article = `<!DOCTYPE html>
+<html>
+  <head><title>District pilots adaptive reading platform</title></head>
+  <body>
+    <article>
+      <h1>District pilots adaptive reading platform</h1>
+      ${Array.from({ length: 8 }, () => `<p>${paragraph}</p>`).join("\n      ")}
+    </article>
+  </body>
+</html>`;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(article);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await closeBrowser();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test("scrapeMultipleUrls settles when a scrape throws", async () => {
+  const results = await scrapeMultipleUrls([
+    { title: "Unparseable", url: "http://a:b:c/" },
+    { title: "Reading pilot", url: `${baseUrl}/reading-pilot` },
+  ]);
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].title, "Reading pilot");
+  assert.equal(results[0].fetchTier, "http");
+  assert.match(results[0].content, /reading platform/);
+});
+
+test("scrapeMultipleUrls returns nothing when every scrape throws", async () => {
+  const results = await scrapeMultipleUrls([
+    { title: "Unparseable", url: "http://a:b:c/" },
+    { title: "Also unparseable", url: "http://d:e:f/" },
+  ]);
+
+  assert.deepEqual(results, []);
+});
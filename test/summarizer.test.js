@@ -0,0 +1,64 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GenerativeModel } from "@google/generative-ai";
+import { config } from "../src/util/config.js";
+import { summarizeArticle } from "../src/services/summarizer.js";
+
+const article = {
+  url: "https://example.com/laptops",
+  title: "Laptops for every middle school",
+  content: "The state board approved laptops for every middle school.",
+};
+
+const item = {
+  headline: "Laptops for every middle school",
+  summary:
+    "The state board approved a plan giving every middle school a shared set of laptops, replacing carts teachers reserved weeks ahead, with two training days on classroom software before the spring term begins.",
+  sourceUrl: article.url,
+  category: "institutional",
+  keyStat: null,
+  confidence: 0.9,
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "warn", () => {});
+  config.cache.enabled = false;
+  config.gemini.apiKey = "gemini-key";
+  config.llm.providers = ["gemini"];
+  config.llm.attemptsPerProvider = 1;
+  config.llm.maxValidationRetries = 2;
+});
+
+/**
+ * Makes Gemini answer with each response in turn
+ * @param {...Object} responses - Parsed JSON responses
+ * @returns {Object} - Mock of generateContent
+ */
+function mockGemini(...responses) {
+  let call = 0;
+  return mock.method(GenerativeModel.prototype, "generateContent", async () => {
+    const text = JSON.stringify(responses[Math.min(call++, responses.length - 1)]);
+    return { response: { candidates: [{ finishReason: "STOP" }], text: () => text } };
+  });
+}
+
+test("summarizeArticle sends invalid output back with its validation errors", async () => {
+  const generateContent = mockGemini(
+    { items: [{ ...item, sourceUrl: "https://example.com/invented" }] },
+    { items: [item] }
+  );
+
+  assert.deepEqual(await summarizeArticle(article), item);
+
+  assert.equal(generateContent.mock.callCount(), 2);
+  const retryPrompt = generateContent.mock.calls[1].arguments[0];
+  assert.match(retryPrompt, /IT FAILED VALIDATION WITH THESE ERRORS:\n- items\[0\]: sourceUrl "https:\/\/example\.com\/invented" is not one of the SOURCE URLs/);
+});
+
+test("summarizeArticle gives up after the validation retries", async () => {
+  const generateContent = mockGemini({ items: [{ ...item, category: "gossip" }] });
+
+  assert.equal(await summarizeArticle(article), null);
+  assert.equal(generateContent.mock.callCount(), 3);
+});
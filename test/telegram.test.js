@@ -0,0 +1,70 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { config } from "../src/util/config.js";
+import telegram from "../src/services/senders/telegram.js";
+
+beforeEach(() => {
+  mock.restoreAll();
+  config.telegram.botToken = "bot-token";
+  config.telegram.chatIds = ["-100"];
+});
+
+/**
+ * Builds a digest with one item per summary
+ * @param {...string} summaries - Item summaries
+ * @returns {Object} - Digest
+ */
+function digestOf(...summaries) {
+  return {
+    title: "EdTech Daily",
+    generatedAt: "2026-01-05T12:00:00Z",
+    items: summaries.map((summary, index) => ({
+      headline: `Story ${index + 1}`,
+      summary,
+      sourceUrl: `https://example.com/${index + 1}?a=1&b=2`,
+    })),
+  };
+}
+
+/**
+ * Sends a digest to one chat, capturing the message texts posted
+ * @param {Object} digest - Digest object
+ * @returns {Promise<Object>} - { results, texts }
+ */
+async function sendDigest(digest) {
+  const post = mock.method(axios, "post", async () => ({ data: { result: { message_id: 7 } } }));
+  const results = await telegram.send(digest, telegram.listRecipients());
+  return { results, texts: post.mock.calls.map((call) => call.arguments[1].text) };
+}
+
+test("telegram sends a short digest as one escaped HTML message", async () => {
+  const { results, texts } = await sendDigest(digestOf("Tablets & laptops <for> schools"));
+
+  assert.deepEqual(texts, [
+    '<b>EdTech Daily</b>\n<i>Monday, January 5, 2026</i>\n\n<b>Story 1</b>\nTablets &amp; laptops &lt;for&gt; schools\n<a href="https://example.com/1?a=1&amp;b=2">Source</a>',
+  ]);
+  assert.equal(results[0].status, "sent");
+  assert.equal(results[0].messageId, "7");
+});
+
+test("telegram splits long digests into messages at item boundaries", async () => {
+  const summary = "Schools & districts ".repeat(60);
+  const { texts } = await sendDigest(digestOf(summary, summary, summary));
+
+  assert.equal(texts.length, 2);
+  for (const text of texts) {
+    assert.ok(text.length <= 4096);
+    assert.equal(text.match(/<b>/g).length, text.match(/<\/b>/g).length);
+  }
+  assert.equal(texts.join("").match(/Source<\/a>/g).length, 3);
+});
+
+test("telegram shortens an item too long for one message without cutting its HTML", async () => {
+  const { texts } = await sendDigest(digestOf("Schools & districts ".repeat(400)));
+
+  assert.equal(texts.length, 2);
+  const [, item] = texts;
+  assert.ok(item.length <= 4096 && item.length > 4000);
+  assert.match(item, /^<b>Story 1<\/b>\n(Schools &amp; districts )+Schools &amp;…\n<a href="https:\/\/example\.com\/1\?a=1&amp;b=2">Source<\/a>$/);
+});
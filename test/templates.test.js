@@ -0,0 +1,117 @@
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { config } from "../src/util/config.js";
+import { selectTemplate, fillTemplate } from "../src/util/templates.js";
+
+const { padText, templatesFile } = config.whatsapp;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+
+afterEach(() => {
+  config.whatsapp.padText = padText;
+  config.whatsapp.templatesFile = templatesFile;
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Builds a digest with a number of items
+ * @param {number} count - Items in the digest
+ * @returns {Object} - Digest
+ */
+function digestOf(count) {
+  return {
+    title: "EdTech Daily",
+    generatedAt: "2026-01-05T12:00:00Z",
+    items: Array.from({ length: count }, (_, index) => ({
+      headline: `Story ${index + 1}`,
+      summary: `Summary of story ${index + 1}`,
+      sourceUrl: `https://example.com/${index + 1}`,
+    })),
+  };
+}
+
+/**
+ * Points config.whatsapp.templatesFile at a file with these mappings
+ * @param {Object} templates - Template mappings
+ */
+function useTemplatesFile(templates) {
+  const file = path.join(dir, "templates.json");
+  fs.writeFileSync(file, JSON.stringify(templates));
+  config.whatsapp.templatesFile = file;
+}
+
+test("selectTemplate picks the largest template the digest can fill", () => {
+  assert.equal(selectTemplate(12).name, "edtech");
+  assert.equal(selectTemplate(8).name, "edtech");
+  assert.equal(selectTemplate(7).name, "edtech_5");
+  assert.equal(selectTemplate(4).name, "edtech_3");
+  assert.equal(selectTemplate(1).name, "edtech_1");
+});
+
+test("selectTemplate fails short digests unless padding is enabled", () => {
+  useTemplatesFile({ edtech_5: null, edtech_3: null, edtech_1: null });
+  assert.throws(() => selectTemplate(4), /No WhatsApp template fits a digest of 4 items/);
+
+  config.whatsapp.padText = "No further updates";
+  assert.equal(selectTemplate(4).name, "edtech");
+  assert.throws(() => selectTemplate(0), /No WhatsApp template fits/);
+});
+
+test("selectTemplate rejects invalid template files", () => {
+  useTemplatesFile({ broken: { items: 2, body: ["items"], itemParameters: ["author"] } });
+  assert.throws(() => selectTemplate(2), /unknown parameter "author"/);
+
+  useTemplatesFile({ edtech: null, edtech_5: null, edtech_3: null, edtech_1: null });
+  assert.throws(() => selectTemplate(2), /No WhatsApp templates are configured/);
+});
+
+test("fillTemplate fills the body with the date and each item", () => {
+  const filled = fillTemplate(selectTemplate(3), digestOf(4), "en_US");
+
+  assert.deepEqual(filled.header, []);
+  assert.deepEqual(filled.body, [
+    "Monday, January 5, 2026",
+    "Summary of story 1",
+    "https://example.com/1",
+    "Summary of story 2",
+    "https://example.com/2",
+    "Summary of story 3",
+    "https://example.com/3",
+  ]);
+});
+
+test("fillTemplate pads the slots a short digest cannot fill", () => {
+  useTemplatesFile({ edtech_5: null, edtech_3: null, edtech_1: null });
+  config.whatsapp.padText = "No further updates";
+
+  const filled = fillTemplate(selectTemplate(7), digestOf(7), "en_US");
+
+  assert.equal(filled.body.length, 17);
+  assert.deepEqual(filled.body.slice(-2), ["No further updates", "No source available"]);
+});
+
+test("fillTemplate collapses whitespace and shortens long text", () => {
+  const digest = digestOf(1);
+  digest.items[0].summary = `Line one\n\tline two ${"word ".repeat(300)}`;
+
+  const [, summary] = fillTemplate(selectTemplate(1), digest, "en_US").body;
+
+  assert.equal(summary.length <= 1024, true);
+  assert.match(summary, /^Line one line two word/);
+  assert.match(summary, /…$/);
+});
+
+test("fillTemplate fails when a value cannot be shortened", () => {
+  const digest = digestOf(1);
+  digest.items[0].sourceUrl = `https://example.com/${"a".repeat(1100)}`;
+
+  assert.throws(
+    () => fillTemplate(selectTemplate(1), digest, "en_US"),
+    /body parameter 3 \(sourceUrl\) is \d+ characters, limit 1024/
+  );
+});
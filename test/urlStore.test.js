@@ -0,0 +1,128 @@
+import { test, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { config } from "../src/util/config.js";
+import { normalizeUrl } from "../src/util/url.js";
+import {
+  createUrlStore,
+  filterProcessedResults,
+  recordScrapeResults,
+  markDigested,
+  pruneAndSave,
+} from "../src/services/urlStore.js";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "url-store-"));
+let files = 0;
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+  config.dedup.maxScrapeAttempts = 2;
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates a file URL store in a file not used by another test
+ * @param {*} contents - JSON written to the file first; nothing when undefined
+ * @returns {Promise<Object>} - { store, filePath }
+ */
+async function openStore(contents) {
+  const filePath = path.join(dir, `processed_urls_${++files}.json`);
+  if (contents !== undefined) {
+    await fs.writeFile(filePath, JSON.stringify(contents));
+  }
+  return { store: await createUrlStore({ backend: "file", filePath }), filePath };
+}
+
+/**
+ * Builds search results for URLs
+ * @param {...string} urls - Result URLs
+ * @returns {Array<Object>} - Search results
+ */
+function resultsFor(...urls) {
+  return urls.map((url) => ({ url, title: url }));
+}
+
+test("normalizeUrl maps tracking, AMP and mobile variants to one key", () => {
+  const key = "https://example.com/news/laptops?id=7&page=2";
+
+  for (const variant of [
+    "http://www.example.com/news/laptops/?page=2&id=7",
+    "https://m.example.com/news/laptops?id=7&page=2&utm_source=x&fbclid=abc#comments",
+    "https://amp.example.com/news/laptops/amp/?page=2&id=7",
+    "https://EXAMPLE.com//news/laptops?ref=home&id=7&page=2",
+  ]) {
+    assert.equal(normalizeUrl(variant), key, variant);
+  }
+  assert.equal(normalizeUrl("https://example.com/story.amp.html"), "https://example.com/story.html");
+  assert.equal(normalizeUrl("https://example.com:8080/"), "https://example.com:8080/");
+});
+
+test("normalizeUrl leaves what it cannot normalize as it was", () => {
+  assert.equal(normalizeUrl(""), "");
+  assert.equal(normalizeUrl(null), "");
+  assert.equal(normalizeUrl(" not a url "), "not a url");
+  assert.equal(normalizeUrl("mailto:news@example.com"), "mailto:news@example.com");
+});
+
+test("filterProcessedResults drops repeats and URLs already in a digest for the profile", async () => {
+  const { store } = await openStore();
+  await markDigested(store, ["https://example.com/old"], "k12");
+
+  const fresh = await filterProcessedResults(
+    store,
+    resultsFor(
+      "https://example.com/new?utm_campaign=x",
+      "https://www.example.com/new",
+      "https://example.com/old"
+    ),
+    "k12"
+  );
+  assert.deepEqual(fresh.map((result) => result.url), ["https://example.com/new?utm_campaign=x"]);
+
+  // Another profile may still use the article
+  const forDefault = await filterProcessedResults(store, resultsFor("https://example.com/old"), "default");
+  assert.equal(forDefault.length, 1);
+});
+
+test("filterProcessedResults skips URLs that failed to scrape too often", async () => {
+  const { store } = await openStore();
+  const results = resultsFor("https://example.com/broken", "https://example.com/works");
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    assert.equal((await filterProcessedResults(store, results)).length, 2);
+    await recordScrapeResults(store, results, [{ ...results[1], fetchTier: "http" }]);
+  }
+
+  const fresh = await filterProcessedResults(store, results);
+  assert.deepEqual(fresh.map((result) => result.url), ["https://example.com/works"]);
+  const found = await store.find(["https://example.com/works"]);
+  assert.equal(found.get("https://example.com/works").fetchTier, "http");
+});
+
+test("dry runs filter without recording results as seen", async () => {
+  const { store } = await openStore();
+
+  await filterProcessedResults(store, resultsFor("https://example.com/new"), "default", { dryRun: true });
+
+  assert.equal((await store.find(["https://example.com/new"])).size, 0);
+});
+
+test("the file store loads legacy URL arrays and prunes old records on save", async () => {
+  const { store, filePath } = await openStore([
+    null,
+    "https://www.example.com/legacy/",
+    { url: "https://example.com/stale", lastSeen: "2020-01-01T12:00:00Z", inDigest: true },
+  ]);
+  assert.equal((await store.find(["https://example.com/legacy"])).size, 1);
+
+  await pruneAndSave(store, 30);
+
+  const saved = JSON.parse(await fs.readFile(filePath, "utf8"));
+  assert.deepEqual(saved, [{ url: "https://example.com/legacy" }]);
+});